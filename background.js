@@ -1,208 +1,701 @@
-// AI Research Paper Helper - Background Service Worker
-// Handles extension lifecycle, message passing, and API coordination
-
-const API_BASE_URL = 'http://localhost:8000';
-
-// Extension state management
-const state = {
-  currentPaper: null,
-  isIndexed: false,
-  settings: {
-    apiMode: 'hybrid', // 'local', 'api', 'hybrid'
-    summaryLevel: 'all',
-    autoAnalyze: false
-  }
-};
-
-// Initialize extension
-chrome.runtime.onInstalled.addListener(async () => {
-  console.log('AI Research Paper Helper installed');
-
-  // Load saved settings
-  const saved = await chrome.storage.local.get('settings');
-  if (saved.settings) {
-    Object.assign(state.settings, saved.settings);
-  }
-});
-
-// Message handler for content script and popup communication
-chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-  handleMessage(message, sender).then(sendResponse);
-  return true; // Keep channel open for async response
-});
-
-async function handleMessage(message, sender) {
-  switch (message.type) {
-    case 'ANALYZE_PAGE':
-      return await analyzePage(message.data);
-
-    case 'GET_SUMMARY':
-      return await getSummary(message.data);
-
-    case 'EXPLAIN_EQUATION':
-      return await explainEquation(message.data);
-
-    case 'EXTRACT_KEYPOINTS':
-      return await extractKeypoints(message.data);
-
-    case 'RAG_QUERY':
-      return await ragQuery(message.data);
-
-    case 'INDEX_PAPER':
-      return await indexPaper(message.data);
-
-    case 'GET_STATE':
-      return { success: true, data: state };
-
-    case 'UPDATE_SETTINGS':
-      state.settings = { ...state.settings, ...message.data };
-      await chrome.storage.local.set({ settings: state.settings });
-      return { success: true };
-
-    case 'CHECK_BACKEND':
-      return await checkBackendHealth();
-
-    default:
-      return { success: false, error: 'Unknown message type' };
-  }
-}
-
-// API communication functions
-async function apiRequest(endpoint, data) {
-  try {
-    const response = await fetch(`${API_BASE_URL}${endpoint}`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify(data)
-    });
-
-    if (!response.ok) {
-      throw new Error(`API error: ${response.status}`);
-    }
-
-    return await response.json();
-  } catch (error) {
-    console.error(`API request failed: ${endpoint}`, error);
-    throw error;
-  }
-}
-
-async function checkBackendHealth() {
-  try {
-    const response = await fetch(`${API_BASE_URL}/health`);
-    const data = await response.json();
-    return { success: true, data };
-  } catch (error) {
-    return { success: false, error: 'Backend not available' };
-  }
-}
-
-async function analyzePage(pageData) {
-  try {
-    state.currentPaper = pageData;
-
-    // Index the paper for RAG
-    const indexResult = await indexPaper(pageData);
-
-    // Get all analyses in parallel
-    const [summary, keypoints] = await Promise.all([
-      getSummary(pageData),
-      extractKeypoints(pageData)
-    ]);
-
-    return {
-      success: true,
-      data: {
-        summary: summary.data,
-        keypoints: keypoints.data,
-        indexed: indexResult.success
-      }
-    };
-  } catch (error) {
-    return { success: false, error: error.message };
-  }
-}
-
-async function getSummary(data) {
-  try {
-    const result = await apiRequest('/summarize', {
-      title: data.title,
-      content: data.content,
-      abstract: data.abstract,
-      pageType: data.pageType
-    });
-    return { success: true, data: result };
-  } catch (error) {
-    return { success: false, error: error.message };
-  }
-}
-
-async function explainEquation(data) {
-  try {
-    const result = await apiRequest('/explain-equations', {
-      equation: data.equation,
-      context: data.context,
-      format: data.format // 'latex' or 'mathml'
-    });
-    return { success: true, data: result };
-  } catch (error) {
-    return { success: false, error: error.message };
-  }
-}
-
-async function extractKeypoints(data) {
-  try {
-    const result = await apiRequest('/extract-key-points', {
-      title: data.title,
-      content: data.content,
-      abstract: data.abstract
-    });
-    return { success: true, data: result };
-  } catch (error) {
-    return { success: false, error: error.message };
-  }
-}
-
-async function indexPaper(data) {
-  try {
-    const result = await apiRequest('/rag/index', {
-      title: data.title,
-      content: data.content,
-      paper_id: data.url  // Fixed: was paperId
-    });
-    state.isIndexed = true;
-    state.currentPaper = data;  // Store for later queries
-    return { success: true, data: result };
-  } catch (error) {
-    state.isIndexed = false;
-    return { success: false, error: error.message };
-  }
-}
-
-async function ragQuery(data) {
-  try {
-    // Don't check state.isIndexed - let the backend tell us if it's indexed
-    // This handles cases where extension reloaded but backend still has the index
-    const paperId = data.paperId || state.currentPaper?.url;
-
-    if (!paperId) {
-      throw new Error('No paper URL available. Please analyze a page first.');
-    }
-
-    const result = await apiRequest('/rag/query', {
-      query: data.query,
-      paper_id: paperId,  // Fixed: was paperId
-      top_k: data.topK || 5  // Fixed: was topK
-    });
-    return { success: true, data: result };
-  } catch (error) {
-    return { success: false, error: error.message };
-  }
-}
-
-// Export for testing
-if (typeof module !== 'undefined') {
-  module.exports = { state, handleMessage };
-}
+// AI Research Paper Helper - Background Service Worker
+// Handles extension lifecycle, message passing, and API coordination
+
+import { apiClient, DEFAULT_BACKEND_URL, ERROR_CODES } from './utils/api.js';
+import { getAnnotations, saveAnnotation, removeAnnotation } from './utils/annotations.js';
+import { analysisCache } from './utils/cache.js';
+import { CITATION_FORMATS, formatCitations } from './utils/citations.js';
+import { buildComparison, exportComparison } from './utils/compare.js';
+import { PAPER_SCRIPTS, PAPER_STYLES } from './utils/content-scripts.js';
+import { exportAnalysis } from './utils/export.js';
+import { recordPaper, getPapers, filterPapers, removePaper, clearHistory } from './utils/history.js';
+import {
+  getLibrary,
+  createCollection,
+  deleteCollection,
+  updatePaper,
+  removePaperEntry,
+  clearPapers,
+  withLibrary,
+  papersInScope
+} from './utils/library.js';
+import { paperKey, hashContent } from './utils/paper-key.js';
+import { getThread, addTurn, clearThread } from './utils/qa-threads.js';
+import { withSourceSpans } from './utils/source-spans.js';
+
+// Earlier turns sent with each question so follow-ups keep their context
+const MAX_CONTEXT_TURNS = 6;
+
+// Extension state management
+const state = {
+  currentPaper: null,
+  isIndexed: false,
+  settings: {
+    apiMode: 'hybrid', // 'local', 'api', 'hybrid'
+    backendUrl: DEFAULT_BACKEND_URL,
+    summaryLevel: 'all',
+    autoAnalyze: false,
+    pdfViewer: 'papers' // Which PDFs content.js opens in viewer/: 'papers', 'all' or 'off'
+  }
+};
+
+// The service worker can be restarted at any time, so settings are loaded on
+// every startup rather than only on install.
+const settingsLoaded = loadSettings();
+
+// Initialize extension
+chrome.runtime.onInstalled.addListener(() => {
+  console.log('AI Research Paper Helper installed');
+});
+
+// In-flight API requests per tab, cancelled when the tab navigates away or closes
+const tabRequests = new Map();
+
+chrome.tabs.onUpdated.addListener((tabId, changeInfo) => {
+  if (changeInfo.status === 'loading') {
+    cancelTabRequests(tabId);
+  }
+});
+
+chrome.tabs.onRemoved.addListener(cancelTabRequests);
+
+async function loadSettings() {
+  const saved = await chrome.storage.local.get('settings');
+  if (saved.settings) {
+    Object.assign(state.settings, saved.settings);
+  }
+  applySettings();
+}
+
+function applySettings() {
+  apiClient.setBaseUrl(state.settings.backendUrl);
+  apiClient.setMode(state.settings.apiMode);
+}
+
+// Message handler for content script and popup communication
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  // Popup messages addressed to a PDF viewer tab are answered by the viewer
+  if (message.viewerTabId !== undefined) return false;
+
+  handleMessage(message, sender).then(sendResponse);
+  return true; // Keep channel open for async response
+});
+
+// Long-lived ports stream partial summaries and answers back to the sidebar
+chrome.runtime.onConnect.addListener((port) => {
+  if (port.name === 'stream') {
+    handleStreamPort(port);
+  }
+});
+
+async function handleMessage(message, sender) {
+  await settingsLoaded;
+
+  const tabId = sender?.tab?.id;
+  const controller = trackRequest(tabId);
+
+  try {
+    return await routeMessage(message, controller.signal, sender);
+  } finally {
+    releaseRequest(tabId, controller);
+  }
+}
+
+async function routeMessage(message, signal, sender) {
+  switch (message.type) {
+    case 'LOAD_CONTENT_SCRIPTS':
+      return await loadContentScripts(sender);
+
+    case 'ANALYZE_PAGE':
+      return await analyzePage(message.data, { signal, force: message.force });
+
+    case 'GET_CACHED_ANALYSIS':
+      return await getCachedAnalysis(message.data);
+
+    case 'CLEAR_CACHE':
+      await analysisCache.clear();
+      return { success: true };
+
+    case 'GET_HISTORY':
+      return await searchHistory(message.data);
+
+    case 'DELETE_HISTORY_ENTRY':
+      await removePaper(message.data.key);
+      await analysisCache.remove(message.data.key);
+      await removePaperEntry(message.data.key);
+      return { success: true };
+
+    case 'CLEAR_HISTORY':
+      await clearHistory();
+      await analysisCache.clear();
+      await clearPapers();
+      return { success: true };
+
+    case 'GET_COLLECTIONS':
+      return { success: true, data: (await getLibrary()).collections };
+
+    case 'CREATE_COLLECTION':
+      return await addCollection(message.data);
+
+    case 'DELETE_COLLECTION':
+      await deleteCollection(message.data.id);
+      return { success: true };
+
+    case 'UPDATE_LIBRARY_PAPER':
+      return { success: true, data: await updatePaper(message.data.key, message.data) };
+
+    case 'GET_SUMMARY':
+      return await getSummary(message.data, signal);
+
+    case 'EXPLAIN_EQUATION':
+      return await explainEquation(message.data, signal);
+
+    case 'EXTRACT_KEYPOINTS':
+      return await extractKeypoints(message.data, signal);
+
+    case 'RAG_QUERY':
+      return await ragQuery(message.data, signal);
+
+    case 'GET_QA_THREAD':
+      return { success: true, data: message.data?.paper ? await getThread(paperKey(message.data.paper)) : [] };
+
+    case 'CLEAR_QA_THREAD':
+      if (message.data?.paper) {
+        await clearThread(paperKey(message.data.paper));
+      }
+      return { success: true };
+
+    case 'INDEX_PAPER':
+      return await indexPaper(message.data, signal);
+
+    case 'EXPORT_ANALYSIS':
+      return await exportPaper(message.data);
+
+    case 'GET_CITATIONS':
+      return getCitations(message.data);
+
+    case 'COMPARE_PAPERS':
+      return await comparePapers(message.data);
+
+    case 'EXPORT_COMPARISON':
+      return await exportPaperComparison(message.data);
+
+    case 'GET_ANNOTATIONS':
+      return { success: true, data: await getAnnotations(paperKey(message.data.paper)) };
+
+    case 'SAVE_ANNOTATION':
+      return { success: true, data: await saveAnnotation(paperKey(message.data.paper), message.data.annotation) };
+
+    case 'DELETE_ANNOTATION':
+      await removeAnnotation(paperKey(message.data.paper), message.data.id);
+      return { success: true };
+
+    case 'GET_STATE':
+      return { success: true, data: state };
+
+    case 'UPDATE_SETTINGS':
+      state.settings = { ...state.settings, ...message.data };
+      await chrome.storage.local.set({ settings: state.settings });
+      applySettings();
+      return { success: true };
+
+    case 'CHECK_BACKEND':
+      return await checkBackendHealth();
+
+    default:
+      return { success: false, error: 'Unknown message type' };
+  }
+}
+
+function handleStreamPort(port) {
+  const tabId = port.sender?.tab?.id;
+  let controller = null;
+
+  const post = (event) => {
+    try {
+      port.postMessage(event);
+    } catch (error) {
+      // Port already closed by the sidebar
+    }
+  };
+
+  port.onMessage.addListener(async (message) => {
+    if (message.type === 'ABORT') {
+      controller?.abort();
+      return;
+    }
+
+    await settingsLoaded;
+    controller = trackRequest(tabId);
+
+    try {
+      const response = await routeStream(message, controller.signal, post);
+      post({ type: 'done', response });
+    } finally {
+      releaseRequest(tabId, controller);
+    }
+  });
+
+  port.onDisconnect.addListener(() => controller?.abort());
+}
+
+async function routeStream(message, signal, emit) {
+  switch (message.type) {
+    case 'ANALYZE_PAGE':
+      return await analyzePage(message.data, { signal, emit, force: message.force });
+
+    case 'RAG_QUERY':
+      return await ragQuery(message.data, signal, chunk => emit({ type: 'chunk', ...chunk }));
+
+    default:
+      return { success: false, error: 'Unknown message type' };
+  }
+}
+
+// Request tracking
+function trackRequest(tabId) {
+  const controller = new AbortController();
+  if (tabId === undefined) return controller;
+
+  if (!tabRequests.has(tabId)) {
+    tabRequests.set(tabId, new Set());
+  }
+  tabRequests.get(tabId).add(controller);
+  return controller;
+}
+
+function releaseRequest(tabId, controller) {
+  const controllers = tabRequests.get(tabId);
+  if (!controllers) return;
+
+  controllers.delete(controller);
+  if (controllers.size === 0) {
+    tabRequests.delete(tabId);
+  }
+}
+
+function cancelTabRequests(tabId) {
+  const controllers = tabRequests.get(tabId);
+  if (!controllers) return;
+
+  controllers.forEach(controller => controller.abort());
+  tabRequests.delete(tabId);
+}
+
+// Shape an APIError (or any other error) into a message response
+function errorResponse(error) {
+  return { success: false, error: error.message, code: error.code || null };
+}
+
+// content-loader.js found a paper: give its frame the full content scripts
+async function loadContentScripts(sender) {
+  try {
+    const target = { tabId: sender.tab.id, frameIds: [sender.frameId ?? 0] };
+    await chrome.scripting.insertCSS({ target, files: PAPER_STYLES });
+    await chrome.scripting.executeScript({ target, files: PAPER_SCRIPTS });
+    return { success: true };
+  } catch (error) {
+    return errorResponse(error);
+  }
+}
+
+// API communication functions
+async function checkBackendHealth() {
+  try {
+    const data = await apiClient.health();
+    return { success: true, data: { ...data, backendUrl: apiClient.baseUrl, apiMode: apiClient.mode } };
+  } catch (error) {
+    return errorResponse(error);
+  }
+}
+
+// Cached results are reused while the paper's content hash is unchanged;
+// force skips the cache (the sidebar's Refresh action).
+// emit, when given, receives progress events for a streaming sidebar.
+async function analyzePage(pageData, { signal, emit, force = false } = {}) {
+  try {
+    state.currentPaper = pageData;
+
+    const key = paperKey(pageData);
+    const contentHash = await hashContent(pageData.content);
+
+    if (!force) {
+      const cached = await readCachedAnalysis(key, contentHash);
+      if (cached) {
+        state.isIndexed = cached.indexed;
+        await recordPaper(key, pageData);
+        return { success: true, data: cached };
+      }
+    }
+
+    // Index the paper for RAG
+    emit?.({ type: 'status', message: 'Indexing paper...' });
+    const indexResult = await indexPaper(pageData, signal);
+    if (indexResult.code === ERROR_CODES.ABORTED) {
+      return indexResult;
+    }
+
+    // Get all analyses in parallel
+    emit?.({ type: 'status', message: 'Summarizing...' });
+    const onSummaryChunk = emit && (chunk => emit({ type: 'chunk', ...chunk }));
+    const [summary, keypoints] = await Promise.all([
+      getSummary(pageData, signal, onSummaryChunk),
+      extractKeypoints(pageData, signal)
+    ]);
+
+    // Surface the failure when nothing could be produced
+    if (!summary.success && !keypoints.success) {
+      return summary;
+    }
+
+    const analyzedAt = new Date().toISOString();
+    await analysisCache.update(key, {
+      contentHash,
+      title: pageData.title,
+      url: pageData.url,
+      summary: summary.data || null,
+      keypoints: keypoints.data || null,
+      indexed: indexResult.success,
+      analyzedAt
+    });
+    await recordPaper(key, pageData);
+
+    return {
+      success: true,
+      data: {
+        summary: summary.data,
+        keypoints: keypoints.data,
+        indexed: indexResult.success,
+        analyzedAt,
+        cached: false
+      }
+    };
+  } catch (error) {
+    return errorResponse(error);
+  }
+}
+
+async function getCachedAnalysis(pageData) {
+  try {
+    const key = paperKey(pageData);
+    const cached = await readCachedAnalysis(key, await hashContent(pageData.content));
+    return { success: true, data: cached };
+  } catch (error) {
+    return errorResponse(error);
+  }
+}
+
+// History entries joined with their cached TL;DR (also searchable), index
+// and key point status, tags and collections
+async function searchHistory(filters = {}) {
+  try {
+    const papers = await libraryPapers();
+    const results = filterPapers(papers, filters, paper => paper.tldr.join(' '));
+    return { success: true, data: results };
+  } catch (error) {
+    return errorResponse(error);
+  }
+}
+
+async function libraryPapers() {
+  const papers = await getPapers();
+  const entries = await analysisCache.peek(papers.map(paper => paper.key));
+  const withTldr = papers.map(paper => ({
+    ...paper,
+    tldr: entries[paper.key]?.summary?.tldr || [],
+    indexed: Boolean(entries[paper.key]?.indexed),
+    hasKeypoints: Boolean(entries[paper.key]?.keypoints)
+  }));
+  return withLibrary(withTldr, await getLibrary());
+}
+
+async function addCollection({ name } = {}) {
+  try {
+    return { success: true, data: await createCollection(name) };
+  } catch (error) {
+    return errorResponse(error);
+  }
+}
+
+// A cached analysis only counts when it is complete and the content matches
+async function readCachedAnalysis(key, contentHash) {
+  const entry = await analysisCache.get(key);
+  if (!entry || entry.contentHash !== contentHash || !entry.summary || !entry.keypoints) {
+    return null;
+  }
+
+  return {
+    summary: entry.summary,
+    keypoints: entry.keypoints,
+    indexed: entry.indexed,
+    analyzedAt: entry.analyzedAt,
+    cached: true
+  };
+}
+
+// Export the cached analysis, Q&A history and annotations of a paper in the requested format
+async function exportPaper({ format, paper }) {
+  try {
+    const key = paperKey(paper);
+    const entry = await analysisCache.get(key);
+    const annotations = await getAnnotations(key);
+    const qa = await getThread(key);
+    if (!entry?.summary && !entry?.keypoints && annotations.length === 0 && qa.length === 0) {
+      throw new Error('Analyze or annotate this paper before exporting it.');
+    }
+
+    const file = exportAnalysis(format, paper, {
+      summary: entry?.summary || null,
+      keypoints: entry?.keypoints || null,
+      qa,
+      annotations,
+      analyzedAt: entry?.analyzedAt || null
+    });
+    return { success: true, data: file };
+  } catch (error) {
+    return errorResponse(error);
+  }
+}
+
+// Key points of several papers aligned side by side. papers are history
+// entries ({ key }) or page data of analyzed tabs.
+async function comparePapers({ papers }) {
+  try {
+    return { success: true, data: buildComparison(await comparisonPapers(papers)) };
+  } catch (error) {
+    return errorResponse(error);
+  }
+}
+
+async function exportPaperComparison({ format, papers }) {
+  try {
+    const comparison = buildComparison(await comparisonPapers(papers));
+    return { success: true, data: exportComparison(format, comparison) };
+  } catch (error) {
+    return errorResponse(error);
+  }
+}
+
+async function comparisonPapers(papers = []) {
+  // The same paper picked from the library and from a tab counts once
+  const byKey = new Map(papers.map(paper => [paper.key || paperKey(paper), paper]));
+  if (byKey.size < 2) {
+    throw new Error('Choose at least two different papers to compare.');
+  }
+
+  const history = await getPapers();
+  const entries = await analysisCache.peek([...byKey.keys()]);
+
+  return [...byKey].map(([key, paper]) => {
+    const recorded = history.find(entry => entry.key === key);
+    const title = recorded?.title || entries[key]?.title || paper.title || 'Untitled';
+    if (!entries[key]?.keypoints) {
+      throw new Error(`No key points for "${title}" yet. Analyze it first.`);
+    }
+
+    return {
+      key,
+      title,
+      url: recorded?.url || entries[key].url || paper.url,
+      authors: recorded?.authors || paper.authors || [],
+      keypoints: entries[key].keypoints
+    };
+  });
+}
+
+// Citations of a paper in every format, in Cite menu order
+function getCitations({ paper }) {
+  try {
+    const citations = formatCitations(paper);
+    return {
+      success: true,
+      data: CITATION_FORMATS.map(format => ({ ...format, text: citations[format.id] }))
+    };
+  } catch (error) {
+    return errorResponse(error);
+  }
+}
+
+async function getSummary(data, signal, onChunk) {
+  try {
+    const result = await apiClient.summarize(data, { signal, onChunk });
+
+    // Streams that end without a final payload carry the TL;DR as plain text
+    if (typeof result.tldr === 'string') {
+      result.tldr = result.tldr
+        .split('\n')
+        .map(line => line.replace(/^\s*[-*•]\s*/, '').trim())
+        .filter(Boolean);
+    }
+
+    return { success: true, data: result };
+  } catch (error) {
+    return errorResponse(error);
+  }
+}
+
+async function explainEquation(data, signal) {
+  try {
+    const paper = data.paper || state.currentPaper;
+    const key = paper && paperKey(paper);
+    const equationHash = await hashContent(`${data.format}:${data.equation}`);
+
+    if (key) {
+      const entry = await analysisCache.get(key);
+      const cached = entry?.equations?.[equationHash];
+      if (cached) {
+        return { success: true, data: cached, cached: true };
+      }
+    }
+
+    const result = await apiClient.explainEquation(data, { signal });
+
+    if (key) {
+      await analysisCache.update(key, (entry) => ({
+        equations: { ...entry.equations, [equationHash]: result }
+      }));
+    }
+
+    return { success: true, data: result };
+  } catch (error) {
+    return errorResponse(error);
+  }
+}
+
+async function extractKeypoints(data, signal) {
+  try {
+    const result = await apiClient.extractKeypoints(data, { signal });
+    // Passages to highlight in the page for each contribution, dataset and metric
+    return { success: true, data: withSourceSpans(result, data.content) };
+  } catch (error) {
+    return errorResponse(error);
+  }
+}
+
+async function indexPaper(data, signal) {
+  try {
+    const result = await apiClient.indexPaper({
+      title: data.title,
+      content: data.content,
+      paperId: data.url,
+      chunks: data.chunks,
+      sections: sectionOffsets(data)
+    }, { signal });
+    state.isIndexed = true;
+    state.currentPaper = data;  // Store for later queries
+    return { success: true, data: result };
+  } catch (error) {
+    state.isIndexed = false;
+    return errorResponse(error);
+  }
+}
+
+// Where each section's text starts and ends in the content
+function sectionOffsets({ content = '', sections = [] }) {
+  let from = 0;
+  const found = [];
+  sections.forEach(section => {
+    const head = (section.content || '').trim().slice(0, 60);
+    const start = head ? content.indexOf(head, from) : -1;
+    if (start >= 0) {
+      found.push({ title: section.title, level: section.level, start });
+      from = start + head.length;
+    }
+  });
+  return found.map((section, i) => ({ ...section, end: found[i + 1]?.start ?? content.length }));
+}
+
+// scope is { type: 'paper' } (the default), { type: 'collection', id } or
+// { type: 'all' }; wider scopes query every indexed paper they cover.
+// Answers join the conversation of data.paper when one is given;
+// replaceFrom re-asks from that turn and drops the turns after it.
+async function ragQuery(data, signal, onChunk) {
+  try {
+    // Don't check state.isIndexed - let the backend tell us if it's indexed
+    // This handles cases where extension reloaded but backend still has the index
+    const paperId = data.paperId || data.paper?.url;
+    const scope = data.scope || { type: 'paper' };
+    const scoped = scope.type === 'paper' ? null : await scopePapers(scope);
+
+    if (!scoped && !paperId) {
+      throw new Error('No paper to ask about. Open a paper and ask from its page.');
+    }
+    if (scoped?.length === 0) {
+      throw new Error('No indexed papers in this scope yet. Analyze some papers first.');
+    }
+
+    // Only a named paper has a thread; another tab's paper must not get this turn
+    const key = data.paper ? paperKey(data.paper) : null;
+    const annotations = key ? await getAnnotations(key) : [];
+    const earlier = key ? (await getThread(key)).slice(0, data.replaceFrom) : [];
+
+    const result = await apiClient.ragQuery({
+      query: data.query,
+      paperId,
+      paperIds: scoped ? scoped.map(entry => entry.url) : [paperId],
+      topK: data.topK,
+      references: data.references,
+      annotations: annotations.map(({ category, note, anchor }) => ({ category, note, quote: anchor.quote })),
+      history: earlier.slice(-MAX_CONTEXT_TURNS).map(({ question, answer }) => ({ question, answer }))
+    }, { signal, onChunk });
+
+    result.sources = normalizeSources(result.sources || []);
+    if (scoped) {
+      result.sources = labelSources(result.sources, scoped);
+    }
+
+    // Keep the conversation so it reloads with the paper and can be exported
+    if (key && result.answer) {
+      const turn = {
+        question: data.query,
+        answer: result.answer,
+        sources: result.sources || [],
+        ...(scoped && { scope }),
+        askedAt: new Date().toISOString()
+      };
+      result.thread = await addTurn(key, turn, data.replaceFrom);
+    }
+
+    return { success: true, data: result };
+  } catch (error) {
+    return errorResponse(error);
+  }
+}
+
+// Indexed library papers a Q&A scope covers
+async function scopePapers(scope) {
+  const papers = (await libraryPapers()).filter(paper => paper.indexed);
+  return papersInScope(papers, await getLibrary(), scope);
+}
+
+/**
+ * Sources as the sidebar lists them: { text, section, score, start, end, anchor }
+ * plus whatever else the backend sent. Section and anchor come from the
+ * chunk (or section offsets) sent at indexing; score is the retrieval similarity.
+ */
+function normalizeSources(sources) {
+  return sources.map(source => ({
+    ...source,
+    text: source.text || source.content || '',
+    section: source.section || source.metadata?.section || null,
+    score: source.score ?? source.metadata?.score ?? null,
+    start: source.start ?? source.metadata?.start ?? null,
+    end: source.end ?? source.metadata?.end ?? null,
+    anchor: source.anchor || source.metadata?.anchor || null
+  }));
+}
+
+// Name the paper each source passage came from
+function labelSources(sources, papers) {
+  const byUrl = new Map(papers.map(paper => [paper.url, paper]));
+
+  return sources.map(source => {
+    const paper = byUrl.get(source.paper_id || source.paperId || source.metadata?.paper_id);
+    return paper ? { ...source, paper: { key: paper.key, title: paper.title, url: paper.url } } : source;
+  });
+}
+
+// Export for testing
+if (typeof module !== 'undefined') {
+  module.exports = { state, handleMessage };
+}
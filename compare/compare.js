@@ -0,0 +1,259 @@
+// AI Research Paper Helper - Compare Page Script
+// Picks papers from the library and open tabs and lines up their key points side by side
+
+// Helpers shared with the popup and library pages (utils/extension-page.js)
+const { sendToTab, paperRef, downloadFile, createElement } = ExtensionPage;
+
+const SEARCH_DEBOUNCE = 200;
+
+// Selected papers in the order they were picked, which is the column order:
+// library entries as { key, title }, open tabs as { tab, pageData }
+const selected = new Map();
+
+let searchTimer = null;
+let compared = null;
+
+document.addEventListener('DOMContentLoaded', init);
+
+async function init() {
+    setupEventListeners();
+    await Promise.all([loadLibrary(), loadOpenTabs()]);
+}
+
+function setupEventListeners() {
+    document.getElementById('library-search').addEventListener('input', () => {
+        clearTimeout(searchTimer);
+        searchTimer = setTimeout(loadLibrary, SEARCH_DEBOUNCE);
+    });
+
+    document.getElementById('compare-btn').addEventListener('click', handleCompare);
+    document.querySelectorAll('#compare-export button').forEach(btn => {
+        btn.addEventListener('click', () => handleExport(btn.dataset.format));
+    });
+}
+
+async function loadLibrary() {
+    const list = document.getElementById('library-list');
+    const query = document.getElementById('library-search').value.trim();
+
+    try {
+        const response = await chrome.runtime.sendMessage({ type: 'GET_HISTORY', data: { query } });
+        if (!response.success) {
+            throw new Error(response.error);
+        }
+
+        if (response.data.length === 0) {
+            list.replaceChildren(createElement('p', 'empty-state', query ? 'No papers match' : 'No papers analyzed yet'));
+            return;
+        }
+
+        list.replaceChildren(...response.data.map(paper => renderOption(`key:${paper.key}`, {
+            title: paper.title,
+            detail: paper.hasKeypoints ? [paper.pageType, paper.arxivId && `arXiv:${paper.arxivId}`].filter(Boolean).join(' · ')
+                : 'No key points yet — open the paper and analyze it',
+            disabled: !paper.hasKeypoints,
+            paper: { key: paper.key, title: paper.title }
+        })));
+    } catch (error) {
+        list.replaceChildren(createElement('p', 'empty-state', 'Failed to load library'));
+        console.error('Failed to load library', error);
+    }
+}
+
+/**
+ * Tabs whose content script recognizes a paper; they are analyzed (or read
+ * from the cache) when compared
+ */
+async function loadOpenTabs() {
+    const list = document.getElementById('tabs-list');
+    const tabs = await chrome.tabs.query({});
+
+    const found = await Promise.all(tabs.map(async tab => {
+        try {
+            const response = await sendToTab(tab, { type: 'GET_PAGE_DATA' });
+            return response?.success && response.data ? { tab, pageData: response.data } : null;
+        } catch (error) {
+            return null; // No content script on this tab
+        }
+    }));
+
+    const papers = found.filter(Boolean);
+    if (papers.length === 0) {
+        list.replaceChildren(createElement('p', 'empty-state', 'No open tabs with papers'));
+        return;
+    }
+
+    list.replaceChildren(...papers.map(({ tab, pageData }) => renderOption(`tab:${tab.id}`, {
+        title: pageData.title || tab.title,
+        detail: [pageData.pageType, hostname(pageData.url)].filter(Boolean).join(' · '),
+        paper: { tab, pageData }
+    })));
+}
+
+function renderOption(id, { title, detail, disabled = false, paper }) {
+    const label = createElement('label', 'picker-option');
+    label.classList.toggle('disabled', disabled);
+
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.disabled = disabled;
+    checkbox.checked = selected.has(id);
+    checkbox.addEventListener('change', () => {
+        if (checkbox.checked) {
+            selected.set(id, paper);
+        } else {
+            selected.delete(id);
+        }
+        updateSelection();
+    });
+
+    const info = createElement('div', 'picker-option-info');
+    info.append(createElement('div', 'picker-option-title', title || 'Untitled'), createElement('div', 'picker-option-detail', detail));
+
+    label.append(checkbox, info);
+    return label;
+}
+
+function updateSelection() {
+    document.getElementById('compare-btn').disabled = selected.size < 2;
+    setStatus(selected.size < 2 ? 'Choose two or more papers' : `${selected.size} papers selected`);
+}
+
+async function handleCompare() {
+    const button = document.getElementById('compare-btn');
+    button.disabled = true;
+
+    try {
+        const papers = [];
+        for (const paper of selected.values()) {
+            if (paper.pageData) {
+                // Analyze tabs first so their key points are in the cache
+                setStatus(`Analyzing "${paper.pageData.title}"...`);
+                // The tab chunks its page for indexing; if it's gone, analyze without chunks
+                const indexable = await sendToTab(paper.tab, { type: 'GET_INDEXABLE_DATA' }).catch(() => null);
+                const analysis = await chrome.runtime.sendMessage({
+                    type: 'ANALYZE_PAGE',
+                    data: indexable?.success ? indexable.data : paper.pageData
+                });
+                if (!analysis.success) {
+                    throw new Error(analysis.error);
+                }
+                papers.push(paperRef(paper.pageData));
+            } else {
+                papers.push({ key: paper.key });
+            }
+        }
+
+        setStatus('Comparing...');
+        const response = await chrome.runtime.sendMessage({ type: 'COMPARE_PAPERS', data: { papers } });
+        if (!response.success) {
+            throw new Error(response.error);
+        }
+
+        compared = papers;
+        renderComparison(response.data);
+        setStatus(`Comparing ${response.data.papers.length} papers`);
+        document.getElementById('compare-export').classList.remove('hidden');
+        await loadLibrary();
+    } catch (error) {
+        setStatus(error.message || 'Comparison failed', true);
+    } finally {
+        button.disabled = selected.size < 2;
+    }
+}
+
+/**
+ * One column per paper; each section lists its aligned rows
+ */
+function renderComparison(comparison) {
+    const table = createElement('table', 'compare-table');
+
+    const head = document.createElement('thead');
+    const headRow = document.createElement('tr');
+    headRow.appendChild(document.createElement('th'));
+    comparison.papers.forEach(paper => {
+        const th = createElement('th', 'paper-heading');
+        const link = createElement('a', '', paper.title);
+        link.href = paper.url;
+        link.target = '_blank';
+        link.rel = 'noopener';
+        th.appendChild(link);
+        if (paper.authors.length) {
+            th.appendChild(createElement('div', 'paper-authors', formatAuthors(paper.authors)));
+        }
+        headRow.appendChild(th);
+    });
+    head.appendChild(headRow);
+
+    const body = document.createElement('tbody');
+    comparison.sections.forEach(section => {
+        const sectionRow = createElement('tr', 'section-row');
+        const sectionCell = createElement('th', '', section.label);
+        sectionCell.colSpan = comparison.papers.length + 1;
+        sectionRow.appendChild(sectionCell);
+        body.appendChild(sectionRow);
+
+        if (section.rows.length === 0) {
+            const emptyRow = document.createElement('tr');
+            const emptyCell = createElement('td', 'empty-cell', 'None identified');
+            emptyCell.colSpan = comparison.papers.length + 1;
+            emptyRow.appendChild(emptyCell);
+            body.appendChild(emptyRow);
+            return;
+        }
+
+        section.rows.forEach(row => {
+            const tr = document.createElement('tr');
+            tr.appendChild(createElement('th', 'row-label', row.label));
+            row.cells.forEach(cell => tr.appendChild(renderCell(cell)));
+            body.appendChild(tr);
+        });
+    });
+
+    table.append(head, body);
+    document.getElementById('compare-result').replaceChildren(table);
+}
+
+function renderCell(values) {
+    const td = document.createElement('td');
+    if (values.length === 0) {
+        td.className = 'empty-cell';
+        td.textContent = '—';
+    } else if (values.length === 1) {
+        td.textContent = values[0];
+    } else {
+        const list = document.createElement('ul');
+        list.append(...values.map(value => createElement('li', '', value)));
+        td.appendChild(list);
+    }
+    return td;
+}
+
+async function handleExport(format) {
+    if (!compared) return;
+
+    const response = await chrome.runtime.sendMessage({ type: 'EXPORT_COMPARISON', data: { format, papers: compared } });
+    if (!response.success) {
+        setStatus(response.error || 'Export failed', true);
+        return;
+    }
+    downloadFile(response.data);
+}
+
+function setStatus(message, isError = false) {
+    const status = document.getElementById('compare-status');
+    status.textContent = message;
+    status.classList.toggle('error', isError);
+}
+
+function formatAuthors(authors) {
+    return authors.length > 3 ? `${authors.slice(0, 3).join(', ')} et al.` : authors.join(', ');
+}
+
+function hostname(url) {
+    try {
+        return new URL(url).hostname.replace(/^www\./, '');
+    } catch (error) {
+        return '';
+    }
+}
@@ -0,0 +1,56 @@
+// AI Research Paper Helper - Content Loader
+// Runs on every page: opens PDFs in the viewer and loads the content scripts only where there is a paper
+
+(function () {
+    'use strict';
+
+    const VIEWER_URL = chrome.runtime.getURL('viewer/viewer.html');
+    // Links to the original PDF carry this hash to opt out of the viewer
+    const ORIGINAL_PDF_HASH = '#ai-helper-original';
+    // PDFs opened in the viewer under the default "papers" setting
+    const PAPER_PDF_HOSTS = [
+        'arxiv.org',
+        'openreview.net',
+        'aclanthology.org',
+        'proceedings.neurips.cc',
+        'proceedings.mlr.press',
+        'openaccess.thecvf.com',
+        'biorxiv.org',
+        'medrxiv.org',
+        'ncbi.nlm.nih.gov'
+    ];
+
+    init();
+
+    async function init() {
+        if (await redirectPdfToViewer()) return;
+
+        // KaTeX, the parsers and content.js are injected by the background
+        // (utils/content-scripts.js) once the page turns out to hold a paper
+        if (PageDetector.detect(window.location.href, document)) {
+            chrome.runtime.sendMessage({ type: 'LOAD_CONTENT_SCRIPTS' });
+        }
+    }
+
+    /**
+     * Chrome's built-in PDF viewer exposes no text, so open the PDF in ours.
+     * The pdfViewer setting picks which PDFs: 'papers' (those on
+     * PAPER_PDF_HOSTS, the default), 'all' or 'off'.
+     */
+    async function redirectPdfToViewer() {
+        if (window.location.hash === ORIGINAL_PDF_HASH) return false;
+
+        const { hostname, pathname } = window.location;
+        const isArxivPdf = hostname.includes('arxiv.org') && pathname.startsWith('/pdf/');
+        if (!isArxivPdf && document.contentType !== 'application/pdf') return false;
+
+        const stored = await chrome.storage.local.get('settings');
+        const mode = stored.settings?.pdfViewer || 'papers';
+        const isPaperHost = PAPER_PDF_HOSTS.some(host => hostname === host || hostname.endsWith(`.${host}`));
+        if (mode === 'off' || (mode === 'papers' && !isPaperHost)) return false;
+
+        const fileUrl = window.location.href.split('#')[0];
+        window.location.replace(`${VIEWER_URL}?file=${encodeURIComponent(fileUrl)}`);
+        return true; // The viewer loads the content scripts itself
+    }
+})();
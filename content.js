@@ -1,916 +1,1932 @@
-// AI Research Paper Helper - Content Script
-// Handles page detection, content extraction, and UI injection
-
-(function () {
-    'use strict';
-
-    // Page type detection
-    const PAGE_TYPES = {
-        ARXIV: 'arxiv',
-        MEDIUM: 'medium',
-        BLOG: 'blog',
-        ARTICLE: 'article',
-        UNKNOWN: 'unknown'
-    };
-
-    // State
-    let pageData = null;
-    let sidebarInjected = false;
-    let equationHighlightsActive = false;
-
-    // Initialize on load
-    init();
-
-    function init() {
-        const pageType = detectPageType();
-
-        if (pageType === PAGE_TYPES.UNKNOWN) {
-            console.log('AI Research Helper: Page type not supported');
-            return;
-        }
-
-        console.log(`AI Research Helper: Detected ${pageType} page`);
-
-        // Extract content based on page type
-        pageData = extractContent(pageType);
-
-        // Inject sidebar toggle button
-        injectToggleButton();
-
-        // Set up equation click handlers
-        setupEquationHandlers();
-
-        // Listen for messages from popup/background
-        chrome.runtime.onMessage.addListener(handleMessage);
-
-        // Notify background script
-        chrome.runtime.sendMessage({
-            type: 'PAGE_DETECTED',
-            data: { pageType, url: window.location.href }
-        });
-    }
-
-    function detectPageType() {
-        const hostname = window.location.hostname;
-        const pathname = window.location.pathname;
-
-        if (hostname.includes('arxiv.org')) {
-            // If on PDF page, redirect to HTML view for full paper content
-            if (pathname.includes('/pdf/')) {
-                const arxivId = pathname.match(/\/pdf\/(\d+\.\d+)/)?.[1];
-                if (arxivId) {
-                    showNotification('Redirecting to HTML view for full paper...', 'info');
-                    // Use ar5iv which renders arXiv papers as HTML
-                    window.location.href = `https://ar5iv.labs.arxiv.org/html/${arxivId}`;
-                    return PAGE_TYPES.UNKNOWN; // Will reinitialize after redirect
-                }
-            }
-            if (pathname.includes('/abs/')) {
-                return PAGE_TYPES.ARXIV;
-            }
-        }
-
-        // ar5iv HTML view of arXiv papers
-        if (hostname.includes('ar5iv.labs.arxiv.org') || hostname.includes('ar5iv.org')) {
-            return PAGE_TYPES.ARXIV;
-        }
-
-        // Check for Medium - comprehensive detection
-        // Detects: medium.com/@user, medium.com/publication, and custom domains
-        const isMedium =
-            hostname.includes('medium.com') ||
-            hostname.includes('towardsdatascience.com') ||
-            hostname.includes('levelup.gitconnected.com') ||
-            hostname.includes('betterprogramming.pub') ||
-            hostname.includes('javascript.plainenglish.io') ||
-            hostname.includes('blog.devgenius.io') ||
-            hostname.includes('ai.gopubby.com') ||
-            hostname.includes('pub.towardsai.net') ||
-            // This catches ALL Medium publications including medium.com/publication-name
-            document.querySelector('meta[property="og:site_name"][content="Medium"]') !== null ||
-            document.querySelector('meta[property="al:android:package"][content="com.medium.reader"]') !== null ||
-            document.querySelector('script[src*="medium.com"]') !== null ||
-            document.querySelector('link[href*="medium.com"]') !== null;
-
-        if (isMedium) {
-            return PAGE_TYPES.MEDIUM;
-        }
-
-        // Check for blog-like structure
-        if (isBlogPage()) {
-            return PAGE_TYPES.BLOG;
-        }
-
-        // Fallback: Check if page has any readable content
-        if (isReadablePage()) {
-            return PAGE_TYPES.ARTICLE;
-        }
-
-        return PAGE_TYPES.UNKNOWN;
-    }
-
-    function isReadablePage() {
-        // Check if page has enough text content to be worth analyzing
-        const bodyText = document.body?.innerText || '';
-        const textLength = bodyText.length;
-
-        // Minimum 1000 characters of text content
-        if (textLength < 1000) return false;
-
-        // Check for common content indicators
-        const hasMainContent = document.querySelector('main, article, [role="main"], .content, .post, .entry, #content') !== null;
-        const hasParagraphs = document.querySelectorAll('p').length >= 3;
-        const hasHeadings = document.querySelectorAll('h1, h2, h3').length >= 1;
-
-        // If it has structured content, it's readable
-        if (hasMainContent && hasParagraphs) return true;
-        if (hasParagraphs && hasHeadings) return true;
-
-        // Even without structure, if there's a lot of text, consider it readable
-        return textLength > 3000;
-    }
-
-    function isBlogPage() {
-        // Heuristics for blog detection
-        const hasArticle = document.querySelector('article') !== null;
-        const hasLongContent = document.body.innerText.length > 3000;
-        const hasHeadings = document.querySelectorAll('h1, h2, h3').length >= 2;
-
-        // Also check for common blog indicators
-        const hasBlogMeta = document.querySelector('meta[property="og:type"][content*="article"]') !== null;
-        const hasPost = document.querySelector('.post, .post-content, .entry-content, .article-content') !== null;
-
-        return (hasArticle && hasLongContent && hasHeadings) || (hasBlogMeta && hasLongContent) || hasPost;
-    }
-
-    function extractContent(pageType) {
-        const extractors = {
-            [PAGE_TYPES.ARXIV]: extractArxivContent,
-            [PAGE_TYPES.MEDIUM]: extractMediumContent,
-            [PAGE_TYPES.BLOG]: extractBlogContent,
-            [PAGE_TYPES.ARTICLE]: extractArticleContent
-        };
-
-        const extractor = extractors[pageType];
-        const content = extractor ? extractor() : null;
-
-        if (content) {
-            content.pageType = pageType;
-            content.url = window.location.href;
-            content.extractedAt = new Date().toISOString();
-        }
-
-        return content;
-    }
-
-    function extractArxivContent() {
-        const title = document.querySelector('.title.mathjax')?.textContent?.replace('Title:', '').trim() ||
-            document.querySelector('h1.title')?.textContent?.trim() || '';
-
-        const abstract = document.querySelector('.abstract.mathjax')?.textContent?.replace('Abstract:', '').trim() ||
-            document.querySelector('blockquote.abstract')?.textContent?.trim() || '';
-
-        const authors = Array.from(document.querySelectorAll('.authors a'))
-            .map(a => a.textContent.trim());
-
-        // Extract sections from the page
-        const sections = extractSections();
-
-        // Extract equations (LaTeX)
-        const equations = extractEquations();
-
-        // Get full content
-        const contentElement = document.querySelector('#content-inner') ||
-            document.querySelector('.leftcolumn') ||
-            document.querySelector('article');
-        const content = contentElement?.innerText || '';
-
-        return {
-            title,
-            abstract,
-            authors,
-            sections,
-            equations,
-            content,
-            metadata: {
-                arxivId: extractArxivId(),
-                categories: extractCategories()
-            }
-        };
-    }
-
-    function extractArxivId() {
-        const match = window.location.pathname.match(/\/(?:abs|pdf)\/(\d+\.\d+)/);
-        return match ? match[1] : null;
-    }
-
-    function extractCategories() {
-        const categoryElement = document.querySelector('.primary-subject');
-        if (categoryElement) {
-            return [categoryElement.textContent.trim()];
-        }
-        return [];
-    }
-
-    function extractMediumContent() {
-        const title = document.querySelector('h1')?.textContent?.trim() || '';
-
-        const article = document.querySelector('article');
-        const paragraphs = article ?
-            Array.from(article.querySelectorAll('p')).map(p => p.textContent.trim()).join('\n\n') : '';
-
-        // Medium often has a subtitle
-        const subtitle = document.querySelector('h2')?.textContent?.trim() || '';
-
-        const author = document.querySelector('a[rel="author"]')?.textContent?.trim() || '';
-
-        const sections = extractSections();
-        const equations = extractEquations();
-
-        return {
-            title,
-            abstract: subtitle,
-            authors: author ? [author] : [],
-            sections,
-            equations,
-            content: paragraphs,
-            metadata: {
-                platform: 'medium'
-            }
-        };
-    }
-
-    function extractBlogContent() {
-        const title = document.querySelector('h1')?.textContent?.trim() ||
-            document.querySelector('title')?.textContent?.trim() || '';
-
-        const article = document.querySelector('article') ||
-            document.querySelector('main') ||
-            document.querySelector('.post-content') ||
-            document.querySelector('.entry-content');
-
-        const content = article?.innerText || document.body.innerText;
-
-        // Try to find an abstract/intro
-        const firstParagraphs = Array.from(document.querySelectorAll('article p, main p'))
-            .slice(0, 3)
-            .map(p => p.textContent.trim())
-            .join(' ');
-
-        const sections = extractSections();
-        const equations = extractEquations();
-
-        return {
-            title,
-            abstract: firstParagraphs.substring(0, 500),
-            authors: [],
-            sections,
-            equations,
-            content,
-            metadata: {
-                platform: 'blog'
-            }
-        };
-    }
-
-    function extractArticleContent() {
-        // Universal article extractor for any webpage
-        const title = extractBestTitle();
-        const content = extractMainContent();
-        const abstract = extractDescription();
-        const author = extractAuthor();
-        const sections = extractSections();
-        const equations = extractEquations();
-
-        return {
-            title,
-            abstract,
-            authors: author ? [author] : [],
-            sections,
-            equations,
-            content,
-            metadata: {
-                platform: 'article',
-                domain: window.location.hostname,
-                publishDate: extractPublishDate()
-            }
-        };
-    }
-
-    function extractBestTitle() {
-        // Try multiple strategies to find the best title
-        const h1 = document.querySelector('article h1, main h1, h1');
-        if (h1) return h1.textContent.trim();
-
-        const ogTitle = document.querySelector('meta[property="og:title"]');
-        if (ogTitle) return ogTitle.content;
-
-        const twitterTitle = document.querySelector('meta[name="twitter:title"]');
-        if (twitterTitle) return twitterTitle.content;
-
-        return document.title?.split(' | ')[0]?.split(' - ')[0]?.trim() || '';
-    }
-
-    function extractMainContent() {
-        // Priority order for finding main content
-        const selectors = [
-            'article',
-            'main',
-            '[role="main"]',
-            '.post-content',
-            '.article-content',
-            '.entry-content',
-            '.content',
-            '#content',
-            '.post',
-            '.article'
-        ];
-
-        for (const selector of selectors) {
-            const el = document.querySelector(selector);
-            if (el && el.innerText.length > 500) {
-                return cleanContent(el.innerText);
-            }
-        }
-
-        // Fallback: extract body content with noise removal
-        return cleanContent(document.body.innerText);
-    }
-
-    function cleanContent(text) {
-        // Remove common noise patterns
-        return text
-            .replace(/^\s*Share\s+(on\s+)?(Facebook|Twitter|LinkedIn|Email).*$/gmi, '')
-            .replace(/^\s*(Subscribe|Sign up|Newsletter).*$/gmi, '')
-            .replace(/^\s*Advertisement\s*$/gmi, '')
-            .replace(/\n{3,}/g, '\n\n')
-            .trim();
-    }
-
-    function extractDescription() {
-        // Try meta description first
-        const metaDesc = document.querySelector('meta[name="description"]');
-        if (metaDesc?.content) return metaDesc.content;
-
-        const ogDesc = document.querySelector('meta[property="og:description"]');
-        if (ogDesc?.content) return ogDesc.content;
-
-        // Fallback to first paragraphs
-        const paragraphs = document.querySelectorAll('article p, main p, .content p, p');
-        const firstParas = Array.from(paragraphs)
-            .slice(0, 3)
-            .map(p => p.textContent.trim())
-            .filter(t => t.length > 50)
-            .join(' ');
-
-        return firstParas.substring(0, 500);
-    }
-
-    function extractAuthor() {
-        // Multiple strategies for finding author
-        const selectors = [
-            '[rel="author"]',
-            '.author',
-            '.byline',
-            '[itemprop="author"]',
-            '.author-name',
-            '.post-author'
-        ];
-
-        for (const selector of selectors) {
-            const el = document.querySelector(selector);
-            if (el) {
-                return el.textContent.replace(/^by\s*/i, '').trim();
-            }
-        }
-
-        // Try meta tags
-        const metaAuthor = document.querySelector('meta[name="author"]');
-        if (metaAuthor?.content) return metaAuthor.content;
-
-        return '';
-    }
-
-    function extractPublishDate() {
-        // Try multiple sources for publish date
-        const timeEl = document.querySelector('time[datetime], [itemprop="datePublished"]');
-        if (timeEl) {
-            return timeEl.getAttribute('datetime') || timeEl.textContent.trim();
-        }
-
-        const metaDate = document.querySelector('meta[property="article:published_time"]');
-        if (metaDate?.content) return metaDate.content;
-
-        return null;
-    }
-
-    function extractSections() {
-        const sections = [];
-        const headings = document.querySelectorAll('h1, h2, h3, h4');
-
-        headings.forEach((heading, index) => {
-            const level = parseInt(heading.tagName.charAt(1));
-            const title = heading.textContent.trim();
-
-            // Get content until next heading
-            let content = '';
-            let sibling = heading.nextElementSibling;
-
-            while (sibling && !sibling.matches('h1, h2, h3, h4')) {
-                content += sibling.textContent + '\n';
-                sibling = sibling.nextElementSibling;
-            }
-
-            sections.push({
-                level,
-                title,
-                content: content.trim(),
-                index
-            });
-        });
-
-        return sections;
-    }
-
-    function extractEquations() {
-        const equations = [];
-
-        // LaTeX equations (MathJax)
-        const mathJaxElements = document.querySelectorAll('.MathJax, .MathJax_Display, script[type*="math/tex"]');
-        mathJaxElements.forEach((el, index) => {
-            let latex = '';
-
-            if (el.tagName === 'SCRIPT') {
-                latex = el.textContent;
-            } else {
-                // Try to get the original LaTeX from MathJax
-                const script = el.querySelector('script[type*="math/tex"]');
-                if (script) {
-                    latex = script.textContent;
-                } else {
-                    // Fallback to alt text or title
-                    latex = el.getAttribute('alt') || el.getAttribute('title') || el.textContent;
-                }
-            }
-
-            if (latex) {
-                equations.push({
-                    id: `eq-${index}`,
-                    latex: latex.trim(),
-                    format: 'latex',
-                    element: el,
-                    context: getEquationContext(el)
-                });
-            }
-        });
-
-        // MathML equations
-        const mathMLElements = document.querySelectorAll('math');
-        mathMLElements.forEach((el, index) => {
-            equations.push({
-                id: `eq-mathml-${index}`,
-                mathml: el.outerHTML,
-                format: 'mathml',
-                element: el,
-                context: getEquationContext(el)
-            });
-        });
-
-        return equations;
-    }
-
-    function getEquationContext(element) {
-        // Get surrounding text for context
-        const parent = element.closest('p, div, section');
-        if (parent) {
-            const text = parent.textContent;
-            return text.substring(0, 500);
-        }
-        return '';
-    }
-
-    function injectToggleButton() {
-        const button = document.createElement('button');
-        button.id = 'ai-helper-toggle';
-        button.innerHTML = `
-      <svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-        <path d="M12 2L2 7l10 5 10-5-10-5z"/>
-        <path d="M2 17l10 5 10-5"/>
-        <path d="M2 12l10 5 10-5"/>
-      </svg>
-    `;
-        button.title = 'Toggle AI Research Helper';
-        button.addEventListener('click', toggleSidebar);
-
-        document.body.appendChild(button);
-    }
-
-    function toggleSidebar() {
-        if (!sidebarInjected) {
-            injectSidebar();
-            sidebarInjected = true;
-        }
-
-        const sidebar = document.getElementById('ai-helper-sidebar');
-        if (sidebar) {
-            sidebar.classList.toggle('visible');
-        }
-    }
-
-    function injectSidebar() {
-        const sidebar = document.createElement('div');
-        sidebar.id = 'ai-helper-sidebar';
-        sidebar.innerHTML = `
-      <div class="sidebar-header">
-        <h2>AI Research Helper</h2>
-        <button class="close-btn" id="ai-helper-close">&times;</button>
-      </div>
-      <div class="sidebar-content">
-        <div class="page-info">
-          <span class="page-type-badge">${pageData?.pageType || 'unknown'}</span>
-          <h3 class="paper-title">${pageData?.title || 'Untitled'}</h3>
-        </div>
-        
-        <div class="action-buttons">
-          <button id="analyze-btn" class="primary-btn">
-            <span class="icon">🔍</span> Analyze Paper
-          </button>
-        </div>
-        
-        <div class="tabs">
-          <button class="tab-btn active" data-tab="summary">Summary</button>
-          <button class="tab-btn" data-tab="equations">Equations</button>
-          <button class="tab-btn" data-tab="keypoints">Key Points</button>
-          <button class="tab-btn" data-tab="qa">Ask Q&A</button>
-        </div>
-        
-        <div class="tab-content">
-          <div id="summary-tab" class="tab-panel active">
-            <div class="summary-placeholder">
-              Click "Analyze Paper" to generate summaries
-            </div>
-          </div>
-          
-          <div id="equations-tab" class="tab-panel">
-            <div class="equations-list">
-              ${pageData?.equations?.length ?
-                `<p>Found ${pageData.equations.length} equations. Click on any equation in the page to get an explanation.</p>` :
-                '<p>No equations detected on this page.</p>'
-            }
-            </div>
-          </div>
-          
-          <div id="keypoints-tab" class="tab-panel">
-            <div class="keypoints-placeholder">
-              Click "Analyze Paper" to extract key points
-            </div>
-          </div>
-          
-          <div id="qa-tab" class="tab-panel">
-            <div class="qa-container">
-              <div class="qa-input-container">
-                <textarea id="qa-input" placeholder="Ask a question about this paper..."></textarea>
-                <button id="qa-submit" class="primary-btn">Ask</button>
-              </div>
-              <div id="qa-response" class="qa-response"></div>
-            </div>
-          </div>
-        </div>
-        
-        <div id="loading-overlay" class="loading-overlay hidden">
-          <div class="spinner"></div>
-          <p class="loading-text">Analyzing...</p>
-        </div>
-      </div>
-    `;
-
-        document.body.appendChild(sidebar);
-
-        // Set up event listeners
-        setupSidebarEvents();
-    }
-
-    function setupSidebarEvents() {
-        // Close button
-        document.getElementById('ai-helper-close')?.addEventListener('click', toggleSidebar);
-
-        // Analyze button
-        document.getElementById('analyze-btn')?.addEventListener('click', analyzePaper);
-
-        // Tab switching
-        document.querySelectorAll('.tab-btn').forEach(btn => {
-            btn.addEventListener('click', () => switchTab(btn.dataset.tab));
-        });
-
-        // Q&A submit
-        document.getElementById('qa-submit')?.addEventListener('click', submitQuestion);
-        document.getElementById('qa-input')?.addEventListener('keydown', (e) => {
-            if (e.key === 'Enter' && !e.shiftKey) {
-                e.preventDefault();
-                submitQuestion();
-            }
-        });
-    }
-
-    function switchTab(tabName) {
-        // Update tab buttons
-        document.querySelectorAll('.tab-btn').forEach(btn => {
-            btn.classList.toggle('active', btn.dataset.tab === tabName);
-        });
-
-        // Update tab panels
-        document.querySelectorAll('.tab-panel').forEach(panel => {
-            panel.classList.toggle('active', panel.id === `${tabName}-tab`);
-        });
-    }
-
-    async function analyzePaper() {
-        if (!pageData) {
-            showError('No content to analyze');
-            return;
-        }
-
-        showLoading('Analyzing paper...');
-
-        try {
-            const response = await chrome.runtime.sendMessage({
-                type: 'ANALYZE_PAGE',
-                data: pageData
-            });
-
-            if (response.success) {
-                displayResults(response.data);
-            } else {
-                showError(response.error || 'Analysis failed');
-            }
-        } catch (error) {
-            showError('Failed to communicate with backend. Is the server running?');
-        } finally {
-            hideLoading();
-        }
-    }
-
-    function displayResults(data) {
-        // Display summaries
-        if (data.summary) {
-            const summaryTab = document.getElementById('summary-tab');
-            summaryTab.innerHTML = `
-        <div class="summary-section">
-          <h4>TL;DR</h4>
-          <ul class="tldr-list">
-            ${data.summary.tldr?.map(point => `<li>${point}</li>`).join('') || '<li>No summary available</li>'}
-          </ul>
-        </div>
-        
-        <div class="summary-section">
-          <h4>Technical Summary</h4>
-          <p>${data.summary.technical || 'No technical summary available'}</p>
-        </div>
-        
-        <div class="summary-section">
-          <h4>Beginner-Friendly Explanation</h4>
-          <p>${data.summary.beginner || 'No beginner explanation available'}</p>
-        </div>
-      `;
-        }
-
-        // Display key points
-        if (data.keypoints) {
-            const keypointsTab = document.getElementById('keypoints-tab');
-            keypointsTab.innerHTML = `
-        <div class="keypoints-section">
-          <h4>Novel Contributions</h4>
-          <ul>${data.keypoints.contributions?.map(c => `<li>${c}</li>`).join('') || '<li>None identified</li>'}</ul>
-        </div>
-        
-        <div class="keypoints-section">
-          <h4>Datasets Used</h4>
-          <div class="chips">${data.keypoints.datasets?.map(d => `<span class="chip">${d}</span>`).join('') || '<span class="chip">None mentioned</span>'}</div>
-        </div>
-        
-        <div class="keypoints-section">
-          <h4>Evaluation Metrics</h4>
-          <div class="chips">${data.keypoints.metrics?.map(m => `<span class="chip">${m}</span>`).join('') || '<span class="chip">None mentioned</span>'}</div>
-        </div>
-        
-        <div class="keypoints-section">
-          <h4>Key Concepts</h4>
-          <div class="chips">${data.keypoints.concepts?.map(c => `<span class="chip tooltip" data-tooltip="${c.description || ''}">${c.name || c}</span>`).join('') || '<span class="chip">None identified</span>'}</div>
-        </div>
-      `;
-        }
-
-        // Show success message
-        showNotification('Analysis complete!');
-    }
-
-    async function submitQuestion() {
-        const input = document.getElementById('qa-input');
-        const responseDiv = document.getElementById('qa-response');
-        const query = input.value.trim();
-
-        if (!query) return;
-
-        showLoading('Searching paper...');
-
-        try {
-            const response = await chrome.runtime.sendMessage({
-                type: 'RAG_QUERY',
-                data: { query, topK: 5 }
-            });
-
-            if (response.success) {
-                responseDiv.innerHTML = `
-          <div class="qa-answer">
-            <h5>Answer:</h5>
-            <p>${response.data.answer}</p>
-          </div>
-          ${response.data.sources?.length ? `
-            <div class="qa-sources">
-              <h5>Sources:</h5>
-              <ul>
-                ${response.data.sources.map(s => `<li class="source-item">${s.text}</li>`).join('')}
-              </ul>
-            </div>
-          ` : ''}
-        `;
-            } else {
-                responseDiv.innerHTML = `<div class="error">${response.error}</div>`;
-            }
-        } catch (error) {
-            responseDiv.innerHTML = `<div class="error">Failed to get answer</div>`;
-        } finally {
-            hideLoading();
-        }
-    }
-
-    function setupEquationHandlers() {
-        if (!pageData?.equations) return;
-
-        pageData.equations.forEach(eq => {
-            if (eq.element) {
-                eq.element.classList.add('ai-helper-equation');
-                eq.element.addEventListener('click', () => showEquationExplanation(eq));
-            }
-        });
-    }
-
-    async function showEquationExplanation(equation) {
-        showLoading('Explaining equation...');
-
-        try {
-            const response = await chrome.runtime.sendMessage({
-                type: 'EXPLAIN_EQUATION',
-                data: {
-                    equation: equation.latex || equation.mathml,
-                    context: equation.context,
-                    format: equation.format
-                }
-            });
-
-            if (response.success) {
-                showEquationPopup(equation.element, response.data);
-            } else {
-                showError(response.error);
-            }
-        } catch (error) {
-            showError('Failed to explain equation');
-        } finally {
-            hideLoading();
-        }
-    }
-
-    function showEquationPopup(element, explanation) {
-        // Remove existing popups
-        document.querySelectorAll('.equation-popup').forEach(p => p.remove());
-
-        const popup = document.createElement('div');
-        popup.className = 'equation-popup';
-        popup.innerHTML = `
-      <div class="equation-popup-header">
-        <h4>Equation Explanation</h4>
-        <button class="close-btn">&times;</button>
-      </div>
-      <div class="equation-popup-body">
-        <div class="equation-readable">
-          <strong>Readable form:</strong> ${explanation.readable || 'N/A'}
-        </div>
-        <div class="equation-meaning">
-          <strong>What it represents:</strong> ${explanation.meaning || 'N/A'}
-        </div>
-        <div class="equation-variables">
-          <strong>Variables:</strong>
-          <ul>
-            ${explanation.variables?.map(v => `<li><code>${v.symbol}</code>: ${v.description}</li>`).join('') || '<li>No variables identified</li>'}
-          </ul>
-        </div>
-        <div class="equation-importance">
-          <strong>Why it matters:</strong> ${explanation.importance || 'N/A'}
-        </div>
-      </div>
-    `;
-
-        // Position near the element
-        const rect = element.getBoundingClientRect();
-        popup.style.top = `${rect.bottom + window.scrollY + 10}px`;
-        popup.style.left = `${rect.left + window.scrollX}px`;
-
-        document.body.appendChild(popup);
-
-        // Close button handler
-        popup.querySelector('.close-btn').addEventListener('click', () => popup.remove());
-
-        // Close on outside click
-        document.addEventListener('click', function closePopup(e) {
-            if (!popup.contains(e.target) && !element.contains(e.target)) {
-                popup.remove();
-                document.removeEventListener('click', closePopup);
-            }
-        });
-    }
-
-    function handleMessage(message, sender, sendResponse) {
-        switch (message.type) {
-            case 'GET_PAGE_DATA':
-                sendResponse({ success: true, data: pageData });
-                break;
-
-            case 'TOGGLE_SIDEBAR':
-                toggleSidebar();
-                sendResponse({ success: true });
-                break;
-
-            case 'HIGHLIGHT_CONTRIBUTIONS':
-                highlightContributions(message.data);
-                sendResponse({ success: true });
-                break;
-
-            default:
-                sendResponse({ success: false, error: 'Unknown message type' });
-        }
-        return true;
-    }
-
-    function highlightContributions(contributions) {
-        // Create highlight overlay for key contributions
-        contributions.forEach(contribution => {
-            // Find matching text in the document
-            const walker = document.createTreeWalker(
-                document.body,
-                NodeFilter.SHOW_TEXT,
-                null,
-                false
-            );
-
-            let node;
-            while (node = walker.nextNode()) {
-                if (node.textContent.includes(contribution.text)) {
-                    const span = document.createElement('span');
-                    span.className = 'ai-helper-highlight';
-                    span.title = contribution.type;
-
-                    const range = document.createRange();
-                    const startIndex = node.textContent.indexOf(contribution.text);
-                    range.setStart(node, startIndex);
-                    range.setEnd(node, startIndex + contribution.text.length);
-                    range.surroundContents(span);
-                    break;
-                }
-            }
-        });
-    }
-
-    // Utility functions
-    function showLoading(text = 'Loading...') {
-        const overlay = document.getElementById('loading-overlay');
-        if (overlay) {
-            overlay.querySelector('.loading-text').textContent = text;
-            overlay.classList.remove('hidden');
-        }
-    }
-
-    function hideLoading() {
-        const overlay = document.getElementById('loading-overlay');
-        if (overlay) {
-            overlay.classList.add('hidden');
-        }
-    }
-
-    function showError(message) {
-        showNotification(message, 'error');
-    }
-
-    function showNotification(message, type = 'success') {
-        const notification = document.createElement('div');
-        notification.className = `ai-helper-notification ${type}`;
-        notification.textContent = message;
-
-        document.body.appendChild(notification);
-
-        setTimeout(() => {
-            notification.classList.add('fade-out');
-            setTimeout(() => notification.remove(), 300);
-        }, 3000);
-    }
-
-})();
+// AI Research Paper Helper - Content Script
+// Handles page detection, UI injection, and communication with the background
+
+(function () {
+    'use strict';
+
+    // The PDF viewer (viewer/) loads this script into an extension page
+    const VIEWER_URL = chrome.runtime.getURL('viewer/viewer.html');
+    const isViewer = window.location.href.startsWith(VIEWER_URL);
+
+    // Escaping template for everything page- or backend-derived (utils/sanitize.js)
+    const { html } = SafeHTML;
+
+    // State
+    let pageData = null;
+    // The chunks the paper is indexed in (utils/chunker.js), built on first analysis
+    let pageChunks = null;
+    let sidebarInjected = false;
+    let analysisLoaded = false;
+    let equationHighlightsActive = false;
+    let viewerTabId = null;
+    // Cross-reference elements and their resolved targets (utils/cross-refs.js)
+    const crossRefTargets = new WeakMap();
+    let crossRefCard = null;
+    let crossRefOwner = null;
+    let crossRefHideTimer = null;
+    // The reader's highlights (utils/anchors.js) and the marks wrapping each, by id
+    let annotations = [];
+    const annotationMarks = new Map();
+    let annotateToolbar = null;
+    let pendingAnchor = null;
+    // Key point passages highlighted in the page, by "kind:index"
+    const keypointMarks = new Map();
+    let keypointHighlightsVisible = true;
+    // The paper's Q&A conversation, and the turn being edited (re-asked from) if any
+    let qaThread = [];
+    let editingTurn = null;
+    // Marks briefly showing a Q&A source passage in the page
+    let sourceMarks = [];
+
+    // Highlight categories offered for a selection; colors are in content.css
+    const ANNOTATION_CATEGORIES = [
+        { id: 'important', label: 'Important' },
+        { id: 'method', label: 'Method' },
+        { id: 'question', label: 'Question' },
+        { id: 'critique', label: 'Critique' }
+    ];
+
+    // Initialize on load
+    init();
+
+    function init() {
+        // In the viewer, extract from the PDF's own URL rather than the viewer's
+        const pageUrl = document.documentElement.dataset.sourceUrl || window.location.href;
+
+        // Detect the page type and extract content with the matching extractor
+        pageData = Extractors.detectAndExtract(pageUrl, document);
+
+        if (!pageData) {
+            console.log('AI Research Helper: Page type not supported');
+            return;
+        }
+
+        console.log(`AI Research Helper: Detected ${pageData.pageType} page`);
+
+        // Inject sidebar toggle button
+        injectToggleButton();
+
+        // Set up equation click handlers
+        setupEquationHandlers();
+
+        // Hover previews for "Eq. (3)", "Figure 2", "[12]" and the like
+        setupCrossReferences();
+
+        // Select-to-highlight, and the highlights saved on earlier visits
+        setupAnnotations();
+
+        // Listen for messages from popup/background
+        if (isViewer) {
+            chrome.tabs.getCurrent().then(tab => { viewerTabId = tab?.id ?? null; });
+            chrome.runtime.onMessage.addListener(handleViewerMessage);
+        } else {
+            chrome.runtime.onMessage.addListener(handleMessage);
+        }
+
+        // Notify background script
+        chrome.runtime.sendMessage({
+            type: 'PAGE_DETECTED',
+            data: { pageType: pageData.pageType, url: pageData.url }
+        });
+    }
+
+    function injectToggleButton() {
+        const button = document.createElement('button');
+        button.id = 'ai-helper-toggle';
+        button.innerHTML = `
+      <svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+        <path d="M12 2L2 7l10 5 10-5-10-5z"/>
+        <path d="M2 17l10 5 10-5"/>
+        <path d="M2 12l10 5 10-5"/>
+      </svg>
+    `;
+        button.title = 'Toggle AI Research Helper';
+        button.addEventListener('click', toggleSidebar);
+
+        document.body.appendChild(button);
+    }
+
+    function toggleSidebar() {
+        if (!sidebarInjected) {
+            injectSidebar();
+            sidebarInjected = true;
+        }
+
+        const sidebar = document.getElementById('ai-helper-sidebar');
+        if (sidebar) {
+            sidebar.classList.toggle('visible');
+        }
+    }
+
+    function openSidebar(tab) {
+        if (!document.getElementById('ai-helper-sidebar')?.classList.contains('visible')) {
+            toggleSidebar();
+        }
+        if (tab) {
+            switchTab(tab);
+        }
+    }
+
+    function injectSidebar() {
+        const sidebar = document.createElement('div');
+        sidebar.id = 'ai-helper-sidebar';
+        sidebar.innerHTML = html`
+      <div class="sidebar-header">
+        <h2>AI Research Helper</h2>
+        <button class="close-btn" id="ai-helper-close">&times;</button>
+      </div>
+      <div class="sidebar-content">
+        <div class="page-info">
+          <span class="page-type-badge">${pageData?.pageType || 'unknown'}</span>
+          <h3 class="paper-title">${pageData?.title || 'Untitled'}</h3>
+          <p class="analysis-meta hidden"></p>
+          <button id="cite-btn" class="export-btn cite-btn">❝ Cite</button>
+          <div id="cite-menu" class="cite-menu hidden"></div>
+        </div>
+        
+        <div class="action-buttons">
+          <button id="analyze-btn" class="primary-btn">
+            <span class="icon">🔍</span> Analyze Paper
+          </button>
+          <button id="analyze-stop" class="stop-btn hidden">Stop</button>
+        </div>
+
+        <div class="export-bar hidden">
+          <select id="export-format" aria-label="Export format">
+            <option value="markdown">Markdown note</option>
+            <option value="bibtex">BibTeX</option>
+            <option value="json">JSON</option>
+          </select>
+          <button id="export-download" class="export-btn">Download</button>
+          <button id="export-copy" class="export-btn">Copy</button>
+        </div>
+        
+        <div class="tabs">
+          <button class="tab-btn active" data-tab="summary">Summary</button>
+          <button class="tab-btn" data-tab="equations">Equations</button>
+          <button class="tab-btn" data-tab="keypoints">Key Points</button>
+          <button class="tab-btn" data-tab="qa">Ask Q&A</button>
+          <button class="tab-btn" data-tab="references">References</button>
+          <button class="tab-btn" data-tab="notes">Notes</button>
+        </div>
+        
+        <div class="tab-content">
+          <div id="summary-tab" class="tab-panel active">
+            <div class="summary-placeholder">
+              Click "Analyze Paper" to generate summaries
+            </div>
+          </div>
+          
+          <div id="equations-tab" class="tab-panel">
+            <div class="equations-list" id="equations-list"></div>
+          </div>
+          
+          <div id="keypoints-tab" class="tab-panel">
+            <div class="keypoints-placeholder">
+              Click "Analyze Paper" to extract key points
+            </div>
+          </div>
+          
+          <div id="qa-tab" class="tab-panel">
+            <div class="qa-container">
+              <div id="qa-thread" class="qa-thread"></div>
+              <div class="qa-input-container">
+                <div class="qa-toolbar">
+                  <select id="qa-scope" aria-label="Question scope">
+                    <option value="paper">This paper</option>
+                    <option value="all">All papers</option>
+                  </select>
+                  <button id="qa-clear" class="qa-link-btn">Clear conversation</button>
+                </div>
+                <div id="qa-editing" class="qa-editing hidden">
+                  Editing an earlier question; later turns will be replaced.
+                  <button id="qa-cancel-edit" class="qa-link-btn">Cancel</button>
+                </div>
+                <textarea id="qa-input" placeholder="Ask a question about this paper..."></textarea>
+                <button id="qa-submit" class="primary-btn">Ask</button>
+                <button id="qa-stop" class="stop-btn hidden">Stop</button>
+              </div>
+            </div>
+          </div>
+
+          <div id="references-tab" class="tab-panel">
+            <div class="references-list" id="references-list"></div>
+          </div>
+
+          <div id="notes-tab" class="tab-panel">
+            <div class="notes-list" id="notes-list"></div>
+          </div>
+        </div>
+        
+        <div id="loading-overlay" class="loading-overlay hidden">
+          <div class="spinner"></div>
+          <p class="loading-text">Analyzing...</p>
+        </div>
+      </div>
+    `;
+
+        document.body.appendChild(sidebar);
+
+        // Set up event listeners
+        setupSidebarEvents();
+
+        renderEquationsTab();
+        renderReferencesTab();
+        renderNotesTab();
+
+        // Show a previous analysis of this paper right away
+        loadCachedAnalysis();
+        loadQaThread();
+    }
+
+    async function loadCachedAnalysis() {
+        if (!pageData) return;
+
+        try {
+            const response = await chrome.runtime.sendMessage({
+                type: 'GET_CACHED_ANALYSIS',
+                data: pageData
+            });
+
+            if (response?.success && response.data && !analysisLoaded) {
+                displayResults(response.data);
+            }
+        } catch (error) {
+            console.warn('AI Research Helper: Could not read analysis cache', error);
+        }
+    }
+
+    function setupSidebarEvents() {
+        // Close button
+        document.getElementById('ai-helper-close')?.addEventListener('click', toggleSidebar);
+
+        // Analyze button (re-runs the analysis once results are shown)
+        document.getElementById('analyze-btn')?.addEventListener('click', () => analyzePaper(analysisLoaded));
+
+        // Cite
+        document.getElementById('cite-btn')?.addEventListener('click', toggleCiteMenu);
+
+        // Export
+        document.getElementById('export-download')?.addEventListener('click', () => exportAnalysis('download'));
+        document.getElementById('export-copy')?.addEventListener('click', () => exportAnalysis('copy'));
+
+        // Tab switching
+        document.querySelectorAll('.tab-btn').forEach(btn => {
+            btn.addEventListener('click', () => switchTab(btn.dataset.tab));
+        });
+
+        // Q&A submit
+        document.getElementById('qa-submit')?.addEventListener('click', submitQuestion);
+        document.getElementById('qa-input')?.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' && !e.shiftKey) {
+                e.preventDefault();
+                submitQuestion();
+            } else if (e.key === 'Escape' && editingTurn !== null) {
+                cancelEdit();
+            }
+        });
+
+        // Q&A conversation: edit or re-ask a turn, show a source in the page
+        document.getElementById('qa-thread')?.addEventListener('click', (e) => {
+            const turn = e.target.closest('.qa-turn');
+            const button = e.target.closest('[data-turn-action]');
+            const source = e.target.closest('.source-item.locatable');
+
+            if (button) {
+                const index = Number(turn.dataset.turn);
+                if (button.dataset.turnAction === 'edit') {
+                    editTurn(index);
+                } else {
+                    reaskTurn(index);
+                }
+            } else if (source && !e.target.closest('a')) {
+                showSource(qaThread[Number(turn.dataset.turn)].sources[Number(source.dataset.source)]);
+            }
+        });
+        document.getElementById('qa-cancel-edit')?.addEventListener('click', cancelEdit);
+        document.getElementById('qa-clear')?.addEventListener('click', clearQaThread);
+    }
+
+    function switchTab(tabName) {
+        // Update tab buttons
+        document.querySelectorAll('.tab-btn').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.tab === tabName);
+        });
+
+        // Update tab panels
+        document.querySelectorAll('.tab-panel').forEach(panel => {
+            panel.classList.toggle('active', panel.id === `${tabName}-tab`);
+        });
+
+        if (tabName === 'qa') {
+            loadQaScopes();
+        }
+    }
+
+    /**
+     * Offer each library collection as a Q&A scope, keeping the current choice
+     */
+    async function loadQaScopes() {
+        const select = document.getElementById('qa-scope');
+        if (!select) return;
+
+        try {
+            const response = await chrome.runtime.sendMessage({ type: 'GET_COLLECTIONS' });
+            if (!response?.success) return;
+
+            const selected = select.value;
+            select.innerHTML = html`
+          <option value="paper">This paper</option>
+          ${response.data.length > 0 && html`
+            <optgroup label="Collections">
+              ${response.data.map(c => html`<option value="collection:${c.id}">${c.name}</option>`)}
+            </optgroup>
+          `}
+          <option value="all">All papers</option>
+        `;
+            select.value = select.querySelector(`option[value="${CSS.escape(selected)}"]`) ? selected : 'paper';
+        } catch (error) {
+            console.error('Failed to load collections:', error);
+        }
+    }
+
+    // The selected Q&A scope as RAG_QUERY expects it; collections carry their name for the thread
+    function qaScope() {
+        const select = document.getElementById('qa-scope');
+        const value = select?.value || 'paper';
+        if (value.startsWith('collection:')) {
+            return { type: 'collection', id: value.slice('collection:'.length), name: select.selectedOptions[0].textContent };
+        }
+        return { type: value };
+    }
+
+    /**
+     * Page data with the chunks it is indexed in. Only analysis asks for
+     * them, since anchoring the chunks searches the whole page.
+     */
+    function indexableData() {
+        if (!pageChunks) {
+            pageChunks = Chunker.chunk(pageData);
+        }
+        return { ...pageData, chunks: pageChunks };
+    }
+
+    async function analyzePaper(force = false) {
+        if (!pageData) {
+            showError('No content to analyze');
+            return;
+        }
+
+        const analyzeBtn = document.getElementById('analyze-btn');
+        const summaryTab = document.getElementById('summary-tab');
+        analyzeBtn.disabled = true;
+        switchTab('summary');
+        renderSummaryStream(summaryTab);
+
+        try {
+            const response = await streamRequest({ type: 'ANALYZE_PAGE', data: indexableData(), force }, {
+                stopButton: document.getElementById('analyze-stop'),
+                onStatus: (message) => setStreamStatus(summaryTab, message),
+                onChunk: (chunk) => appendSummaryChunk(summaryTab, chunk)
+            });
+
+            if (response.success) {
+                displayResults(response.data);
+            } else if (response.code === 'aborted') {
+                // Keep whatever was streamed before the user stopped
+                summaryTab.querySelectorAll('.streaming').forEach(el => el.classList.remove('streaming'));
+                setStreamStatus(summaryTab, 'Analysis stopped.');
+            } else {
+                summaryTab.innerHTML = html`<div class="error">${describeError(response, 'Analysis failed')}</div>`;
+                showError(describeError(response, 'Analysis failed'));
+            }
+        } catch (error) {
+            showError('Failed to communicate with backend. Is the server running?');
+        } finally {
+            analyzeBtn.disabled = false;
+        }
+    }
+
+    function renderSummaryStream(summaryTab) {
+        summaryTab.innerHTML = `
+        <p class="stream-status">Starting analysis...</p>
+
+        <div class="summary-section">
+          <h4>TL;DR</h4>
+          <ul class="tldr-list" data-field="tldr"></ul>
+        </div>
+
+        <div class="summary-section">
+          <h4>Technical Summary</h4>
+          <p data-field="technical"></p>
+        </div>
+
+        <div class="summary-section">
+          <h4>Beginner-Friendly Explanation</h4>
+          <p data-field="beginner"></p>
+        </div>
+      `;
+    }
+
+    function setStreamStatus(container, message) {
+        const status = container.querySelector('.stream-status');
+        if (status) {
+            status.textContent = message;
+        }
+    }
+
+    function appendSummaryChunk(summaryTab, chunk) {
+        const target = summaryTab.querySelector(`[data-field="${CSS.escape(chunk.field)}"]`);
+        if (!target) return;
+
+        summaryTab.querySelectorAll('.streaming').forEach(el => el.classList.remove('streaming'));
+        target.classList.add('streaming');
+
+        if (chunk.field !== 'tldr') {
+            target.append(chunk.delta);
+            return;
+        }
+
+        // TL;DR points arrive as newline-separated text
+        target.dataset.raw = (target.dataset.raw || '') + chunk.delta;
+        target.replaceChildren(...target.dataset.raw
+            .split('\n')
+            .map(line => line.replace(/^\s*[-*•]\s*/, '').trim())
+            .filter(Boolean)
+            .map(line => {
+                const li = document.createElement('li');
+                li.textContent = line;
+                return li;
+            }));
+    }
+
+    // Send a request over a long-lived port so partial output can be shown as
+    // it arrives. Resolves with the final response; stopButton aborts it.
+    function streamRequest(message, { onChunk, onStatus, stopButton } = {}) {
+        return new Promise((resolve) => {
+            const port = chrome.runtime.connect({ name: 'stream' });
+            let settled = false;
+
+            const stop = () => port.postMessage({ type: 'ABORT' });
+
+            const finish = (response) => {
+                if (settled) return;
+                settled = true;
+                stopButton?.classList.add('hidden');
+                stopButton?.removeEventListener('click', stop);
+                port.disconnect();
+                resolve(response);
+            };
+
+            port.onMessage.addListener((event) => {
+                if (event.type === 'chunk') {
+                    onChunk?.(event);
+                } else if (event.type === 'status') {
+                    onStatus?.(event.message);
+                } else if (event.type === 'done') {
+                    finish(event.response);
+                }
+            });
+
+            port.onDisconnect.addListener(() => {
+                finish({ success: false, error: 'Lost connection to the extension' });
+            });
+
+            stopButton?.classList.remove('hidden');
+            stopButton?.addEventListener('click', stop);
+            port.postMessage(message);
+        });
+    }
+
+    function displayResults(data) {
+        // Display summaries
+        if (data.summary) {
+            const summaryTab = document.getElementById('summary-tab');
+            summaryTab.innerHTML = html`
+        <div class="summary-section">
+          <h4>TL;DR</h4>
+          <ul class="tldr-list">
+            ${data.summary.tldr?.length ? data.summary.tldr.map(point => html`<li>${MathRender.inline(point)}</li>`) : html`<li>No summary available</li>`}
+          </ul>
+        </div>
+        
+        <div class="summary-section">
+          <h4>Technical Summary</h4>
+          <div class="markdown">${MathRender.markdown(data.summary.technical || 'No technical summary available')}</div>
+        </div>
+        
+        <div class="summary-section">
+          <h4>Beginner-Friendly Explanation</h4>
+          <div class="markdown">${MathRender.markdown(data.summary.beginner || 'No beginner explanation available')}</div>
+        </div>
+      `;
+        }
+
+        // Display key points
+        if (data.keypoints) {
+            const keypointsTab = document.getElementById('keypoints-tab');
+            keypointsTab.innerHTML = html`
+        <label class="highlight-toggle">
+          <input type="checkbox" id="keypoint-highlights" ${keypointHighlightsVisible ? 'checked' : ''}>
+          Highlight key points in the page
+        </label>
+
+        <div class="keypoints-section">
+          <h4>Novel Contributions</h4>
+          <ul>${listOr(data.keypoints.contributions, (c, i) => html`<li data-keypoint="contribution:${i}">${SafeHTML.inline(c)}</li>`, html`<li>None identified</li>`)}</ul>
+        </div>
+        
+        <div class="keypoints-section">
+          <h4>Datasets Used</h4>
+          <div class="chips">${listOr(data.keypoints.datasets, (d, i) => html`<span class="chip" data-keypoint="dataset:${i}">${d}</span>`, html`<span class="chip">None mentioned</span>`)}</div>
+        </div>
+        
+        <div class="keypoints-section">
+          <h4>Evaluation Metrics</h4>
+          <div class="chips">${listOr(data.keypoints.metrics, (m, i) => html`<span class="chip" data-keypoint="metric:${i}">${m}</span>`, html`<span class="chip">None mentioned</span>`)}</div>
+        </div>
+        
+        <div class="keypoints-section">
+          <h4>Key Concepts</h4>
+          <div class="chips">${listOr(data.keypoints.concepts, c => html`<span class="chip tooltip" data-tooltip="${c.description || ''}">${c.name || c}</span>`, html`<span class="chip">None identified</span>`)}</div>
+        </div>
+      `;
+        }
+
+        analysisLoaded = true;
+        updateAnalysisMeta(data);
+
+        if (data.keypoints) {
+            highlightKeypoints(data.keypoints.spans || []);
+            bindKeypointItems();
+        }
+
+        // Show success message
+        if (!data.cached) {
+            showNotification('Analysis complete!');
+        }
+    }
+
+    // Render each item, or the placeholder when the list is missing or empty
+    function listOr(items, render, placeholder) {
+        return items?.length ? items.map(render) : placeholder;
+    }
+
+    function updateAnalysisMeta(data) {
+        const meta = document.querySelector('#ai-helper-sidebar .analysis-meta');
+        const analyzeBtn = document.getElementById('analyze-btn');
+
+        if (analyzeBtn) {
+            analyzeBtn.innerHTML = '<span class="icon">🔄</span> Refresh Analysis';
+        }
+
+        document.querySelector('#ai-helper-sidebar .export-bar')?.classList.remove('hidden');
+
+        if (meta && data.analyzedAt) {
+            const when = new Date(data.analyzedAt).toLocaleString();
+            meta.textContent = data.cached ? `Cached analysis from ${when}` : `Analyzed ${when}`;
+            meta.classList.remove('hidden');
+        }
+    }
+
+    // Citations are built from page metadata, so they work before any analysis
+    async function toggleCiteMenu() {
+        const menu = document.getElementById('cite-menu');
+        if (!menu.classList.contains('hidden')) {
+            menu.classList.add('hidden');
+            return;
+        }
+
+        try {
+            const response = await chrome.runtime.sendMessage({
+                type: 'GET_CITATIONS',
+                data: { paper: paperDetails() }
+            });
+
+            if (!response?.success) {
+                showError(describeError(response, 'Could not build citations'));
+                return;
+            }
+
+            menu.innerHTML = html`${response.data.map(format => html`
+          <div class="cite-format">
+            <div class="cite-format-header">
+              <span>${format.label}</span>
+              <button class="equation-action" data-format="${format.id}">Copy</button>
+            </div>
+            <pre class="cite-text">${format.text}</pre>
+          </div>
+        `)}`;
+
+            menu.querySelectorAll('[data-format]').forEach(button => {
+                const format = response.data.find(item => item.id === button.dataset.format);
+                button.addEventListener('click', async () => {
+                    await copyText(format.text);
+                    showNotification(`${format.label} citation copied`);
+                });
+            });
+            menu.classList.remove('hidden');
+        } catch (error) {
+            showError('Could not build citations');
+        }
+    }
+
+    // Download or copy the analysis in the format picked in the sidebar
+    async function exportAnalysis(action) {
+        const format = document.getElementById('export-format').value;
+
+        try {
+            const response = await chrome.runtime.sendMessage({
+                type: 'EXPORT_ANALYSIS',
+                data: { format, paper: paperDetails() }
+            });
+
+            if (!response?.success) {
+                showError(describeError(response, 'Export failed'));
+                return;
+            }
+
+            if (action === 'copy') {
+                await copyText(response.data.content);
+                showNotification('Copied to clipboard');
+            } else {
+                downloadFile(response.data);
+            }
+        } catch (error) {
+            showError('Export failed');
+        }
+    }
+
+    function downloadFile({ filename, mimeType, content }) {
+        const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    async function copyText(text) {
+        try {
+            await navigator.clipboard.writeText(text);
+        } catch (error) {
+            // Pages without clipboard permission still allow execCommand from a click
+            const textarea = document.createElement('textarea');
+            textarea.value = text;
+            textarea.style.position = 'fixed';
+            textarea.style.opacity = '0';
+            document.body.appendChild(textarea);
+            textarea.select();
+            document.execCommand('copy');
+            textarea.remove();
+        }
+    }
+
+    /**
+     * Ask the question in the input. The background sends the earlier turns
+     * along, so follow-ups keep their context; when a turn is being edited
+     * the question replaces it and the turns after it.
+     */
+    async function submitQuestion() {
+        const input = document.getElementById('qa-input');
+        const submitBtn = document.getElementById('qa-submit');
+        const threadEl = document.getElementById('qa-thread');
+        const query = input.value.trim();
+
+        if (!query || submitBtn.disabled) return;
+
+        const replaceFrom = editingTurn ?? qaThread.length;
+        const scope = qaScope();
+        cancelEdit();
+        input.value = '';
+
+        submitBtn.disabled = true;
+        renderQaThread(qaThread.slice(0, replaceFrom));
+        threadEl.querySelector('.qa-placeholder')?.remove();
+        threadEl.insertAdjacentHTML('beforeend', html`
+          <div class="qa-turn pending">
+            <div class="qa-question"><p>${query}</p></div>
+            <div class="qa-answer"><p class="streaming"></p></div>
+          </div>
+        `);
+        const answerEl = threadEl.querySelector('.qa-turn.pending .qa-answer p');
+        answerEl.scrollIntoView({ block: 'nearest' });
+
+        try {
+            const response = await streamRequest({
+                type: 'RAG_QUERY',
+                data: {
+                    query,
+                    topK: 5,
+                    scope,
+                    paper: paperRef(),
+                    references: CrossRefs.contextFor(query, pageData),
+                    replaceFrom
+                }
+            }, {
+                stopButton: document.getElementById('qa-stop'),
+                onChunk: (chunk) => answerEl.append(chunk.delta)
+            });
+
+            if (response.success) {
+                qaThread = response.data.thread || qaThread;
+                renderQaThread();
+            } else if (response.code === 'aborted') {
+                answerEl.insertAdjacentHTML('afterend', '<small class="stream-status">Stopped.</small>');
+            } else {
+                answerEl.parentElement.innerHTML = html`<div class="error">${describeError(response, 'Failed to get answer')}</div>`;
+                input.value = query;
+            }
+        } catch (error) {
+            answerEl.parentElement.innerHTML = `<div class="error">Failed to get answer</div>`;
+            input.value = query;
+        } finally {
+            answerEl.classList.remove('streaming');
+            submitBtn.disabled = false;
+        }
+    }
+
+    async function loadQaThread() {
+        try {
+            const response = await chrome.runtime.sendMessage({
+                type: 'GET_QA_THREAD',
+                data: { paper: paperRef() }
+            });
+            qaThread = response?.success ? response.data : [];
+        } catch (error) {
+            console.warn('AI Research Helper: Could not load the Q&A conversation', error);
+        }
+        renderQaThread();
+    }
+
+    function renderQaThread(turns = qaThread) {
+        const threadEl = document.getElementById('qa-thread');
+        if (!threadEl) return;
+
+        threadEl.innerHTML = turns.length > 0 ? html`${turns.map(renderTurn)}` : html`
+          <div class="qa-placeholder">
+            Ask anything about this paper. Follow-up questions keep the conversation's context.
+          </div>
+        `;
+        document.getElementById('qa-clear')?.classList.toggle('hidden', qaThread.length === 0);
+        threadEl.scrollTop = threadEl.scrollHeight;
+    }
+
+    function renderTurn(turn, index) {
+        return html`
+          <div class="qa-turn" data-turn="${index}">
+            <div class="qa-question">
+              <p>${turn.question}</p>
+              <div class="qa-turn-meta">
+                ${turn.scope && html`<span class="qa-turn-scope">${scopeLabel(turn.scope)}</span>`}
+                <button class="qa-link-btn" data-turn-action="edit">Edit</button>
+                <button class="qa-link-btn" data-turn-action="reask">Re-ask</button>
+              </div>
+            </div>
+            <div class="qa-answer">
+              <div class="markdown">${MathRender.markdown(turn.answer)}</div>
+            </div>
+            ${turn.sources?.length > 0 && html`
+              <details class="qa-sources">
+                <summary>Sources (${turn.sources.length})</summary>
+                <ul>
+                  ${turn.sources.map(renderSource)}
+                </ul>
+              </details>
+            `}
+          </div>
+        `;
+    }
+
+    function scopeLabel(scope) {
+        return scope.type === 'all' ? 'All papers' : scope.name || 'Collection';
+    }
+
+    // Put an earlier question back in the input; asking it replaces that turn onward
+    function editTurn(index) {
+        const input = document.getElementById('qa-input');
+        editingTurn = index;
+        input.value = qaThread[index].question;
+        input.focus();
+
+        document.getElementById('qa-editing').classList.remove('hidden');
+        document.querySelectorAll('#qa-thread .qa-turn').forEach(turn => {
+            turn.classList.toggle('superseded', Number(turn.dataset.turn) >= index);
+        });
+    }
+
+    function reaskTurn(index) {
+        editingTurn = index;
+        document.getElementById('qa-input').value = qaThread[index].question;
+        submitQuestion();
+    }
+
+    function cancelEdit() {
+        editingTurn = null;
+        document.getElementById('qa-editing')?.classList.add('hidden');
+        document.querySelectorAll('#qa-thread .qa-turn.superseded').forEach(turn => turn.classList.remove('superseded'));
+    }
+
+    async function clearQaThread() {
+        if (!confirm('Clear this paper\'s Q&A conversation?')) return;
+
+        try {
+            await chrome.runtime.sendMessage({ type: 'CLEAR_QA_THREAD', data: { paper: paperRef() } });
+            qaThread = [];
+            cancelEdit();
+            renderQaThread();
+        } catch (error) {
+            showError('Failed to clear the conversation');
+        }
+    }
+
+    /**
+     * A source passage with its section and relevance, headed by its paper
+     * when the answer spans several. Passages of this page can be clicked
+     * to show them in place.
+     */
+    function renderSource(source, index) {
+        const local = isLocalSource(source);
+        const section = source.section || (local && sectionTitleFor(source.text));
+
+        return html`
+          <li class="source-item${local ? ' locatable' : ''}" data-source="${index}" ${local && html`title="Show in the page"`}>
+            ${source.paper && html`
+              <a class="source-paper" href="${source.paper.url}" target="_blank" rel="noopener noreferrer">${source.paper.title || source.paper.url}</a>
+            `}
+            ${(section || source.score != null) && html`
+              <div class="source-meta">
+                ${section && html`<span class="source-section">${section}</span>`}
+                ${source.score != null && html`<span class="source-score">${formatScore(source.score)}</span>`}
+              </div>
+            `}
+            ${source.text}
+          </li>
+        `;
+    }
+
+    // Sources of other papers (library-wide questions) can't be shown here
+    function isLocalSource(source) {
+        return !source.paper || source.paper.url === paperRef().url;
+    }
+
+    // Similarities in 0..1 read as a percentage; other scales as they come
+    function formatScore(score) {
+        return score >= 0 && score <= 1 ? `${Math.round(score * 100)}% match` : `score ${Number(score).toFixed(2)}`;
+    }
+
+    /**
+     * Scroll to a source passage and highlight it briefly. The passage is
+     * searched for in the page text, so it may span several elements; the
+     * chunk's anchor (utils/chunker.js) is the fallback, down to its
+     * section's element.
+     */
+    function showSource(source) {
+        Anchors.unwrap(sourceMarks);
+        sourceMarks = [];
+
+        const index = Anchors.index();
+        const { start, end, elementId } = source.anchor || {};
+        const anchored = start != null && end <= index.text.length ? { start, end } : null;
+        const position = (source.text && Anchors.search(source.text, index)) || anchored;
+
+        if (!position) {
+            const section = elementId && document.getElementById(elementId);
+            if (section) {
+                section.scrollIntoView({ behavior: 'smooth', block: 'start' });
+                flashElement(section);
+            } else {
+                showError('Could not find this passage in the page');
+            }
+            return;
+        }
+
+        const marks = Anchors.wrap(position, () => {
+            const mark = document.createElement('mark');
+            mark.className = 'ai-helper-source ai-helper-flash';
+            return mark;
+        }, index);
+        marks[0]?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+
+        sourceMarks = marks;
+        setTimeout(() => {
+            if (sourceMarks !== marks) return;
+            Anchors.unwrap(marks);
+            sourceMarks = [];
+        }, 2000);
+    }
+
+    function setupEquationHandlers() {
+        if (!pageData?.equations) return;
+
+        pageData.equations.forEach(eq => {
+            if (eq.element) {
+                eq.element.classList.add('ai-helper-equation');
+                eq.element.addEventListener('click', () => showEquationExplanation(eq));
+            }
+        });
+    }
+
+    /**
+     * Mark references to equations, figures, tables, sections and citations
+     * and show a preview card when one is hovered
+     */
+    function setupCrossReferences() {
+        if (pageData.pageType === 'pdf') return;
+
+        const root = document.querySelector('.ltx_document, article, main, [role="main"]') || document.body;
+        const links = root.querySelectorAll('a.ltx_ref[href^="#"]');
+
+        if (links.length > 0) {
+            // LaTeXML already links its references, so resolve their targets
+            links.forEach(link => {
+                const target = CrossRefs.resolveAnchor(decodeURIComponent(link.hash.slice(1)), pageData);
+                if (target) markCrossReference(link, [target]);
+            });
+        } else if (isPaperPage()) {
+            // Rewriting text nodes is only worth it where papers cite equations and figures
+            wrapCrossReferences(root);
+        }
+
+        document.addEventListener('mouseover', (e) => {
+            const ref = e.target.closest?.('.ai-helper-xref');
+            if (ref) {
+                showCrossRefCard(ref);
+            } else if (e.target.closest?.('.ai-helper-xref-card')) {
+                clearTimeout(crossRefHideTimer);
+            }
+        });
+        // Citations open their entry in the References tab
+        document.addEventListener('click', (e) => {
+            const ref = e.target.closest?.('.ai-helper-xref[data-xref-kind="citation"]');
+            if (!ref) return;
+
+            e.preventDefault();
+            hideCrossRefCard();
+            showReference(crossRefTargets.get(ref)[0].item);
+        });
+        document.addEventListener('mouseout', (e) => {
+            const ref = e.target.closest?.('.ai-helper-xref, .ai-helper-xref-card');
+            if (ref && !ref.contains(e.relatedTarget)) {
+                clearTimeout(crossRefHideTimer);
+                crossRefHideTimer = setTimeout(hideCrossRefCard, 250);
+            }
+        });
+    }
+
+    // Wrap plain-text references in spans, leaving links, code and math alone
+    // arXiv, or a page publishing citation_* metadata (utils/extractors.js)
+    function isPaperPage() {
+        const metadata = pageData.metadata || {};
+        return pageData.pageType === 'arxiv' || Boolean(metadata.doi || metadata.venue || metadata.arxivId);
+    }
+
+    function wrapCrossReferences(root) {
+        // Editors and already wrapped references are left alone as well as code and math
+        const skip = 'script, style, textarea, code, pre, a, figcaption, math, svg, annotation, mjx-container, .katex, .MathJax, ' +
+            '[contenteditable], .ai-helper-xref, #ai-helper-sidebar';
+        const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT, {
+            acceptNode: node => node.parentElement?.closest(skip) ? NodeFilter.FILTER_REJECT : NodeFilter.FILTER_ACCEPT
+        });
+
+        const nodes = [];
+        while (walker.nextNode()) nodes.push(walker.currentNode);
+
+        nodes.forEach(node => {
+            const refs = CrossRefs.find(node.data, pageData);
+            if (refs.length === 0) return;
+
+            const fragment = document.createDocumentFragment();
+            let offset = 0;
+            refs.forEach(ref => {
+                const span = document.createElement('span');
+                span.textContent = node.data.slice(ref.start, ref.end);
+                markCrossReference(span, ref.targets);
+                fragment.append(node.data.slice(offset, ref.start), span);
+                offset = ref.end;
+            });
+            fragment.append(node.data.slice(offset));
+            node.replaceWith(fragment);
+        });
+    }
+
+    function markCrossReference(element, targets) {
+        element.classList.add('ai-helper-xref');
+        element.dataset.xrefKind = targets[0].kind;
+        crossRefTargets.set(element, targets);
+    }
+
+    function showCrossRefCard(element) {
+        clearTimeout(crossRefHideTimer);
+        if (crossRefCard && crossRefOwner === element) return;
+        hideCrossRefCard();
+
+        const card = document.createElement('div');
+        card.className = 'ai-helper-xref-card';
+        card.innerHTML = html`${crossRefTargets.get(element).map(target => renderCrossRefTarget(target))}`;
+
+        const rect = element.getBoundingClientRect();
+        card.style.top = `${rect.bottom + window.scrollY + 6}px`;
+        card.style.left = `${Math.max(window.scrollX, Math.min(rect.left, window.innerWidth - 400) + window.scrollX)}px`;
+
+        document.body.appendChild(card);
+        crossRefCard = card;
+        crossRefOwner = element;
+    }
+
+    function hideCrossRefCard() {
+        crossRefCard?.remove();
+        crossRefCard = null;
+        crossRefOwner = null;
+    }
+
+    function renderCrossRefTarget({ kind, label, item }) {
+        switch (kind) {
+            case 'equation': {
+                const tex = equationTex(item);
+                return html`
+                  <div class="xref-card-item">
+                    <div class="xref-card-title">Equation ${label && `(${label})`}</div>
+                    ${tex ? MathRender.toHTML(tex, { display: true }) : html`<p>${item.parsed?.readable}</p>`}
+                  </div>
+                `;
+            }
+            case 'figure':
+                return html`
+                  <div class="xref-card-item">
+                    <div class="xref-card-title">Figure ${label}</div>
+                    ${item.src && html`<img src="${item.src}" alt="">`}
+                    <p>${item.caption}</p>
+                  </div>
+                `;
+            case 'table':
+                return html`
+                  <div class="xref-card-item">
+                    <div class="xref-card-title">Table ${label}</div>
+                    <p>${item.caption}</p>
+                    ${tablePreview(item)}
+                  </div>
+                `;
+            case 'section':
+                return html`
+                  <div class="xref-card-item">
+                    <div class="xref-card-title">${label && `§${label} `}${item.title}</div>
+                    <p>${MathRender.inline(excerpt(item.content, 300))}</p>
+                  </div>
+                `;
+            default:
+                return html`
+                  <div class="xref-card-item">
+                    <div class="xref-card-title">[${label}]</div>
+                    ${referenceDetails(item)}
+                  </div>
+                `;
+        }
+    }
+
+    // The first rows of a table figure that is on the page
+    function tablePreview(figure) {
+        const table = figure.id && document.getElementById(figure.id)?.querySelector('table');
+        if (!table) return '';
+
+        const rows = Array.from(table.rows).slice(0, 6);
+        return html`
+          <table class="xref-card-table">
+            ${rows.map(row => html`<tr>${Array.from(row.cells).slice(0, 8).map(cell => html`<td>${cell.textContent.trim()}</td>`)}</tr>`)}
+          </table>
+        `;
+    }
+
+    function excerpt(text, length) {
+        return text.length > length ? `${text.slice(0, length).replace(/\s+\S*$/, '')}…` : text;
+    }
+
+    function renderReferencesTab() {
+        const list = document.getElementById('references-list');
+        const references = pageData?.references || [];
+
+        if (references.length === 0) {
+            list.innerHTML = '<p class="references-placeholder">No reference list found on this page.</p>';
+            return;
+        }
+
+        list.innerHTML = html`
+          <p class="references-summary">${references.length} reference${references.length === 1 ? '' : 's'}. Click a citation in the page to find it here.</p>
+          <ol class="reference-items">
+            ${references.map((entry, index) => html`
+              <li class="reference-item" data-index="${index}">
+                <span class="reference-label">[${entry.label}]</span>
+                <div class="reference-body">
+                  ${referenceDetails(entry)}
+                  ${entry.id && html`<button class="equation-action" data-action="jump">Jump to</button>`}
+                </div>
+              </li>
+            `)}
+          </ol>
+        `;
+
+        list.querySelectorAll('[data-action="jump"]').forEach(button => {
+            const entry = references[Number(button.closest('.reference-item').dataset.index)];
+            button.addEventListener('click', () => {
+                const target = document.getElementById(entry.id);
+                if (!target) {
+                    showError('Reference is no longer on the page');
+                    return;
+                }
+                target.scrollIntoView({ behavior: 'smooth', block: 'center' });
+                flashElement(target);
+            });
+        });
+    }
+
+    // Title, authors, venue and DOI/arXiv links of a reference (utils/references.js)
+    function referenceDetails(entry) {
+        const authors = entry.authors?.length > 3 ? `${entry.authors.slice(0, 3).join(', ')} et al.` : entry.authors?.join(', ');
+        const venue = [entry.venue, entry.year].filter(Boolean).join(', ');
+        const link = !entry.doi && !entry.arxivId && References.link(entry);
+
+        return html`
+          <div class="reference-title">${entry.title || entry.text}</div>
+          ${entry.title && authors && html`<div class="reference-authors">${authors}</div>`}
+          ${entry.title && venue && html`<div class="reference-venue">${venue}</div>`}
+          <div class="reference-links">
+            ${entry.doi && html`<a href="https://doi.org/${entry.doi}" target="_blank" rel="noopener noreferrer">DOI</a>`}
+            ${entry.arxivId && html`<a href="https://arxiv.org/abs/${entry.arxivId}" target="_blank" rel="noopener noreferrer">arXiv</a>`}
+            ${link && html`<a href="${link}" target="_blank" rel="noopener noreferrer">Link</a>`}
+          </div>
+        `;
+    }
+
+    function showReference(entry) {
+        openSidebar('references');
+
+        const index = pageData.references.indexOf(entry);
+        const item = document.querySelector(`.reference-item[data-index="${index}"]`);
+        if (item) {
+            item.scrollIntoView({ behavior: 'smooth', block: 'center' });
+            flashElement(item);
+        }
+    }
+
+    function setupAnnotations() {
+        document.addEventListener('mouseup', (e) => {
+            if (e.target.closest?.('.ai-helper-annotate-toolbar')) return;
+            // Read the selection once the click that made it has settled
+            setTimeout(showAnnotateToolbar, 0);
+        });
+
+        // Clicking a highlight opens its note
+        document.addEventListener('click', (e) => {
+            const mark = e.target.closest?.('.ai-helper-annotation');
+            if (mark && window.getSelection().isCollapsed) {
+                showAnnotation(mark.dataset.annotationId);
+            }
+        });
+
+        loadAnnotations();
+    }
+
+    async function loadAnnotations() {
+        try {
+            const response = await chrome.runtime.sendMessage({
+                type: 'GET_ANNOTATIONS',
+                data: { paper: paperRef() }
+            });
+            if (!response?.success) return;
+
+            annotations = response.data;
+
+            // Resolve every anchor against the page before any wrapping splits its text nodes
+            const index = Anchors.index();
+            annotations
+                .map(annotation => [annotation, Anchors.resolve(annotation.anchor, index)])
+                .forEach(([annotation, position]) => position && highlightAnnotation(annotation, position));
+
+            renderNotesTab();
+        } catch (error) {
+            console.warn('AI Research Helper: Could not load annotations', error);
+        }
+    }
+
+    function showAnnotateToolbar() {
+        const selection = window.getSelection();
+        if (selection.isCollapsed || selection.rangeCount === 0) {
+            hideAnnotateToolbar();
+            return;
+        }
+
+        const range = selection.getRangeAt(0);
+        const container = range.commonAncestorContainer;
+        const element = container.nodeType === Node.ELEMENT_NODE ? container : container.parentElement;
+        pendingAnchor = element?.closest(`${Anchors.skip}, input, [contenteditable]`) ? null : Anchors.describe(range);
+
+        if (!pendingAnchor || pendingAnchor.quote.trim().length < 3) {
+            hideAnnotateToolbar();
+            return;
+        }
+
+        annotateToolbar = annotateToolbar || createAnnotateToolbar();
+        annotateToolbar.querySelector('.annotate-note').value = '';
+
+        const rect = range.getBoundingClientRect();
+        annotateToolbar.style.top = `${Math.max(0, rect.top - 44) + window.scrollY}px`;
+        annotateToolbar.style.left = `${Math.max(0, Math.min(rect.left, window.innerWidth - 320)) + window.scrollX}px`;
+        annotateToolbar.classList.remove('hidden');
+    }
+
+    function hideAnnotateToolbar() {
+        annotateToolbar?.classList.add('hidden');
+        pendingAnchor = null;
+    }
+
+    function createAnnotateToolbar() {
+        const toolbar = document.createElement('div');
+        toolbar.className = 'ai-helper-annotate-toolbar hidden';
+        toolbar.innerHTML = html`
+      ${ANNOTATION_CATEGORIES.map(category => html`
+        <button class="annotate-category" data-category="${category.id}" title="${category.label}"></button>
+      `)}
+      <input class="annotate-note" type="text" placeholder="Add a note (optional)">
+    `;
+
+        toolbar.querySelectorAll('.annotate-category').forEach(button => {
+            // Keep the page selection while the button is pressed
+            button.addEventListener('mousedown', (e) => e.preventDefault());
+            button.addEventListener('click', () => createAnnotation(button.dataset.category));
+        });
+        toolbar.querySelector('.annotate-note').addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') createAnnotation(ANNOTATION_CATEGORIES[0].id);
+            if (e.key === 'Escape') hideAnnotateToolbar();
+        });
+
+        document.body.appendChild(toolbar);
+        return toolbar;
+    }
+
+    async function createAnnotation(category) {
+        const anchor = pendingAnchor;
+        if (!anchor) return;
+
+        const note = annotateToolbar.querySelector('.annotate-note').value.trim();
+        hideAnnotateToolbar();
+        window.getSelection().removeAllRanges();
+
+        const annotation = {
+            id: `note-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+            category,
+            note,
+            anchor,
+            section: sectionTitleFor(anchor.quote),
+            createdAt: new Date().toISOString()
+        };
+
+        try {
+            const response = await chrome.runtime.sendMessage({
+                type: 'SAVE_ANNOTATION',
+                data: { paper: paperRef(), annotation }
+            });
+
+            if (!response?.success) {
+                showError(describeError(response, 'Could not save highlight'));
+                return;
+            }
+
+            annotations.push(response.data);
+            highlightAnnotation(response.data, anchor);
+            renderNotesTab();
+        } catch (error) {
+            showError('Could not save highlight');
+        }
+    }
+
+    function highlightAnnotation(annotation, position) {
+        const marks = Anchors.wrap(position, () => {
+            const mark = document.createElement('mark');
+            mark.className = 'ai-helper-annotation';
+            mark.dataset.annotationId = annotation.id;
+            mark.dataset.category = annotation.category;
+            mark.title = annotation.note || categoryLabel(annotation.category);
+            return mark;
+        });
+        annotationMarks.set(annotation.id, marks);
+    }
+
+    // Title of the extracted section a quote comes from
+    function sectionTitleFor(quote) {
+        const fragment = quote.replace(/\s+/g, ' ').trim().slice(0, 80);
+        const section = (pageData.sections || []).find(s => s.content.replace(/\s+/g, ' ').includes(fragment));
+        return section?.title || null;
+    }
+
+    function categoryLabel(id) {
+        return ANNOTATION_CATEGORIES.find(category => category.id === id)?.label || id;
+    }
+
+    function renderNotesTab() {
+        const list = document.getElementById('notes-list');
+        if (!list) return;
+
+        // Annotations alone are worth exporting
+        document.querySelector('#ai-helper-sidebar .export-bar')
+            ?.classList.toggle('hidden', !analysisLoaded && annotations.length === 0);
+
+        if (annotations.length === 0) {
+            list.innerHTML = '<div class="notes-placeholder">Select text on the page to highlight it and add a note</div>';
+            return;
+        }
+
+        // Page order, with highlights that could not be found again last
+        const isOrphaned = annotation => !annotationMarks.get(annotation.id)?.length;
+        const ordered = [...annotations].sort((a, b) =>
+            (isOrphaned(a) - isOrphaned(b)) || a.anchor.start - b.anchor.start);
+
+        list.innerHTML = html`${ordered.map(annotation => html`
+      <div class="note-item" data-annotation-id="${annotation.id}" data-category="${annotation.category}">
+        <div class="note-item-header">
+          <span class="note-category">${categoryLabel(annotation.category)}</span>
+          ${annotation.section && html`<span class="note-section">${annotation.section}</span>`}
+          <div class="note-actions">
+            ${!isOrphaned(annotation) && html`<button class="equation-action" data-action="jump">Jump</button>`}
+            <button class="equation-action" data-action="delete">Delete</button>
+          </div>
+        </div>
+        <blockquote class="note-quote">${annotation.anchor.quote.trim()}</blockquote>
+        ${isOrphaned(annotation) && html`<p class="note-orphaned">This passage is no longer on the page</p>`}
+        <textarea class="note-text" placeholder="Add a note...">${annotation.note || ''}</textarea>
+      </div>
+    `)}`;
+
+        list.querySelectorAll('.note-item').forEach(item => {
+            const annotation = annotations.find(a => a.id === item.dataset.annotationId);
+            item.querySelector('[data-action="jump"]')?.addEventListener('click', () => jumpToAnnotation(annotation));
+            item.querySelector('[data-action="delete"]').addEventListener('click', () => deleteAnnotation(annotation));
+            item.querySelector('.note-text').addEventListener('change', (e) => updateAnnotationNote(annotation, e.target.value.trim()));
+        });
+    }
+
+    function jumpToAnnotation(annotation) {
+        const marks = annotationMarks.get(annotation.id) || [];
+        if (marks.length === 0) return;
+
+        marks[0].scrollIntoView({ behavior: 'smooth', block: 'center' });
+        marks.forEach(flashElement);
+    }
+
+    // Open the Notes tab at a highlight's note
+    function showAnnotation(id) {
+        openSidebar('notes');
+
+        const item = document.querySelector(`#notes-list .note-item[data-annotation-id="${CSS.escape(id)}"]`);
+        if (item) {
+            item.scrollIntoView({ behavior: 'smooth', block: 'center' });
+            flashElement(item);
+            item.querySelector('.note-text').focus({ preventScroll: true });
+        }
+    }
+
+    async function updateAnnotationNote(annotation, note) {
+        try {
+            const response = await chrome.runtime.sendMessage({
+                type: 'SAVE_ANNOTATION',
+                data: { paper: paperRef(), annotation: { ...annotation, note } }
+            });
+
+            if (!response?.success) {
+                showError(describeError(response, 'Could not save note'));
+                return;
+            }
+
+            annotations = annotations.map(a => a.id === annotation.id ? response.data : a);
+            (annotationMarks.get(annotation.id) || []).forEach(mark => {
+                mark.title = note || categoryLabel(annotation.category);
+            });
+        } catch (error) {
+            showError('Could not save note');
+        }
+    }
+
+    async function deleteAnnotation(annotation) {
+        try {
+            const response = await chrome.runtime.sendMessage({
+                type: 'DELETE_ANNOTATION',
+                data: { paper: paperRef(), id: annotation.id }
+            });
+
+            if (!response?.success) {
+                showError(describeError(response, 'Could not delete highlight'));
+                return;
+            }
+
+            Anchors.unwrap(annotationMarks.get(annotation.id) || []);
+            annotationMarks.delete(annotation.id);
+            annotations = annotations.filter(a => a.id !== annotation.id);
+            renderNotesTab();
+        } catch (error) {
+            showError('Could not delete highlight');
+        }
+    }
+
+    function renderEquationsTab() {
+        const list = document.getElementById('equations-list');
+        const equations = pageData?.equations || [];
+
+        if (equations.length === 0) {
+            list.innerHTML = '<p class="equations-placeholder">No equations detected on this page.</p>';
+            return;
+        }
+
+        const intro = document.createElement('p');
+        intro.className = 'equations-summary';
+        intro.textContent = `Found ${equations.length} equation${equations.length === 1 ? '' : 's'}. ` +
+            'Click one in the page or use Explain below.';
+
+        list.replaceChildren(intro, ...equations.map((eq, index) => renderEquationItem(eq, index)));
+    }
+
+    function renderEquationItem(equation, index) {
+        const parsed = equation.parsed || {};
+        const item = document.createElement('div');
+        item.className = 'equation-item';
+        item.innerHTML = `
+          <div class="equation-item-header">
+            <span class="equation-number"></span>
+            <span class="equation-type"></span>
+            <span class="equation-complexity"></span>
+          </div>
+          <div class="equation-item-readable"></div>
+          <div class="equation-item-actions">
+            <button class="equation-action" data-action="jump">Jump to</button>
+            <button class="equation-action" data-action="explain">Explain</button>
+          </div>
+          <div class="equation-item-explanation hidden"></div>
+        `;
+
+        item.querySelector('.equation-number').textContent = getEquationNumber(equation, index);
+        item.querySelector('.equation-type').textContent = (parsed.structure?.type || 'general').replace(/_/g, ' ');
+        const readable = item.querySelector('.equation-item-readable');
+        const tex = equationTex(equation);
+        if (tex) {
+            MathRender.render(readable, tex, { display: true });
+        } else {
+            readable.textContent = parsed.readable || '';
+        }
+
+        const complexity = parsed.structure?.complexity;
+        if (complexity) {
+            const complexityEl = item.querySelector('.equation-complexity');
+            complexityEl.textContent = `Complexity ${complexity}/10`;
+            complexityEl.dataset.level = complexity >= 7 ? 'high' : complexity >= 4 ? 'medium' : 'low';
+        }
+
+        // Explained earlier, here or from the equation popup: ready to show
+        if (equation.explanation) {
+            renderInlineExplanation(item.querySelector('.equation-item-explanation'), equation, equation.explanation);
+            item.querySelector('[data-action="explain"]').textContent = 'Explanation';
+        }
+
+        item.querySelector('[data-action="jump"]').addEventListener('click', () => jumpToEquation(equation));
+        item.querySelector('[data-action="explain"]').addEventListener('click', () => explainInline(equation, item));
+
+        return item;
+    }
+
+    // LaTeX source to render: the equation itself or a KaTeX/MathJax annotation
+    function equationTex(equation) {
+        return equation.latex || equation.tex || null;
+    }
+
+    // Prefer the paper's own numbering (LaTeXML tags or \tag{}) over list order
+    function getEquationNumber(equation, index) {
+        if (equation.number) return `(${equation.number})`;
+
+        const tag = equation.element?.closest?.('.ltx_equation, .ltx_equationgroup')
+            ?.querySelector('.ltx_tag_equation')?.textContent.trim();
+        if (tag) return tag;
+
+        const texTag = equation.latex?.match(/\\tag\*?\{([^}]+)\}/)?.[1];
+        return texTag ? `(${texTag})` : `#${index + 1}`;
+    }
+
+    function jumpToEquation(equation) {
+        if (!equation.element?.isConnected) {
+            showError('Equation is no longer on the page');
+            return;
+        }
+
+        equation.element.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        flashElement(equation.element);
+    }
+
+    function flashElement(element) {
+        element.classList.remove('ai-helper-flash');
+        void element.offsetWidth; // Restart the animation
+        element.classList.add('ai-helper-flash');
+        setTimeout(() => element.classList.remove('ai-helper-flash'), 2000);
+    }
+
+    async function explainInline(equation, item) {
+        const container = item.querySelector('.equation-item-explanation');
+        const button = item.querySelector('[data-action="explain"]');
+
+        // Toggle an explanation that is already known, rendering it first if
+        // it came from the equation popup after this item was built
+        if (equation.explanation) {
+            if (!container.hasChildNodes()) {
+                renderInlineExplanation(container, equation, equation.explanation);
+                button.textContent = 'Explanation';
+            }
+            container.classList.toggle('hidden');
+            return;
+        }
+
+        button.disabled = true;
+        button.textContent = 'Explaining...';
+
+        const response = await requestEquationExplanation(equation);
+
+        button.disabled = false;
+        if (response.success) {
+            renderInlineExplanation(container, equation, response.data);
+            container.classList.remove('hidden');
+            button.textContent = 'Explanation';
+        } else {
+            button.textContent = 'Explain';
+            showError(describeError(response, 'Failed to explain equation'));
+        }
+    }
+
+    function renderInlineExplanation(container, equation, explanation) {
+        container.innerHTML = html`
+          <p>${MathRender.inline(explanation.meaning || 'No explanation available')}</p>
+          ${explanation.variables?.length > 0 && html`
+            <ul>${explanation.variables.map(v => renderVariable(equation, v))}</ul>
+          `}
+          ${explanation.importance && html`<p class="equation-item-importance">${MathRender.inline(explanation.importance)}</p>`}
+        `;
+        bindDefinitionLinks(container, equation);
+    }
+
+    function renderVariable(equation, variable) {
+        return html`<li>${variableSymbol(variable.symbol)}: ${MathRender.inline(variable.description || '')}${definitionLinks(equation, variable.symbol)}</li>`;
+    }
+
+    // Variable symbols come back as LaTeX, e.g. \alpha or W_q
+    function variableSymbol(symbol) {
+        return html`<span class="equation-variable">${MathRender.toHTML(symbol)}</span>`;
+    }
+
+    // Symbol table entries (utils/symbol-table.js) for the equation's variables
+    function equationSymbols(equation) {
+        if (!equation.symbols) {
+            equation.symbols = SymbolTable.forEquation(pageData?.symbols, equation);
+        }
+        return equation.symbols;
+    }
+
+    // "defined in §3.2" links for a variable the explanation mentions
+    function definitionLinks(equation, symbol) {
+        const key = SymbolTable.key(symbol);
+        const entry = equationSymbols(equation).find(e => SymbolTable.key(e.latex) === key);
+        if (!entry) return '';
+
+        return html`
+          <span class="equation-definitions">defined in
+            ${entry.definitions.map((definition, index) => html`<button class="definition-link" data-key="${key}" data-index="${index}" title="${definition.text}">${definitionLabel(definition)}</button>`)}
+          </span>
+        `;
+    }
+
+    function definitionLabel(definition) {
+        if (definition.kind === 'equation' && definition.number) return `Eq. (${definition.number})`;
+
+        const section = definition.section;
+        if (section?.number) return `§${section.number}`;
+        if (section?.title) return `§ ${section.title}`;
+        return definition.kind === 'equation' ? 'an earlier equation' : 'the text';
+    }
+
+    function bindDefinitionLinks(container, equation) {
+        container.querySelectorAll('.definition-link').forEach(link => {
+            link.addEventListener('click', (e) => {
+                e.stopPropagation();
+                const entry = equationSymbols(equation).find(item => SymbolTable.key(item.latex) === link.dataset.key);
+                const definition = entry?.definitions[Number(link.dataset.index)];
+                if (definition) jumpToDefinition(definition);
+            });
+        });
+    }
+
+    function jumpToDefinition(definition) {
+        if (definition.kind === 'equation') {
+            const target = pageData.equations.find(eq => eq.id === definition.equationId);
+            if (target) {
+                jumpToEquation(target);
+                return;
+            }
+        }
+
+        const section = definition.section?.id && document.getElementById(definition.section.id);
+        const element = findPassage(definition.text, section || document.body) || section;
+        if (!element) {
+            showError('Definition is no longer on the page');
+            return;
+        }
+
+        element.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        flashElement(element);
+    }
+
+    /**
+     * Innermost block containing a passage of extracted text. Inline math is
+     * $...$ in extracted text, so the longest run without math is matched.
+     */
+    function findPassage(text, scope = document.body) {
+        const fragment = String(text).split(/\$[^$]*\$/)
+            .map(part => part.replace(/\s+/g, ' ').trim())
+            .sort((a, b) => b.length - a.length)[0];
+        if (!fragment || fragment.length < 8) return null;
+
+        const contains = element => element.textContent.replace(/\s+/g, ' ').includes(fragment);
+        let match = Array.from(scope.querySelectorAll('p, li, td, blockquote, figcaption, .ltx_para')).find(contains);
+        while (match) {
+            const inner = Array.from(match.children).find(contains);
+            if (!inner) break;
+            match = inner;
+        }
+        return match || null;
+    }
+
+    // Explanations are kept on the equation so the page popup and the
+    // Equations tab share one request per equation
+    async function requestEquationExplanation(equation) {
+        if (equation.explanation) {
+            return { success: true, data: equation.explanation };
+        }
+
+        try {
+            const response = await chrome.runtime.sendMessage({
+                type: 'EXPLAIN_EQUATION',
+                data: {
+                    equation: equation.latex || equation.mathml,
+                    context: equation.context,
+                    format: equation.format,
+                    references: CrossRefs.contextFor(equation.context, pageData),
+                    symbols: equationSymbols(equation).map(({ symbol, latex, definitions }) => ({
+                        symbol,
+                        latex,
+                        definitions: definitions.map(d => ({ text: d.text, section: definitionLabel(d) }))
+                    })),
+                    paper: paperRef()
+                }
+            });
+
+            if (response.success) {
+                equation.explanation = response.data;
+            }
+            return response;
+        } catch (error) {
+            return { success: false, error: 'Failed to explain equation' };
+        }
+    }
+
+    async function showEquationExplanation(equation) {
+        showLoading('Explaining equation...');
+
+        try {
+            const response = await requestEquationExplanation(equation);
+
+            if (response.success) {
+                showEquationPopup(equation, response.data);
+            } else {
+                showError(describeError(response, 'Failed to explain equation'));
+            }
+        } catch (error) {
+            showError('Failed to explain equation');
+        } finally {
+            hideLoading();
+        }
+    }
+
+    function showEquationPopup(equation, explanation) {
+        const element = equation.element;
+        const tex = equationTex(equation);
+
+        // Remove existing popups
+        document.querySelectorAll('.equation-popup').forEach(p => p.remove());
+
+        const popup = document.createElement('div');
+        popup.className = 'equation-popup';
+        popup.innerHTML = html`
+      <div class="equation-popup-header">
+        <h4>Equation Explanation</h4>
+        <button class="close-btn">&times;</button>
+      </div>
+      <div class="equation-popup-body">
+        ${tex && html`<div class="equation-rendered">${MathRender.toHTML(tex, { display: true })}</div>`}
+        <div class="equation-readable">
+          <strong>Readable form:</strong> ${explanation.readable || 'N/A'}
+        </div>
+        <div class="equation-meaning">
+          <strong>What it represents:</strong> ${MathRender.inline(explanation.meaning || 'N/A')}
+        </div>
+        <div class="equation-variables">
+          <strong>Variables:</strong>
+          <ul>
+            ${listOr(explanation.variables, v => renderVariable(equation, v), html`<li>No variables identified</li>`)}
+          </ul>
+        </div>
+        <div class="equation-importance">
+          <strong>Why it matters:</strong> ${MathRender.inline(explanation.importance || 'N/A')}
+        </div>
+      </div>
+    `;
+
+        // Position near the element
+        const rect = element.getBoundingClientRect();
+        popup.style.top = `${rect.bottom + window.scrollY + 10}px`;
+        popup.style.left = `${rect.left + window.scrollX}px`;
+
+        document.body.appendChild(popup);
+
+        bindDefinitionLinks(popup, equation);
+
+        // Close button handler
+        popup.querySelector('.close-btn').addEventListener('click', () => popup.remove());
+
+        // Close on outside click
+        document.addEventListener('click', function closePopup(e) {
+            if (!popup.contains(e.target) && !element.contains(e.target)) {
+                popup.remove();
+                document.removeEventListener('click', closePopup);
+            }
+        });
+    }
+
+    /**
+     * tabs.sendMessage can't reach extension pages, so the popup addresses the
+     * viewer with runtime messages tagged with its tab id instead
+     */
+    function handleViewerMessage(message, sender, sendResponse) {
+        if (viewerTabId === null || message.viewerTabId !== viewerTabId) return false;
+        return handleMessage(message, sender, sendResponse);
+    }
+
+    function handleMessage(message, sender, sendResponse) {
+        switch (message.type) {
+            case 'GET_PAGE_DATA':
+                sendResponse({ success: true, data: pageData });
+                break;
+
+            // For pages analyzed from elsewhere (compare/), which index the paper
+            case 'GET_INDEXABLE_DATA':
+                sendResponse({ success: true, data: indexableData() });
+                break;
+
+            case 'TOGGLE_SIDEBAR':
+                toggleSidebar();
+                sendResponse({ success: true });
+                break;
+
+            case 'OPEN_SIDEBAR':
+                openSidebar(message.data?.tab);
+                sendResponse({ success: true });
+                break;
+
+            case 'HIGHLIGHT_CONTRIBUTIONS':
+                highlightKeypoints(message.data?.spans || []);
+                sendResponse({ success: true });
+                break;
+
+            default:
+                sendResponse({ success: false, error: 'Unknown message type' });
+        }
+        return true;
+    }
+
+    /**
+     * Highlight the source passage of each key point ({ kind, index, text, quote }
+     * spans from the background). Replaces any earlier highlights.
+     */
+    function highlightKeypoints(spans) {
+        keypointMarks.forEach(marks => Anchors.unwrap(marks));
+        keypointMarks.clear();
+
+        spans.forEach(span => {
+            const position = Anchors.search(span.quote);
+            if (!position) return;
+
+            const marks = Anchors.wrap(position, () => {
+                const mark = document.createElement('mark');
+                mark.className = 'ai-helper-highlight';
+                mark.dataset.kind = span.kind;
+                mark.title = span.text;
+                return mark;
+            });
+            if (marks.length > 0) {
+                keypointMarks.set(`${span.kind}:${span.index}`, marks);
+            }
+        });
+
+        document.documentElement.classList.toggle('ai-helper-highlights-hidden', !keypointHighlightsVisible);
+    }
+
+    // Key points with a highlighted source scroll to it when clicked
+    function bindKeypointItems() {
+        document.getElementById('keypoint-highlights')?.addEventListener('change', (e) => {
+            keypointHighlightsVisible = e.target.checked;
+            document.documentElement.classList.toggle('ai-helper-highlights-hidden', !keypointHighlightsVisible);
+        });
+
+        document.querySelectorAll('#keypoints-tab [data-keypoint]').forEach(item => {
+            const marks = keypointMarks.get(item.dataset.keypoint);
+            if (!marks) return;
+
+            item.classList.add('has-source');
+            item.title = 'Show in the page';
+            item.addEventListener('click', () => {
+                if (!keypointHighlightsVisible) {
+                    document.getElementById('keypoint-highlights').click();
+                }
+                marks[0].scrollIntoView({ behavior: 'smooth', block: 'center' });
+                marks.forEach(flashElement);
+            });
+        });
+    }
+
+    // Utility functions
+
+    // Identity fields the background uses to key per-paper storage
+    function paperRef() {
+        return {
+            url: pageData?.url || window.location.href,
+            canonicalUrl: pageData?.canonicalUrl || null,
+            metadata: { arxivId: pageData?.metadata?.arxivId || null }
+        };
+    }
+
+    // Identity plus the bibliographic fields used by exports
+    function paperDetails() {
+        return {
+            ...paperRef(),
+            title: pageData?.title || document.title,
+            authors: pageData?.authors || [],
+            pageType: pageData?.pageType || 'unknown',
+            metadata: { ...pageData?.metadata }
+        };
+    }
+
+    function showLoading(text = 'Loading...') {
+        const overlay = document.getElementById('loading-overlay');
+        if (overlay) {
+            overlay.querySelector('.loading-text').textContent = text;
+            overlay.classList.remove('hidden');
+        }
+    }
+
+    function hideLoading() {
+        const overlay = document.getElementById('loading-overlay');
+        if (overlay) {
+            overlay.classList.add('hidden');
+        }
+    }
+
+    function showError(message) {
+        showNotification(message, 'error');
+    }
+
+    // Turn a failed background response into a message the user can act on
+    function describeError(response, fallback) {
+        switch (response?.code) {
+            case 'timeout':
+                return 'The backend took too long to respond. Try again, or switch the API mode in settings.';
+            case 'offline':
+                return 'Cannot reach the backend. Check that the server is running and the Backend URL in settings.';
+            case 'validation':
+                return `The backend rejected the request: ${response.error}`;
+            case 'server':
+                return 'The backend hit an internal error. Check the server logs and try again.';
+            case 'invalid_response':
+                return 'The backend sent a response that could not be read. Check the server logs and try again.';
+            case 'aborted':
+                return 'Request cancelled.';
+            default:
+                return response?.error || fallback;
+        }
+    }
+
+    function showNotification(message, type = 'success') {
+        const notification = document.createElement('div');
+        notification.className = `ai-helper-notification ${type}`;
+        notification.textContent = message;
+
+        document.body.appendChild(notification);
+
+        setTimeout(() => {
+            notification.classList.add('fade-out');
+            setTimeout(() => notification.remove(), 300);
+        }, 3000);
+    }
+
+})();
@@ -0,0 +1,258 @@
+// AI Research Paper Helper - Library Page Script
+// Searchable list of analyzed papers with tags, collections, delete and clear controls
+
+// DOM helper shared with the popup and compare pages (utils/extension-page.js)
+const { createElement } = ExtensionPage;
+
+const SEARCH_DEBOUNCE = 200;
+
+const SOURCE_ICONS = {
+    arxiv: '📚',
+    medium: '📝',
+    blog: '📰',
+    article: '🌐',
+    pdf: '📑',
+    unknown: '📄'
+};
+
+let searchTimer = null;
+let collections = [];
+
+document.addEventListener('DOMContentLoaded', init);
+
+async function init() {
+    setupEventListeners();
+    await loadHistory();
+}
+
+function setupEventListeners() {
+    document.getElementById('history-search').addEventListener('input', () => {
+        clearTimeout(searchTimer);
+        searchTimer = setTimeout(loadHistory, SEARCH_DEBOUNCE);
+    });
+
+    document.getElementById('history-source').addEventListener('change', loadHistory);
+    document.getElementById('history-collection').addEventListener('change', loadHistory);
+    document.getElementById('clear-history').addEventListener('click', handleClearHistory);
+    document.getElementById('new-collection').addEventListener('click', handleNewCollection);
+}
+
+async function loadHistory() {
+    const list = document.getElementById('history-list');
+    const query = document.getElementById('history-search').value.trim();
+    const source = document.getElementById('history-source').value;
+
+    try {
+        const [response, library] = await Promise.all([
+            chrome.runtime.sendMessage({ type: 'GET_HISTORY', data: { query, source, collection: selectedCollection() } }),
+            chrome.runtime.sendMessage({ type: 'GET_COLLECTIONS' })
+        ]);
+
+        if (!response.success) {
+            throw new Error(response.error);
+        }
+
+        collections = library.success ? library.data : [];
+        renderCollections();
+        renderHistory(response.data, Boolean(query || source || selectedCollection()));
+    } catch (error) {
+        list.replaceChildren(createElement('p', 'empty-state', 'Failed to load history'));
+        console.error('Failed to load history', error);
+    }
+}
+
+function renderHistory(papers, filtered) {
+    const list = document.getElementById('history-list');
+    document.getElementById('history-count').textContent =
+        `${papers.length} paper${papers.length === 1 ? '' : 's'}`;
+
+    if (papers.length === 0) {
+        const message = filtered ? 'No papers match your search' : 'No papers analyzed yet';
+        list.replaceChildren(createElement('p', 'empty-state', message));
+        return;
+    }
+
+    list.replaceChildren(...papers.map(renderPaper));
+}
+
+function selectedCollection() {
+    return document.getElementById('history-collection').value;
+}
+
+/**
+ * Collection filter options and the chips that select or delete a collection
+ */
+function renderCollections() {
+    const select = document.getElementById('history-collection');
+    const selected = select.value;
+    select.replaceChildren(
+        new Option('All collections', ''),
+        ...collections.map(collection => new Option(collection.name, collection.id))
+    );
+    select.value = collections.some(collection => collection.id === selected) ? selected : '';
+
+    const chips = collections.map(collection => {
+        const chip = createElement('span', 'collection-chip');
+        chip.classList.toggle('active', collection.id === select.value);
+
+        const name = createElement('button', 'collection-chip-name', collection.name);
+        name.addEventListener('click', () => {
+            select.value = collection.id === select.value ? '' : collection.id;
+            loadHistory();
+        });
+
+        const remove = createElement('button', 'collection-chip-delete', '×');
+        remove.title = 'Delete collection';
+        remove.addEventListener('click', () => handleDeleteCollection(collection));
+
+        chip.append(name, remove);
+        return chip;
+    });
+
+    document.getElementById('collections-list').replaceChildren(...chips);
+}
+
+function renderPaper(paper) {
+    const item = createElement('article', 'history-item');
+
+    const icon = createElement('div', 'history-item-icon', SOURCE_ICONS[paper.pageType] || SOURCE_ICONS.unknown);
+
+    const info = createElement('div', 'history-item-info');
+    const title = createElement('a', 'history-item-title', paper.title);
+    title.href = paper.url;
+    title.target = '_blank';
+    title.rel = 'noopener';
+    info.appendChild(title);
+
+    if (paper.authors?.length) {
+        info.appendChild(createElement('div', 'history-item-authors', paper.authors.join(', ')));
+    }
+
+    const meta = [
+        paper.pageType,
+        paper.arxivId && `arXiv:${paper.arxivId}`,
+        formatDate(paper.analyzedAt),
+        !paper.indexed && 'not indexed for Q&A'
+    ];
+    info.appendChild(createElement('div', 'history-item-meta', meta.filter(Boolean).join(' · ')));
+
+    if (paper.tldr?.length) {
+        info.appendChild(createElement('p', 'history-item-tldr', paper.tldr[0]));
+    }
+
+    info.appendChild(renderTags(paper));
+    if (collections.length > 0) {
+        info.appendChild(renderMembership(paper));
+    }
+
+    const deleteBtn = createElement('button', 'history-item-delete', '×');
+    deleteBtn.title = 'Remove from history';
+    deleteBtn.addEventListener('click', () => handleDelete(paper));
+
+    item.append(icon, info, deleteBtn);
+    return item;
+}
+
+/**
+ * Tag chips (click to filter, × to remove) and an input that adds tags
+ */
+function renderTags(paper) {
+    const row = createElement('div', 'history-item-tags');
+
+    paper.tags.forEach(tag => {
+        const chip = createElement('span', 'tag-chip');
+
+        const name = createElement('button', 'tag-chip-name', `#${tag}`);
+        name.title = 'Show papers with this tag';
+        name.addEventListener('click', () => filterByTag(tag));
+
+        const remove = createElement('button', 'tag-chip-delete', '×');
+        remove.title = 'Remove tag';
+        remove.addEventListener('click', () => saveLibraryPaper(paper, { tags: paper.tags.filter(other => other !== tag) }));
+
+        chip.append(name, remove);
+        row.appendChild(chip);
+    });
+
+    const input = createElement('input', 'tag-input');
+    input.placeholder = 'Add tags...';
+    input.addEventListener('keydown', (e) => {
+        if (e.key !== 'Enter' || !input.value.trim()) return;
+        saveLibraryPaper(paper, { tags: [...paper.tags, ...input.value.split(/[,\s]+/)] });
+    });
+    row.appendChild(input);
+
+    return row;
+}
+
+/**
+ * A checkbox per collection the paper can belong to
+ */
+function renderMembership(paper) {
+    const details = createElement('details', 'history-item-collections');
+    const names = collections.filter(collection => paper.collections.includes(collection.id)).map(collection => collection.name);
+    details.appendChild(createElement('summary', '', names.length ? `Collections: ${names.join(', ')}` : 'Add to collection'));
+
+    collections.forEach(collection => {
+        const label = createElement('label', 'collection-option');
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.checked = paper.collections.includes(collection.id);
+        checkbox.addEventListener('change', () => {
+            const others = paper.collections.filter(id => id !== collection.id);
+            saveLibraryPaper(paper, { collections: checkbox.checked ? [...others, collection.id] : others });
+        });
+        label.append(checkbox, document.createTextNode(collection.name));
+        details.appendChild(label);
+    });
+
+    return details;
+}
+
+function filterByTag(tag) {
+    const search = document.getElementById('history-search');
+    if (!search.value.split(/\s+/).includes(`#${tag}`)) {
+        search.value = `${search.value.trim()} #${tag}`.trim();
+    }
+    loadHistory();
+}
+
+async function saveLibraryPaper(paper, changes) {
+    await chrome.runtime.sendMessage({ type: 'UPDATE_LIBRARY_PAPER', data: { key: paper.key, ...changes } });
+    await loadHistory();
+}
+
+async function handleNewCollection() {
+    const name = prompt('Collection name')?.trim();
+    if (!name) return;
+
+    const response = await chrome.runtime.sendMessage({ type: 'CREATE_COLLECTION', data: { name } });
+    if (!response.success) {
+        alert(response.error);
+        return;
+    }
+    await loadHistory();
+}
+
+async function handleDeleteCollection(collection) {
+    if (!confirm(`Delete the collection "${collection.name}"? Its papers stay in the library.`)) return;
+
+    await chrome.runtime.sendMessage({ type: 'DELETE_COLLECTION', data: { id: collection.id } });
+    await loadHistory();
+}
+
+async function handleDelete(paper) {
+    await chrome.runtime.sendMessage({ type: 'DELETE_HISTORY_ENTRY', data: { key: paper.key } });
+    await loadHistory();
+}
+
+async function handleClearHistory() {
+    if (!confirm('Remove all papers and their cached analyses?')) return;
+
+    await chrome.runtime.sendMessage({ type: 'CLEAR_HISTORY' });
+    await loadHistory();
+}
+
+function formatDate(dateString) {
+    return new Date(dateString).toLocaleString();
+}
@@ -0,0 +1,264 @@
+// AI Research Paper Helper - Text Anchors
+// Describes a selection as quote + prefix/suffix + offsets and finds it again after the page reloads
+
+/**
+ * An anchor is a plain object that survives storage:
+ *   { quote, prefix, suffix, start, end }
+ * start and end are offsets into the page text as built by Anchors.index().
+ * Offsets are tried first; when the page changed, the quote is searched for
+ * and the occurrence whose surroundings best match prefix/suffix wins.
+ */
+const Anchors = {
+    contextLength: 32,
+
+    // Never part of the page text: our own UI, scripts and form fields, and
+    // rendered math, whose hidden TeX annotations the reader never sees and
+    // whose markup breaks when wrapped
+    skip: 'script, style, noscript, textarea, #ai-helper-sidebar, #ai-helper-toggle, .ai-helper-annotate-toolbar, ' +
+        '.ai-helper-xref-card, .ai-helper-notification, .equation-popup, ' +
+        'math, svg, annotation, .katex, .MathJax, mjx-container',
+
+    /**
+     * Text nodes under root with their offsets:
+     * { text, nodes: [{ node, start }] }
+     */
+    index(root = document.body) {
+        const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT, {
+            acceptNode: node => node.parentElement?.closest(this.skip) ? NodeFilter.FILTER_REJECT : NodeFilter.FILTER_ACCEPT
+        });
+
+        const nodes = [];
+        let text = '';
+        while (walker.nextNode()) {
+            nodes.push({ node: walker.currentNode, start: text.length });
+            text += walker.currentNode.data;
+        }
+        return { text, nodes };
+    },
+
+    /**
+     * Anchor for a DOM Range, or null when it covers no page text
+     */
+    describe(range, index = this.index()) {
+        const start = this.offsetOf(range.startContainer, range.startOffset, index);
+        const end = this.offsetOf(range.endContainer, range.endOffset, index);
+        const quote = index.text.slice(start, end);
+        if (!quote.trim()) return null;
+
+        return {
+            quote,
+            prefix: index.text.slice(Math.max(0, start - this.contextLength), start),
+            suffix: index.text.slice(end, end + this.contextLength),
+            start,
+            end
+        };
+    },
+
+    /**
+     * Find an anchor in the current page: { start, end } or null
+     */
+    resolve(anchor, index = this.index()) {
+        const { quote, start, end } = anchor;
+        if (index.text.slice(start, end) === quote) {
+            return { start, end };
+        }
+
+        const exact = this.occurrences(index.text, quote);
+        if (exact.length > 0) {
+            const best = this.best(exact, anchor, index.text);
+            return { start: best, end: best + quote.length };
+        }
+
+        return this.resolveLoose(anchor, index.text);
+    },
+
+    /**
+     * Match ignoring whitespace differences, which re-rendered text often has
+     */
+    resolveLoose(anchor, text) {
+        const { normalized, positions } = this.collapse(text);
+        const quote = anchor.quote.replace(/\s+/g, ' ').trim();
+        if (!quote) return null;
+
+        const found = this.occurrences(normalized, quote)
+            .map(i => ({ start: positions[i], end: positions[i + quote.length - 1] + 1 }));
+        if (found.length === 0) return null;
+
+        const best = this.best(found.map(match => match.start), anchor, text);
+        return found.find(match => match.start === best);
+    },
+
+    /**
+     * Find a passage of extracted text in the page when there is no stored
+     * anchor: { start, end } or null. Falls back to comparing letters and
+     * digits only, so punctuation, math markup and node boundaries don't
+     * matter, and finally to matching the passage's two ends.
+     */
+    search(quote, index = this.index()) {
+        const loose = this.resolveLoose({ quote, prefix: '', suffix: '', start: 0 }, index.text);
+        if (loose) return loose;
+
+        const { normalized, positions } = this.alphanumeric(index.text);
+        const target = this.alphanumeric(quote.replace(/\$[^$]*\$/g, ' ')).normalized;
+        if (target.length < 8) return null;
+
+        const at = normalized.indexOf(target);
+        if (at >= 0) {
+            return { start: positions[at], end: positions[at + target.length - 1] + 1 };
+        }
+
+        // Ends of a passage whose middle differs (a reworded clause, an inline formula)
+        const size = Math.min(40, Math.floor(target.length / 3));
+        if (size < 12) return null;
+
+        const head = normalized.indexOf(target.slice(0, size));
+        const tail = head >= 0 ? normalized.indexOf(target.slice(-size), head + size) : -1;
+        if (tail < 0 || tail + size - head > target.length * 1.5) return null;
+
+        return { start: positions[head], end: positions[tail + size - 1] + 1 };
+    },
+
+    // Lowercased letters and digits only, with each character's offset in the original
+    alphanumeric(text) {
+        return this.memo('alphanumeric', text, () => {
+            let normalized = '';
+            const positions = [];
+            for (let i = 0; i < text.length; i++) {
+                if (!/[\p{L}\p{N}]/u.test(text[i])) continue;
+                normalized += text[i].toLowerCase();
+                positions.push(i);
+            }
+            return { normalized, positions };
+        });
+    },
+
+    // Candidate start offsets ranked by matching context, then by distance from the stored offset
+    best(candidates, anchor, text) {
+        const score = start => {
+            const before = text.slice(Math.max(0, start - anchor.prefix.length), start);
+            const after = text.slice(start + anchor.quote.length, start + anchor.quote.length + anchor.suffix.length);
+            return this.commonSuffix(before, anchor.prefix) + this.commonPrefix(after, anchor.suffix) -
+                Math.abs(start - anchor.start) / Math.max(text.length, 1);
+        };
+        return candidates.reduce((best, start) => score(start) > score(best) ? start : best);
+    },
+
+    occurrences(text, quote) {
+        const found = [];
+        for (let i = text.indexOf(quote); quote && i >= 0; i = text.indexOf(quote, i + 1)) {
+            found.push(i);
+        }
+        return found;
+    },
+
+    // Whitespace runs collapsed to one space, with each character's offset in the original
+    collapse(text) {
+        return this.memo('collapse', text, () => {
+            let normalized = '';
+            const positions = [];
+            for (let i = 0; i < text.length; i++) {
+                const space = /\s/.test(text[i]);
+                if (space && (normalized.endsWith(' ') || normalized === '')) continue;
+                normalized += space ? ' ' : text[i];
+                positions.push(i);
+            }
+            return { normalized, positions };
+        });
+    },
+
+    // The last result per normalization, so searching one page text many
+    // times (a chunk per passage) normalizes it once
+    memos: {},
+
+    memo(name, text, compute) {
+        if (this.memos[name]?.text !== text) {
+            this.memos[name] = { text, result: compute() };
+        }
+        return this.memos[name].result;
+    },
+
+    commonPrefix(a, b) {
+        let n = 0;
+        while (n < a.length && n < b.length && a[n] === b[n]) n++;
+        return n;
+    },
+
+    commonSuffix(a, b) {
+        let n = 0;
+        while (n < a.length && n < b.length && a[a.length - 1 - n] === b[b.length - 1 - n]) n++;
+        return n;
+    },
+
+    /**
+     * Page-text offset of a Range boundary. Boundaries inside elements map
+     * to the first text node at or after them.
+     */
+    offsetOf(container, offset, index) {
+        if (container.nodeType === Node.TEXT_NODE) {
+            const entry = index.nodes.find(item => item.node === container);
+            if (entry) return entry.start + offset;
+        }
+
+        const probe = document.createRange();
+        probe.setStart(container, offset);
+        const entry = index.nodes.find(item => probe.comparePoint(item.node, 0) >= 0);
+        return entry ? entry.start : index.text.length;
+    },
+
+    /**
+     * DOM Range covering page-text offsets start..end
+     */
+    toRange({ start, end }, index = this.index()) {
+        const startNode = index.nodes.find(item => start < item.start + item.node.data.length);
+        const endNode = index.nodes.find(item => end <= item.start + item.node.data.length);
+        if (!startNode || !endNode) return null;
+
+        const range = document.createRange();
+        range.setStart(startNode.node, start - startNode.start);
+        range.setEnd(endNode.node, end - endNode.start);
+        return range;
+    },
+
+    /**
+     * Wrap page-text offsets start..end in elements made by make(), one per
+     * text node the span crosses. Whitespace-only pieces (between blocks,
+     * table cells or list items) are left alone. The index is stale afterwards.
+     */
+    wrap({ start, end }, make, index = this.index()) {
+        const elements = [];
+
+        index.nodes.forEach(({ node, start: nodeStart }) => {
+            const from = Math.max(start, nodeStart) - nodeStart;
+            const to = Math.min(end, nodeStart + node.data.length) - nodeStart;
+            if (to <= from || !node.data.slice(from, to).trim()) return;
+
+            let piece = node;
+            if (from > 0) piece = piece.splitText(from);
+            if (to - from < piece.data.length) piece.splitText(to - from);
+
+            const element = make();
+            piece.replaceWith(element);
+            element.appendChild(piece);
+            elements.push(element);
+        });
+
+        return elements;
+    },
+
+    /**
+     * Undo wrap(): put the wrapped text back and merge split text nodes
+     */
+    unwrap(elements) {
+        elements.forEach(element => {
+            const parent = element.parentNode;
+            if (!parent) return;
+            element.replaceWith(...element.childNodes);
+            parent.normalize();
+        });
+    }
+};
+
+// Export for use in content script
+if (typeof module !== 'undefined') {
+    module.exports = { Anchors };
+}
@@ -0,0 +1,53 @@
+// AI Research Paper Helper - Annotations
+// Stores user highlights and notes per paper key in chrome.storage.local
+
+import { createQueue } from './storage-queue.js';
+
+const ANNOTATION_PREFIX = 'annotations:';
+
+const enqueue = createQueue();
+
+/**
+ * Annotations of a paper:
+ * [{ id, category, note, anchor: { quote, prefix, suffix, start, end }, section, createdAt, updatedAt }]
+ */
+async function getAnnotations(key) {
+    const storageKey = ANNOTATION_PREFIX + key;
+    const stored = await chrome.storage.local.get(storageKey);
+    return stored[storageKey] || [];
+}
+
+/**
+ * Add an annotation, or replace the one with the same id
+ */
+async function saveAnnotation(key, annotation) {
+    return enqueue(async () => {
+        const annotations = await getAnnotations(key);
+        const saved = { ...annotation, updatedAt: new Date().toISOString() };
+        const position = annotations.findIndex(existing => existing.id === annotation.id);
+
+        if (position >= 0) {
+            annotations[position] = saved;
+        } else {
+            annotations.push(saved);
+        }
+
+        await chrome.storage.local.set({ [ANNOTATION_PREFIX + key]: annotations });
+        return saved;
+    });
+}
+
+async function removeAnnotation(key, id) {
+    return enqueue(async () => {
+        const annotations = (await getAnnotations(key)).filter(annotation => annotation.id !== id);
+
+        if (annotations.length > 0) {
+            await chrome.storage.local.set({ [ANNOTATION_PREFIX + key]: annotations });
+        } else {
+            await chrome.storage.local.remove(ANNOTATION_PREFIX + key);
+        }
+    });
+}
+
+// Export for use in other modules
+export { getAnnotations, saveAnnotation, removeAnnotation };
@@ -1,107 +1,437 @@
-// AI Research Paper Helper - API Utility Module
-// Handles all communication with the backend API
-
-const API_TIMEOUT = 30000; // 30 seconds
-
-class APIClient {
-    constructor(baseUrl = 'http://localhost:8000') {
-        this.baseUrl = baseUrl;
-    }
-
-    setBaseUrl(url) {
-        this.baseUrl = url;
-    }
-
-    async request(endpoint, data = null, options = {}) {
-        const controller = new AbortController();
-        const timeout = setTimeout(() => controller.abort(), options.timeout || API_TIMEOUT);
-
-        try {
-            const response = await fetch(`${this.baseUrl}${endpoint}`, {
-                method: options.method || 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    ...options.headers
-                },
-                body: data ? JSON.stringify(data) : undefined,
-                signal: controller.signal
-            });
-
-            clearTimeout(timeout);
-
-            if (!response.ok) {
-                const error = await response.json().catch(() => ({ detail: 'Unknown error' }));
-                throw new Error(error.detail || `HTTP ${response.status}`);
-            }
-
-            return await response.json();
-        } catch (error) {
-            clearTimeout(timeout);
-
-            if (error.name === 'AbortError') {
-                throw new Error('Request timeout');
-            }
-
-            throw error;
-        }
-    }
-
-    // Health check
-    async health() {
-        return this.request('/health', null, { method: 'GET' });
-    }
-
-    // Summarization
-    async summarize(data) {
-        return this.request('/summarize', {
-            title: data.title,
-            content: data.content,
-            abstract: data.abstract,
-            page_type: data.pageType
-        });
-    }
-
-    // Equation explanation
-    async explainEquation(data) {
-        return this.request('/explain-equations', {
-            equation: data.equation,
-            context: data.context,
-            format: data.format
-        });
-    }
-
-    // Key points extraction
-    async extractKeypoints(data) {
-        return this.request('/extract-key-points', {
-            title: data.title,
-            content: data.content,
-            abstract: data.abstract
-        });
-    }
-
-    // RAG - Index paper
-    async indexPaper(data) {
-        return this.request('/rag/index', {
-            title: data.title,
-            content: data.content,
-            paper_id: data.paperId || data.url
-        });
-    }
-
-    // RAG - Query
-    async ragQuery(data) {
-        return this.request('/rag/query', {
-            query: data.query,
-            paper_id: data.paperId,
-            top_k: data.topK || 5
-        });
-    }
-}
-
-// Singleton instance
-const apiClient = new APIClient();
-
-// Export for use in other modules
-if (typeof module !== 'undefined') {
-    module.exports = { APIClient, apiClient };
-}
+// AI Research Paper Helper - API Utility Module
+// Handles all communication with the backend API
+
+const API_TIMEOUT = 30000; // 30 seconds
+const DEFAULT_BACKEND_URL = 'http://localhost:8000';
+
+// Retry policy for idempotent requests (exponential backoff)
+const MAX_RETRIES = 2;
+const RETRY_BASE_DELAY = 500;
+
+// Characters of chunk JSON per /rag/index request, below the backend's body size limit
+const MAX_INDEX_BATCH_SIZE = 512 * 1024;
+
+// Inference profiles tried for each API mode, sent as the X-Inference-Mode header.
+// Hybrid mode prefers local models and falls back to the remote API.
+const MODE_PROFILES = {
+    local: ['local'],
+    api: ['api'],
+    hybrid: ['local', 'api']
+};
+
+// Error codes returned to the UI alongside the message
+const ERROR_CODES = {
+    TIMEOUT: 'timeout',
+    OFFLINE: 'offline',
+    VALIDATION: 'validation',
+    SERVER: 'server',
+    INVALID_RESPONSE: 'invalid_response',
+    ABORTED: 'aborted'
+};
+
+class APIError extends Error {
+    constructor(message, code, status = null) {
+        super(message);
+        this.name = 'APIError';
+        this.code = code;
+        this.status = status;
+    }
+
+    // Transient failures that are worth retrying
+    get retryable() {
+        return this.code === ERROR_CODES.TIMEOUT ||
+            this.code === ERROR_CODES.OFFLINE ||
+            this.code === ERROR_CODES.SERVER ||
+            this.status === 429;
+    }
+}
+
+class APIClient {
+    constructor(baseUrl = DEFAULT_BACKEND_URL, mode = 'hybrid') {
+        this.setBaseUrl(baseUrl);
+        this.setMode(mode);
+    }
+
+    setBaseUrl(url) {
+        this.baseUrl = (url || '').trim().replace(/\/+$/, '') || DEFAULT_BACKEND_URL;
+    }
+
+    setMode(mode) {
+        this.mode = MODE_PROFILES[mode] ? mode : 'hybrid';
+    }
+
+    /**
+     * Send a request, falling back through the inference profiles of the
+     * current mode. Validation errors, unreadable responses and cancellations
+     * are not retried on another profile: the first two came from a backend
+     * that received the request, and the last was asked for. Requests that
+     * aren't idempotent only fall back when the backend was unreachable,
+     * since a timed out or failed one may already have taken effect.
+     */
+    async request(endpoint, data = null, options = {}) {
+        const profiles = MODE_PROFILES[this.mode];
+        let lastError;
+
+        for (const profile of profiles) {
+            try {
+                return await this.requestWithRetry(endpoint, data, { ...options, profile });
+            } catch (error) {
+                lastError = error;
+
+                if (error.code === ERROR_CODES.VALIDATION || error.code === ERROR_CODES.INVALID_RESPONSE ||
+                    error.code === ERROR_CODES.ABORTED) {
+                    break;
+                }
+
+                if (!options.idempotent && error.code !== ERROR_CODES.OFFLINE) {
+                    break;
+                }
+
+                if (profile !== profiles[profiles.length - 1]) {
+                    console.warn(`API request failed with ${profile} profile, falling back: ${endpoint}`, error);
+                }
+            }
+        }
+
+        throw lastError;
+    }
+
+    async requestWithRetry(endpoint, data, options) {
+        const retries = options.idempotent ? (options.retries ?? MAX_RETRIES) : 0;
+
+        for (let attempt = 0; ; attempt++) {
+            try {
+                return await this.perform(endpoint, data, options, response => response.json());
+            } catch (error) {
+                if (attempt >= retries || !error.retryable) {
+                    throw error;
+                }
+                await wait(RETRY_BASE_DELAY * 2 ** attempt, options.signal);
+            }
+        }
+    }
+
+    /**
+     * Stream a response sent as server-sent events or NDJSON. Each event is
+     * a JSON object: { field, delta } appends text to a field of the result,
+     * { done: true, result } carries the final payload and { error } fails
+     * the request. Backends that ignore `stream: true` and reply with plain
+     * JSON are handled as a single final payload.
+     */
+    async stream(endpoint, data, options = {}) {
+        const profiles = MODE_PROFILES[this.mode];
+        let lastError;
+
+        for (const profile of profiles) {
+            let received = false;
+            const onChunk = (chunk) => {
+                received = true;
+                options.onChunk(chunk);
+            };
+
+            try {
+                return await this.perform(endpoint, { ...data, stream: true }, {
+                    ...options,
+                    profile,
+                    headers: {
+                        Accept: 'text/event-stream, application/x-ndjson, application/json',
+                        ...options.headers
+                    }
+                }, (response, keepAlive) => readStream(response, onChunk, keepAlive));
+            } catch (error) {
+                lastError = error;
+
+                // Partial output has already reached the UI, so don't restart it elsewhere
+                if (received || error.code === ERROR_CODES.VALIDATION || error.code === ERROR_CODES.INVALID_RESPONSE ||
+                    error.code === ERROR_CODES.ABORTED) {
+                    break;
+                }
+            }
+        }
+
+        throw lastError;
+    }
+
+    /**
+     * Perform a single fetch with timeout and cancellation, passing the
+     * successful response to readBody while the timeout still applies.
+     * Streaming readers call keepAlive() on progress so the timeout only
+     * fires when the backend goes quiet.
+     */
+    async perform(endpoint, data, options, readBody) {
+        const { signal } = options;
+
+        if (signal?.aborted) {
+            throw new APIError('Request cancelled', ERROR_CODES.ABORTED);
+        }
+
+        const controller = new AbortController();
+        let timeout;
+        const keepAlive = () => {
+            clearTimeout(timeout);
+            timeout = setTimeout(() => controller.abort(), options.timeout || API_TIMEOUT);
+        };
+        keepAlive();
+        const cancel = () => controller.abort();
+        signal?.addEventListener('abort', cancel);
+        let responded = false;
+
+        try {
+            const response = await fetch(`${this.baseUrl}${endpoint}`, {
+                method: options.method || 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'X-Inference-Mode': options.profile || MODE_PROFILES[this.mode][0],
+                    ...options.headers
+                },
+                body: data ? JSON.stringify(data) : undefined,
+                signal: controller.signal
+            });
+            responded = true;
+
+            if (!response.ok) {
+                throw await errorFromResponse(response);
+            }
+
+            return await readBody(response, keepAlive);
+        } catch (error) {
+            if (error instanceof APIError) {
+                throw error;
+            }
+
+            if (signal?.aborted) {
+                throw new APIError('Request cancelled', ERROR_CODES.ABORTED);
+            }
+
+            if (error.name === 'AbortError') {
+                throw new APIError('Request timeout', ERROR_CODES.TIMEOUT);
+            }
+
+            // fetch() rejects with a TypeError when the server is unreachable
+            if (!responded && error instanceof TypeError) {
+                throw new APIError(`Backend not reachable at ${this.baseUrl}`, ERROR_CODES.OFFLINE);
+            }
+
+            // The backend answered, so the request may have taken effect
+            throw new APIError(`Invalid response from the backend: ${error.message}`, ERROR_CODES.INVALID_RESPONSE);
+        } finally {
+            clearTimeout(timeout);
+            signal?.removeEventListener('abort', cancel);
+        }
+    }
+
+    // Health check
+    async health(options = {}) {
+        return this.request('/health', null, { ...options, method: 'GET', idempotent: true });
+    }
+
+    // Summarization (streamed when options.onChunk is given)
+    async summarize(data, options = {}) {
+        const body = {
+            title: data.title,
+            content: data.content,
+            abstract: data.abstract,
+            pageType: data.pageType
+        };
+        return options.onChunk ?
+            this.stream('/summarize', body, options) :
+            this.request('/summarize', body, { ...options, idempotent: true });
+    }
+
+    // Equation explanation
+    async explainEquation(data, options = {}) {
+        return this.request('/explain-equations', {
+            equation: data.equation,
+            context: data.context,
+            format: data.format, // 'latex' or 'mathml'
+            symbols: data.symbols || [], // Where each variable is defined elsewhere in the paper
+            references: data.references || [] // Equations, figures and citations the context refers to
+        }, { ...options, idempotent: true });
+    }
+
+    // Key points extraction
+    async extractKeypoints(data, options = {}) {
+        return this.request('/extract-key-points', {
+            title: data.title,
+            content: data.content,
+            abstract: data.abstract,
+            include_spans: true // Quote the passage each key point comes from
+        }, { ...options, idempotent: true });
+    }
+
+    // RAG - Index paper (not retried: a partial index may already exist).
+    // Papers chunked by the content script (utils/chunker.js) are sent as
+    // their chunks, in batches that stay under the backend's payload limit.
+    async indexPaper(data, options = {}) {
+        const paperId = data.paperId || data.url;
+        if (!data.chunks?.length) {
+            return this.request('/rag/index', {
+                title: data.title,
+                content: data.content,
+                paper_id: paperId,
+                // [{ title, level, start, end }] offsets into content, so chunks can name their section
+                sections: data.sections || []
+            }, options);
+        }
+
+        const batches = batchChunks(data.chunks);
+        let result = null;
+        for (const [index, chunks] of batches.entries()) {
+            result = await this.request('/rag/index', {
+                title: data.title,
+                paper_id: paperId,
+                chunks: chunks.map(chunk => ({
+                    id: chunk.id,
+                    order: chunk.order,
+                    text: chunk.text,
+                    section: chunk.section,
+                    level: chunk.level,
+                    section_index: chunk.sectionIndex,
+                    page: chunk.page,
+                    equations: chunk.equations,
+                    anchor: chunk.anchor
+                })),
+                // The first batch replaces any earlier index of the paper
+                batch: { index, count: batches.length }
+            }, options);
+        }
+        return { ...result, chunks: data.chunks.length, batches: batches.length };
+    }
+
+    // RAG - Query (streamed when options.onChunk is given)
+    async ragQuery(data, options = {}) {
+        const body = {
+            query: data.query,
+            paper_id: data.paperId,
+            paper_ids: data.paperIds || [data.paperId], // Several papers for library-wide questions
+            top_k: data.topK || 5,
+            references: data.references || [],
+            annotations: data.annotations || [], // The reader's highlights and notes on this paper
+            // Earlier turns of the conversation, oldest first
+            history: (data.history || []).flatMap(turn => [
+                { role: 'user', content: turn.question },
+                { role: 'assistant', content: turn.answer }
+            ])
+        };
+        return options.onChunk ?
+            this.stream('/rag/query', body, options) :
+            this.request('/rag/query', body, { ...options, idempotent: true });
+    }
+}
+
+// Consecutive chunks grouped so each request body stays under MAX_INDEX_BATCH_SIZE
+function batchChunks(chunks) {
+    const batches = [[]];
+    let size = 0;
+
+    chunks.forEach(chunk => {
+        const chunkSize = JSON.stringify(chunk).length;
+        if (batches[batches.length - 1].length > 0 && size + chunkSize > MAX_INDEX_BATCH_SIZE) {
+            batches.push([]);
+            size = 0;
+        }
+        batches[batches.length - 1].push(chunk);
+        size += chunkSize;
+    });
+    return batches;
+}
+
+async function errorFromResponse(response) {
+    const body = await response.json().catch(() => ({ detail: null }));
+    const code = response.status >= 500 ? ERROR_CODES.SERVER : ERROR_CODES.VALIDATION;
+    return new APIError(formatDetail(body.detail) || `HTTP ${response.status}`, code, response.status);
+}
+
+// FastAPI returns either a string or a list of { loc, msg } validation errors
+function formatDetail(detail) {
+    if (Array.isArray(detail)) {
+        return detail
+            .map(item => item.loc ? `${item.loc.slice(1).join('.')}: ${item.msg}` : item.msg)
+            .join('; ');
+    }
+    return typeof detail === 'string' ? detail : null;
+}
+
+async function readStream(response, onChunk, keepAlive) {
+    const contentType = response.headers.get('Content-Type') || '';
+    if (!response.body || contentType.includes('application/json')) {
+        return response.json();
+    }
+
+    const isSSE = contentType.includes('text/event-stream');
+    // SSE events are separated by a blank line, NDJSON records by a newline
+    const separator = isSSE ? /\r?\n\r?\n/ : /\r?\n/;
+    const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+    const result = {};
+    let final = null;
+    let buffer = '';
+
+    const handleEvent = (raw) => {
+        const payload = isSSE ? sseData(raw) : raw.trim();
+        if (!payload || payload === '[DONE]') return;
+
+        let event;
+        try {
+            event = JSON.parse(payload);
+        } catch (error) {
+            throw new APIError('Malformed stream event from backend', ERROR_CODES.INVALID_RESPONSE);
+        }
+
+        if (event.error) {
+            throw new APIError(formatDetail(event.error) || 'Stream failed', ERROR_CODES.SERVER);
+        }
+
+        if (event.done) {
+            final = event.result || null;
+            return;
+        }
+
+        const field = event.field || 'text';
+        const delta = event.delta ?? event.token ?? '';
+        result[field] = (result[field] || '') + delta;
+        onChunk({ field, delta });
+    };
+
+    for (;;) {
+        const { value, done } = await reader.read();
+        if (done) break;
+
+        keepAlive();
+        buffer += value;
+        const events = buffer.split(separator);
+        buffer = events.pop();
+        events.forEach(handleEvent);
+    }
+    handleEvent(buffer);
+
+    // Without a final event, the accumulated fields are the result
+    return final || result;
+}
+
+function sseData(event) {
+    return event
+        .split(/\r?\n/)
+        .filter(line => line.startsWith('data:'))
+        .map(line => line.slice(5).replace(/^ /, ''))
+        .join('\n');
+}
+
+function wait(ms, signal) {
+    return new Promise((resolve, reject) => {
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(new APIError('Request cancelled', ERROR_CODES.ABORTED));
+        };
+        const timer = setTimeout(() => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        signal?.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+// Singleton instance
+const apiClient = new APIClient();
+
+// Export for use in other modules
+export { APIClient, APIError, ERROR_CODES, DEFAULT_BACKEND_URL, apiClient };
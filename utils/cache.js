@@ -0,0 +1,117 @@
+// AI Research Paper Helper - Analysis Cache
+// Persists per-paper analysis results in chrome.storage.local with LRU eviction
+
+import { createQueue } from './storage-queue.js';
+
+const ENTRY_PREFIX = 'analysis:';
+const INDEX_KEY = 'analysisIndex';
+
+// chrome.storage.local allows 10MB; leave room for settings and history
+const MAX_ENTRIES = 100;
+const MAX_BYTES = 5 * 1024 * 1024;
+
+class AnalysisCache {
+    constructor({ maxEntries = MAX_ENTRIES, maxBytes = MAX_BYTES } = {}) {
+        this.maxEntries = maxEntries;
+        this.maxBytes = maxBytes;
+        this.enqueue = createQueue();
+    }
+
+    /**
+     * Get the entry for a paper key, marking it as recently used
+     */
+    async get(key) {
+        return this.enqueue(async () => {
+            const storageKey = ENTRY_PREFIX + key;
+            const stored = await chrome.storage.local.get([storageKey, INDEX_KEY]);
+            const entry = stored[storageKey];
+            if (!entry) return null;
+
+            const index = stored[INDEX_KEY] || {};
+            index[key] = { ...index[key], lastAccess: Date.now() };
+            await chrome.storage.local.set({ [INDEX_KEY]: index });
+
+            return entry;
+        });
+    }
+
+    /**
+     * Read several entries at once without affecting their LRU order
+     */
+    async peek(keys) {
+        const stored = await chrome.storage.local.get(keys.map(key => ENTRY_PREFIX + key));
+        return Object.fromEntries(keys.map(key => [key, stored[ENTRY_PREFIX + key] || null]));
+    }
+
+    /**
+     * Merge a patch into an entry. The patch may be a function of the
+     * current entry (or an empty object) returning the fields to merge.
+     */
+    async update(key, patch) {
+        return this.enqueue(async () => {
+            const storageKey = ENTRY_PREFIX + key;
+            const stored = await chrome.storage.local.get([storageKey, INDEX_KEY]);
+            const current = stored[storageKey] || { key };
+            const changes = typeof patch === 'function' ? patch(current) : patch;
+            const entry = { ...current, ...changes, updatedAt: new Date().toISOString() };
+
+            const index = stored[INDEX_KEY] || {};
+            index[key] = { size: JSON.stringify(entry).length, lastAccess: Date.now() };
+
+            await chrome.storage.local.set({ [storageKey]: entry, [INDEX_KEY]: index });
+            await this.evict(index, key);
+
+            return entry;
+        });
+    }
+
+    async remove(key) {
+        return this.enqueue(async () => {
+            const stored = await chrome.storage.local.get(INDEX_KEY);
+            const index = stored[INDEX_KEY] || {};
+            delete index[key];
+
+            await chrome.storage.local.remove(ENTRY_PREFIX + key);
+            await chrome.storage.local.set({ [INDEX_KEY]: index });
+        });
+    }
+
+    async clear() {
+        return this.enqueue(async () => {
+            const stored = await chrome.storage.local.get(INDEX_KEY);
+            const keys = Object.keys(stored[INDEX_KEY] || {}).map(key => ENTRY_PREFIX + key);
+
+            await chrome.storage.local.remove([...keys, INDEX_KEY]);
+        });
+    }
+
+    /**
+     * Drop least recently used entries until both limits are met. The entry
+     * just written is never evicted, even if it alone exceeds the byte limit.
+     */
+    async evict(index, keepKey) {
+        const keys = Object.keys(index).sort((a, b) => index[a].lastAccess - index[b].lastAccess);
+        let totalBytes = keys.reduce((sum, key) => sum + (index[key].size || 0), 0);
+        const evicted = [];
+
+        for (const key of keys) {
+            if (keys.length - evicted.length <= this.maxEntries && totalBytes <= this.maxBytes) break;
+            if (key === keepKey) continue;
+
+            totalBytes -= index[key].size || 0;
+            evicted.push(key);
+            delete index[key];
+        }
+
+        if (evicted.length > 0) {
+            await chrome.storage.local.remove(evicted.map(key => ENTRY_PREFIX + key));
+            await chrome.storage.local.set({ [INDEX_KEY]: index });
+        }
+    }
+}
+
+// Singleton instance
+const analysisCache = new AnalysisCache();
+
+// Export for use in other modules
+export { AnalysisCache, analysisCache };
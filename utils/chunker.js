@@ -0,0 +1,146 @@
+// AI Research Paper Helper - Chunker
+// Splits extracted papers into section-aware chunks for RAG indexing
+
+/**
+ * A chunk is a plain object the background sends to /rag/index:
+ *   { id, order, text, section, level, sectionIndex, page, equations, anchor }
+ * Chunks never cross a section boundary or split an equation; equations
+ * lists the ids of the paper's equations a chunk contains. anchor is
+ * { elementId, start, end }: the section's element id when it has one and
+ * the chunk's offsets in the page text as built by Anchors.index().
+ */
+const Chunker = {
+    // Characters per chunk: paragraphs are packed up to targetSize, and
+    // only paragraphs longer than maxSize are split between sentences
+    targetSize: 1200,
+    maxSize: 2000,
+
+    // Below this share of the content, the sections missed too much text
+    // (an intro before the first heading, unheaded pages) to be used alone
+    minCoverage: 0.5,
+
+    // Inline and display math as the extractors write it; never split inside
+    equationPattern: /\$\$[\s\S]+?\$\$|\\\[[\s\S]+?\\\]|\\begin\{([a-z]+\*?)\}[\s\S]+?\\end\{\1\}|\$[^$\n]+\$/g,
+
+    /**
+     * Chunks of an extracted paper, anchored in the current page
+     */
+    chunk(pageData) {
+        const equations = (pageData.equations || []).filter(equation => equation.latex);
+        const chunks = [];
+        this.sectionsOf(pageData).forEach((section, sectionIndex) => {
+            this.pack(this.units(section.content || '')).forEach(text => {
+                chunks.push({
+                    id: `chunk-${chunks.length}`,
+                    order: chunks.length,
+                    text,
+                    section: section.title || null,
+                    level: section.level || 1,
+                    sectionIndex,
+                    page: section.page ?? null,
+                    equations: equations.filter(equation => text.includes(equation.latex)).map(equation => equation.id),
+                    anchor: { elementId: section.id || null, start: null, end: null }
+                });
+            });
+        });
+
+        this.anchor(chunks);
+        return chunks;
+    },
+
+    /**
+     * The paper's sections, led by the abstract when no section holds it.
+     * Falls back to the whole content as one section when the sections
+     * cover too little of it.
+     */
+    sectionsOf(pageData) {
+        const content = pageData.content || '';
+        const sections = (pageData.sections || []).filter(section => section.content?.trim());
+        const covered = sections.reduce((total, section) => total + section.content.length, 0);
+
+        const body = sections.length > 0 && covered >= content.length * this.minCoverage
+            ? sections
+            : [{ title: pageData.title, level: 1, content }];
+
+        const hasAbstract = body.some(section => /^abstract$/i.test(section.title?.trim() || ''));
+        return pageData.abstract && !hasAbstract
+            ? [{ title: 'Abstract', level: 1, content: pageData.abstract }, ...body]
+            : body;
+    },
+
+    /**
+     * Paragraphs of a section, with long ones split into sentences:
+     * [{ text, separator }] where separator joins a unit to the one before
+     */
+    units(text) {
+        const units = [];
+        text.split(/\n\s*\n|\n(?=\s*\$\$|\s*\\\[|\s*\\begin\{)/).forEach(paragraph => {
+            const trimmed = paragraph.replace(/[ \t]+/g, ' ').trim();
+            if (!trimmed) return;
+
+            const pieces = trimmed.length > this.maxSize ? this.sentences(trimmed) : [trimmed];
+            pieces.forEach((piece, i) => units.push({ text: piece, separator: i === 0 ? '\n\n' : ' ' }));
+        });
+        return units;
+    },
+
+    /**
+     * Split at sentence ends that fall outside equations. A sentence longer
+     * than maxSize stays whole rather than breaking its math.
+     */
+    sentences(text) {
+        const equations = [...text.matchAll(this.equationPattern)].map(match => [match.index, match.index + match[0].length]);
+        const inEquation = offset => equations.some(([start, end]) => offset > start && offset < end);
+
+        const sentences = [];
+        let from = 0;
+        for (const boundary of text.matchAll(/(?<=[.!?])\s+(?=[A-Z(\[$\\])/g)) {
+            if (inEquation(boundary.index)) continue;
+            sentences.push(text.slice(from, boundary.index));
+            from = boundary.index + boundary[0].length;
+        }
+        sentences.push(text.slice(from));
+        return sentences.filter(Boolean);
+    },
+
+    // Join units into chunks of about targetSize characters
+    pack(units) {
+        const chunks = [];
+        let current = '';
+
+        units.forEach(({ text, separator }) => {
+            if (current && current.length + separator.length + text.length > this.targetSize) {
+                chunks.push(current);
+                current = '';
+            }
+            current = current ? current + separator + text : text;
+        });
+
+        if (current) chunks.push(current);
+        return chunks;
+    },
+
+    /**
+     * Fill in each chunk's page-text offsets. Text that repeats is matched
+     * nearest the previous chunk, so chunks stay in reading order; chunks
+     * that can't be found keep only their section's element id.
+     */
+    anchor(chunks) {
+        const index = Anchors.index();
+        let from = 0;
+        chunks.forEach(chunk => {
+            const position = Anchors.resolveLoose({ quote: chunk.text, prefix: '', suffix: '', start: from }, index.text) ||
+                Anchors.search(chunk.text, index);
+            if (position) {
+                chunk.anchor.start = position.start;
+                chunk.anchor.end = position.end;
+                from = position.end;
+            }
+        });
+    }
+};
+
+// Export for use in content script
+if (typeof module !== 'undefined') {
+    module.exports = { Chunker };
+}
@@ -0,0 +1,280 @@
+// AI Research Paper Helper - Citation Builder
+// Formats a paper's extracted metadata as BibTeX, CSL-JSON, APA and IEEE citations
+
+/**
+ * Citation formats in the order the Cite menu lists them
+ */
+const CITATION_FORMATS = [
+    { id: 'apa', label: 'APA' },
+    { id: 'ieee', label: 'IEEE' },
+    { id: 'bibtex', label: 'BibTeX' },
+    { id: 'csl', label: 'CSL-JSON' }
+];
+
+const MONTHS = ['January', 'February', 'March', 'April', 'May', 'June', 'July',
+    'August', 'September', 'October', 'November', 'December'];
+
+// Lowercase name particles that belong to the family name ("Ludwig van Beethoven")
+const NAME_PARTICLES = new Set(['van', 'von', 'der', 'den', 'de', 'del', 'della', 'da', 'di', 'du', 'la', 'le', 'ter']);
+
+/**
+ * Every format at once: { apa, ieee, bibtex, csl } as strings.
+ * paper carries title, authors, url, pageType and metadata as extracted.
+ */
+function formatCitations(paper, accessed = new Date()) {
+    return {
+        apa: toApa(paper),
+        ieee: toIeee(paper, accessed),
+        bibtex: toBibtex(paper, accessed),
+        csl: JSON.stringify([toCsl(paper, accessed)], null, 2)
+    };
+}
+
+/**
+ * BibTeX: @misc with eprint fields for arXiv, @article for journal papers
+ * with a DOI, @online for blogs and other web pages
+ */
+function toBibtex(paper, accessed = new Date()) {
+    const { metadata = {} } = paper;
+    const kind = citationKind(paper);
+    const date = publicationDate(paper);
+
+    const fields = [
+        ['title', `{${bibtexEscape(paper.title || 'Untitled')}}`],
+        ['author', (paper.authors || []).map(bibtexEscape).join(' and ')],
+        ['journal', kind === 'journal' && bibtexEscape(metadata.venue)],
+        ['volume', kind === 'journal' && metadata.volume],
+        ['number', kind === 'journal' && metadata.issue],
+        ['pages', kind === 'journal' && metadata.pages?.replace('–', '--')],
+        ['year', date?.year],
+        ['month', kind === 'web' && date?.month],
+        ['eprint', metadata.arxivId],
+        ['archivePrefix', metadata.arxivId && 'arXiv'],
+        ['primaryClass', metadata.arxivId && metadata.categories?.[0]],
+        ['doi', metadata.doi],
+        ['url', citationUrl(paper)],
+        ['urldate', kind === 'web' && isoDate(accessed)]
+    ].filter(([, value]) => value);
+
+    const type = { preprint: 'misc', journal: 'article', web: 'online' }[kind];
+    const body = fields.map(([name, value]) => `  ${name} = {${value}}`).join(',\n');
+    return `@${type}{${citationKey(paper)},\n${body}\n}\n`;
+}
+
+/**
+ * CSL-JSON item, as read by Zotero, Pandoc and citeproc
+ */
+function toCsl(paper, accessed = new Date()) {
+    const { metadata = {} } = paper;
+    const kind = citationKind(paper);
+    const date = publicationDate(paper);
+
+    const item = {
+        id: citationKey(paper),
+        type: { preprint: 'article', journal: 'article-journal', web: webType(paper) }[kind],
+        title: paper.title || 'Untitled',
+        author: (paper.authors || []).map(name => {
+            const { given, family } = splitName(name);
+            return given ? { family, given } : { literal: family };
+        }),
+        issued: date && { 'date-parts': [[date.year, date.month, date.day].filter(Boolean)] },
+        accessed: { 'date-parts': [[accessed.getFullYear(), accessed.getMonth() + 1, accessed.getDate()]] },
+        'container-title': kind === 'web' ? metadata.venue || siteName(paper) : metadata.venue,
+        volume: metadata.volume,
+        issue: metadata.issue,
+        page: metadata.pages,
+        publisher: kind === 'preprint' ? 'arXiv' : metadata.publisher,
+        number: metadata.arxivId && `arXiv:${metadata.arxivId}`,
+        DOI: metadata.doi,
+        URL: citationUrl(paper)
+    };
+
+    return Object.fromEntries(Object.entries(item).filter(([, value]) => value));
+}
+
+/**
+ * APA 7: Vaswani, A., Shazeer, N., & Parmar, N. (2017). Title. Source. URL
+ */
+function toApa(paper) {
+    const { metadata = {} } = paper;
+    const kind = citationKind(paper);
+    const date = publicationDate(paper);
+    const authors = apaAuthors(paper.authors || []);
+    const title = sentenceEnd(paper.title || 'Untitled');
+
+    let issued = date ? String(date.year) : 'n.d.';
+    if (kind === 'web' && date?.month) {
+        issued += `, ${MONTHS[date.month - 1]}${date.day ? ` ${date.day}` : ''}`;
+    }
+
+    const described = kind === 'preprint' ? `${title.replace(/\.$/, '')} (arXiv:${metadata.arxivId}).` : title;
+    let source = `${siteName(paper)}.`;
+    if (kind === 'preprint') {
+        source = 'arXiv.';
+    } else if (kind === 'journal') {
+        const volume = [metadata.volume, metadata.issue && `(${metadata.issue})`].filter(Boolean).join('');
+        source = `${[metadata.venue, volume, metadata.pages].filter(Boolean).join(', ')}.`;
+    }
+
+    const link = metadata.doi ? `https://doi.org/${metadata.doi}` : citationUrl(paper);
+    // Without authors the title moves to the author position
+    const parts = authors ? [`${authors} (${issued}).`, described] : [described, `(${issued}).`];
+    return [...parts, source, link].filter(Boolean).join(' ');
+}
+
+/**
+ * IEEE: A. Vaswani, N. Shazeer, and N. Parmar, "Title," venue, year.
+ */
+function toIeee(paper, accessed = new Date()) {
+    const { metadata = {} } = paper;
+    const kind = citationKind(paper);
+    const date = publicationDate(paper);
+    const authors = ieeeAuthors(paper.authors || []);
+    const title = `"${(paper.title || 'Untitled').replace(/[.,]$/, '')},"`;
+    const lead = authors ? `${authors}, ${title}` : title;
+
+    if (kind === 'preprint') {
+        return `${lead} arXiv preprint arXiv:${metadata.arxivId}, ${date?.year || 'n.d.'}.`;
+    }
+
+    if (kind === 'journal') {
+        const parts = [
+            metadata.venue,
+            metadata.volume && `vol. ${metadata.volume}`,
+            metadata.issue && `no. ${metadata.issue}`,
+            metadata.pages && `${metadata.pages.includes('–') ? 'pp.' : 'p.'} ${metadata.pages}`,
+            date && [date.month && MONTHS[date.month - 1].slice(0, 3) + '.', date.year].filter(Boolean).join(' ')
+        ].filter(Boolean);
+        return `${lead} ${parts.join(', ')}${metadata.doi ? `, doi: ${metadata.doi}` : ''}.`;
+    }
+
+    const published = date ? ` ${[date.month && MONTHS[date.month - 1].slice(0, 3) + '.', date.day && `${date.day},`, date.year]
+        .filter(Boolean).join(' ')}.` : '';
+    const visited = `${MONTHS[accessed.getMonth()].slice(0, 3)}. ${accessed.getDate()}, ${accessed.getFullYear()}`;
+    return `${lead} ${siteName(paper)},${published} Accessed: ${visited}. [Online]. Available: ${citationUrl(paper)}`;
+}
+
+// Helpers
+
+function citationKind(paper) {
+    const { metadata = {} } = paper;
+    if (metadata.arxivId && !metadata.venue) return 'preprint';
+    if (metadata.venue && (metadata.doi || metadata.volume)) return 'journal';
+    if (metadata.arxivId) return 'preprint';
+    return 'web';
+}
+
+function webType(paper) {
+    return ['medium', 'blog'].includes(paper.pageType) ? 'post-weblog' : 'webpage';
+}
+
+/**
+ * { year, month?, day? } from the publish date, or the YYMM of a new-style arXiv ID
+ */
+function publicationDate(paper) {
+    const value = paper.metadata?.publishDate;
+    const parts = typeof value === 'string' && value.match(/^(\d{4})(?:-(\d{1,2})(?:-(\d{1,2}))?)?/);
+    if (parts) {
+        return { year: Number(parts[1]), month: parts[2] ? Number(parts[2]) : null, day: parts[3] ? Number(parts[3]) : null };
+    }
+
+    const date = value && new Date(value);
+    if (date && !isNaN(date)) {
+        return { year: date.getFullYear(), month: date.getMonth() + 1, day: date.getDate() };
+    }
+
+    const yymm = paper.metadata?.arxivId?.match(/^(\d{2})(\d{2})\./);
+    return yymm ? { year: 2000 + Number(yymm[1]), month: Number(yymm[2]), day: null } : null;
+}
+
+function citationUrl(paper) {
+    const arxivId = paper.metadata?.arxivId;
+    return arxivId ? `https://arxiv.org/abs/${arxivId}` : paper.canonicalUrl || paper.url || '';
+}
+
+function siteName(paper) {
+    if (paper.pageType === 'medium') return 'Medium';
+    const host = paper.metadata?.domain || hostname(citationUrl(paper));
+    return host.replace(/^www\./, '');
+}
+
+function hostname(url) {
+    try {
+        return new URL(url).hostname;
+    } catch (error) {
+        return '';
+    }
+}
+
+/**
+ * Split "Ashish Vaswani" or "Vaswani, Ashish" into given and family names
+ */
+function splitName(name) {
+    const trimmed = String(name).replace(/\s+/g, ' ').trim();
+    const comma = trimmed.match(/^([^,]+),\s*(.+)$/);
+    if (comma) return { given: comma[2], family: comma[1] };
+
+    const words = trimmed.split(' ');
+    if (words.length === 1) return { given: '', family: trimmed };
+
+    let start = words.length - 1;
+    while (start > 1 && NAME_PARTICLES.has(words[start - 1])) start--;
+    return { given: words.slice(0, start).join(' '), family: words.slice(start).join(' ') };
+}
+
+// "Ashish Kumar" -> "A. K."; hyphenated names keep the hyphen ("J.-P.")
+function initials(given) {
+    return given.split(' ').filter(Boolean)
+        .map(part => part.split('-').filter(Boolean).map(piece => `${piece[0].toUpperCase()}.`).join('-'))
+        .filter(Boolean)
+        .join(' ');
+}
+
+function apaAuthors(names) {
+    const formatted = names.map(name => {
+        const { given, family } = splitName(name);
+        return given ? `${family}, ${initials(given)}` : family;
+    });
+
+    // APA lists up to 20 authors, then elides all but the last
+    if (formatted.length > 20) {
+        return `${formatted.slice(0, 19).join(', ')}, . . . ${formatted[formatted.length - 1]}`;
+    }
+    if (formatted.length <= 1) return formatted.join('');
+    return `${formatted.slice(0, -1).join(', ')}, & ${formatted[formatted.length - 1]}`;
+}
+
+function ieeeAuthors(names) {
+    const formatted = names.map(name => {
+        const { given, family } = splitName(name);
+        return given ? `${initials(given)} ${family}` : family;
+    });
+
+    // IEEE uses "et al." beyond six authors
+    if (formatted.length > 6) return `${formatted[0]} et al.`;
+    if (formatted.length <= 2) return formatted.join(' and ');
+    return `${formatted.slice(0, -1).join(', ')}, and ${formatted[formatted.length - 1]}`;
+}
+
+function sentenceEnd(text) {
+    return /[.?!]$/.test(text) ? text : `${text}.`;
+}
+
+// vaswani2017attention
+function citationKey(paper) {
+    const { family } = splitName(paper.authors?.[0] || '');
+    const surname = family.normalize('NFD').toLowerCase().replace(/[^a-z]/g, '') || 'paper';
+    const word = (paper.title || '').toLowerCase().match(/[a-z]{4,}/)?.[0] || '';
+    return `${surname}${publicationDate(paper)?.year || ''}${word}`;
+}
+
+function bibtexEscape(text) {
+    return String(text ?? '').replace(/([&%$#_])/g, '\\$1');
+}
+
+function isoDate(date) {
+    return date.toISOString().slice(0, 10);
+}
+
+// Export for use in other modules
+export { CITATION_FORMATS, formatCitations, toBibtex, toCsl, toApa, toIeee };
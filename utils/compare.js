@@ -0,0 +1,171 @@
+// AI Research Paper Helper - Paper Comparison
+// Aligns the key points of several papers into one table and exports it as Markdown or CSV
+
+const COMPARISON_FORMATS = {
+    markdown: { extension: 'md', mimeType: 'text/markdown' },
+    csv: { extension: 'csv', mimeType: 'text/csv' }
+};
+
+// Shown for a dataset, metric or concept a paper mentions without a number
+const MENTIONED = '✓';
+
+/**
+ * Build the comparison of papers given as
+ * [{ key, title, url, authors, keypoints }], where keypoints has the
+ * /extract-key-points shape. Returns:
+ *   {
+ *     papers: [{ key, title, url, authors }],
+ *     sections: [{ id, label, rows: [{ label, cells: [[text]] }] }]
+ *   }
+ * with one cell per paper in each row. Datasets, metrics and concepts get
+ * a row per item, so the same item lines up across papers; items most
+ * papers share come first.
+ */
+function buildComparison(papers) {
+    const keypoints = papers.map(paper => paper.keypoints || {});
+
+    return {
+        papers: papers.map(({ key, title, url, authors }) => ({ key, title, url, authors: authors || [] })),
+        sections: [
+            {
+                id: 'contributions',
+                label: 'Contributions',
+                rows: [{ label: '', cells: keypoints.map(points => (points.contributions || []).map(itemName)) }]
+            },
+            {
+                id: 'datasets',
+                label: 'Datasets',
+                rows: alignedRows(keypoints, points => points.datasets || [], () => [MENTIONED])
+            },
+            {
+                id: 'metrics',
+                label: 'Metrics and reported numbers',
+                rows: alignedRows(
+                    keypoints,
+                    points => [...(points.metrics || []), ...(points.results || []).map(result => result.metric)],
+                    (points, name) => {
+                        const values = (points.results || [])
+                            .filter(result => alignKey(result.metric) === alignKey(name))
+                            .map(result => String(result.value));
+                        return values.length > 0 ? values : [MENTIONED];
+                    }
+                )
+            },
+            {
+                id: 'concepts',
+                label: 'Key concepts',
+                rows: alignedRows(keypoints, points => points.concepts || [], () => [MENTIONED])
+            }
+        ]
+    };
+}
+
+/**
+ * One row per distinct item across papers. itemsOf(keypoints) lists a
+ * paper's items; cellFor(keypoints, name) fills the cell of a paper that
+ * has the item.
+ */
+function alignedRows(keypoints, itemsOf, cellFor) {
+    const rows = new Map();
+
+    keypoints.forEach((points, column) => {
+        itemsOf(points).map(itemName).filter(Boolean).forEach(name => {
+            const key = alignKey(name);
+            if (!rows.has(key)) {
+                rows.set(key, { label: name, columns: new Set() });
+            }
+            rows.get(key).columns.add(column);
+        });
+    });
+
+    return [...rows.values()]
+        .sort((a, b) => b.columns.size - a.columns.size)
+        .map(({ label, columns }) => ({
+            label,
+            cells: keypoints.map((points, column) => columns.has(column) ? cellFor(points, label) : [])
+        }));
+}
+
+// Items are strings or { name, description } objects
+function itemName(item) {
+    return typeof item === 'string' ? item : item?.name || item?.text || '';
+}
+
+// "BLEU (higher is better)", "bleu" and "BLEU-score" line up as one row
+function alignKey(name) {
+    return String(name).replace(/\s*\(.*\)\s*$/, '').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '');
+}
+
+/**
+ * Build a comparison export: { filename, mimeType, content }
+ */
+function exportComparison(format, comparison, date = new Date()) {
+    const spec = COMPARISON_FORMATS[format];
+    if (!spec) {
+        throw new Error(`Unknown comparison format: ${format}`);
+    }
+
+    const content = { markdown: toMarkdown, csv: toCsv }[format](comparison);
+    return {
+        filename: `paper-comparison-${date.toISOString().slice(0, 10)}.${spec.extension}`,
+        mimeType: spec.mimeType,
+        content
+    };
+}
+
+function toMarkdown(comparison) {
+    const titles = comparison.papers.map(paper => markdownCell(paper.url ? markdownLink(paper.title, paper.url) : paper.title));
+    const lines = ['# Paper comparison', ''];
+
+    comparison.papers.forEach((paper, i) => {
+        const authors = paper.authors.length > 0 ? ` — ${paper.authors.join(', ')}` : '';
+        lines.push(`${i + 1}. ${paper.title}${authors}`);
+    });
+
+    comparison.sections.forEach(section => {
+        lines.push('', `## ${section.label}`, '');
+        if (section.rows.length === 0) {
+            lines.push('_None identified._');
+            return;
+        }
+
+        lines.push(`| | ${titles.join(' | ')} |`, `|---|${titles.map(() => '---').join('|')}|`);
+        section.rows.forEach(row => {
+            const cells = row.cells.map(cell => cell.length > 0 ? cell.map(markdownCell).join('<br>') : '—');
+            lines.push(`| ${markdownCell(row.label)} | ${cells.join(' | ')} |`);
+        });
+    });
+
+    return lines.join('\n') + '\n';
+}
+
+function toCsv(comparison) {
+    const lines = [['Section', 'Item', ...comparison.papers.map(paper => paper.title)]];
+
+    comparison.sections.forEach(section => {
+        section.rows.forEach(row => {
+            lines.push([section.label, row.label, ...row.cells.map(cell => cell.join('\n'))]);
+        });
+    });
+
+    return lines.map(line => line.map(csvField).join(',')).join('\r\n') + '\r\n';
+}
+
+function markdownCell(text) {
+    return String(text ?? '').replace(/\|/g, '\\|').replace(/\s*\n\s*/g, ' ');
+}
+
+function markdownLink(text, url) {
+    return `[${String(text).replace(/[[\]\\]/g, '\\$&')}](${String(url).replace(/[()\s]/g, char => `%${char.charCodeAt(0).toString(16).padStart(2, '0').toUpperCase()}`)})`;
+}
+
+// Spreadsheets run cells starting with =, +, - or @ as formulas, so such
+// titles and items are prefixed with ' to keep them text
+function csvField(text) {
+    const raw = String(text ?? '');
+    const value = /^[=+\-@\t\r]/.test(raw) ? `'${raw}` : raw;
+    return /[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+}
+
+// Export for use in other modules
+export { COMPARISON_FORMATS, buildComparison, exportComparison };
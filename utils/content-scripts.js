@@ -0,0 +1,24 @@
+// AI Research Paper Helper - Content Scripts
+// What pages with a paper load, in order, once content-loader.js has detected one
+
+// Already in every page with the loader (manifest.json content_scripts)
+const DETECTOR_SCRIPT = 'utils/page-detector.js';
+
+const PAPER_SCRIPTS = [
+    'lib/katex/katex.min.js',
+    'utils/sanitize.js',
+    'utils/math-render.js',
+    'utils/latex-parser.js',
+    'utils/symbol-table.js',
+    'utils/cross-refs.js',
+    'utils/references.js',
+    'utils/anchors.js',
+    'utils/chunker.js',
+    'utils/extractors.js',
+    'content.js'
+];
+
+const PAPER_STYLES = ['content.css'];
+
+// Export for use in other modules
+export { DETECTOR_SCRIPT, PAPER_SCRIPTS, PAPER_STYLES };
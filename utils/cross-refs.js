@@ -0,0 +1,152 @@
+// AI Research Paper Helper - Cross-References
+// Finds "Eq. (3)", "Figure 4", "Table 2", "Section 3.1" and "[12]" in paper text and resolves them against the extracted paper
+
+const CrossRefs = {
+    /**
+     * Reference patterns; group 1 is the label. Citations may list several
+     * labels ("[3, 5-7]").
+     */
+    patterns: [
+        { kind: 'equation', regex: /\b(?:Eqs?\.|Equations?)\s*\(?(\d+(?:\.\d+)?[a-z]?)\)?/gi },
+        { kind: 'figure', regex: /\b(?:Figs?\.|Figures?)\s*(\d+[a-z]?)\b/gi },
+        { kind: 'table', regex: /\b(?:Tabs?\.|Tables?)\s*(\d+)\b/gi },
+        { kind: 'section', regex: /(?:\b(?:[Ss]ecs?\.|[Ss]ections?|Appendix)\s*|§\s*)(\d+(?:\.\d+)*|[A-Z](?:\.\d+)*)\b/g },
+        { kind: 'citation', regex: /\[(\d+(?:\s*[,–-]\s*\d+)*)\]/g }
+    ],
+
+    // Most linked targets sent along with a question or equation
+    maxContext: 8,
+
+    /**
+     * All resolvable references in a piece of text, in order:
+     * [{ kind, label, start, end, targets: [] }]
+     */
+    find(text, paper) {
+        const refs = [];
+
+        this.patterns.forEach(({ kind, regex }) => {
+            for (const match of String(text ?? '').matchAll(regex)) {
+                const targets = this.labels(kind, match[1])
+                    .map(label => this.resolve(kind, label, paper))
+                    .filter(Boolean);
+                if (targets.length === 0) continue;
+
+                refs.push({ kind, label: match[1], start: match.index, end: match.index + match[0].length, targets });
+            }
+        });
+
+        // "Section 3" can also match as "3" inside another pattern; keep the first
+        refs.sort((a, b) => a.start - b.start);
+        return refs.filter((ref, i) => i === 0 || ref.start >= refs[i - 1].end);
+    },
+
+    /**
+     * Expand citation ranges ("5-7") and lists into single labels
+     */
+    labels(kind, label) {
+        if (kind !== 'citation') return [label];
+
+        return label.split(',').flatMap(part => {
+            const [from, to] = part.split(/[–-]/).map(n => parseInt(n, 10));
+            if (!to || to < from || to - from > 20) return [String(from)];
+            return Array.from({ length: to - from + 1 }, (_, i) => String(from + i));
+        });
+    },
+
+    /**
+     * Look up the equation, figure, table, section or bibliography entry
+     * a label points to. Returns { kind, label, item } or null.
+     */
+    resolve(kind, label, paper) {
+        const item = this.lookup(kind, label, paper);
+        return item ? { kind, label, item } : null;
+    },
+
+    lookup(kind, label, paper) {
+        switch (kind) {
+            case 'equation':
+                return (paper.equations || []).find(eq => eq.number === label ||
+                    (eq.latex || eq.tex)?.match(/\\tag\*?\{([^}]+)\}/)?.[1] === label);
+            case 'figure':
+            case 'table':
+                return (paper.figures || []).find(figure => figure.kind === kind && figure.number === label);
+            case 'section':
+                return (paper.sections || []).find(section => section.number === label);
+            case 'citation':
+                return (paper.references || []).find(reference => reference.label === label);
+            default:
+                return null;
+        }
+    },
+
+    /**
+     * Resolve an in-page link target by element id, as LaTeXML's
+     * <a class="ltx_ref" href="#S3.E1"> links use
+     */
+    resolveAnchor(id, paper, doc = document) {
+        const element = doc.getElementById(id);
+        if (!element) return null;
+
+        const equation = (paper.equations || []).find(eq => eq.anchor === id ||
+            (eq.element && (element.contains(eq.element) || eq.element.contains(element))));
+        if (equation) return { kind: 'equation', label: equation.number, item: equation };
+
+        const figure = (paper.figures || []).find(item => item.id === id);
+        if (figure) return { kind: figure.kind, label: figure.number, item: figure };
+
+        const section = (paper.sections || []).find(item => item.id === id);
+        if (section) return { kind: 'section', label: section.number, item: section };
+
+        const reference = (paper.references || []).find(item => item.id === id);
+        if (reference) return { kind: 'citation', label: reference.label, item: reference };
+
+        return null;
+    },
+
+    /**
+     * Plain-text description of a resolved target for the backend
+     */
+    describe(target) {
+        const { kind, label, item } = target;
+
+        switch (kind) {
+            case 'equation':
+                return `Equation${label ? ` (${label})` : ''}: ${item.latex || item.tex || item.parsed?.readable || ''}`;
+            case 'figure':
+                return `Figure ${label}: ${item.caption}`;
+            case 'table':
+                return `Table ${label}: ${item.caption}`;
+            case 'section':
+                return `Section ${label ? `${label} ` : ''}(${item.title}): ${item.content.slice(0, 1000)}`;
+            case 'citation':
+                return `[${label}] ${item.text}`;
+            default:
+                return '';
+        }
+    },
+
+    /**
+     * The targets referenced in a question or an equation's context, as
+     * [{ kind, label, text }] for RAG_QUERY and EXPLAIN_EQUATION
+     */
+    contextFor(text, paper) {
+        if (!paper) return [];
+
+        const seen = new Set();
+        return this.find(text, paper)
+            .flatMap(ref => ref.targets)
+            .filter(target => {
+                const key = `${target.kind}:${target.label}`;
+                if (seen.has(key)) return false;
+                seen.add(key);
+                return true;
+            })
+            .slice(0, this.maxContext)
+            .map(target => ({ kind: target.kind, label: target.label, text: this.describe(target) }));
+    }
+};
+
+// Export for use in content script
+if (typeof module !== 'undefined') {
+    module.exports = { CrossRefs };
+}
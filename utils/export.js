@@ -0,0 +1,124 @@
+// AI Research Paper Helper - Analysis Export
+// Formats a paper's cached analysis as a Markdown note, a BibTeX entry or a JSON dump
+
+import { toBibtex } from './citations.js';
+
+const FORMATS = {
+    markdown: { extension: 'md', mimeType: 'text/markdown' },
+    bibtex: { extension: 'bib', mimeType: 'application/x-bibtex' },
+    json: { extension: 'json', mimeType: 'application/json' }
+};
+
+/**
+ * Build an export file. paper carries the page's identity fields
+ * (title, authors, url, metadata); analysis is the cache entry plus the
+ * paper's annotations ({ summary, keypoints, qa, annotations, analyzedAt }).
+ * Returns { filename, mimeType, content }.
+ */
+function exportAnalysis(format, paper, analysis = {}) {
+    const spec = FORMATS[format];
+    if (!spec) {
+        throw new Error(`Unknown export format: ${format}`);
+    }
+
+    const content = {
+        markdown: toMarkdown,
+        bibtex: paper => toBibtex(paper),
+        json: toJson
+    }[format](paper, analysis);
+
+    return { filename: `${fileStem(paper)}.${spec.extension}`, mimeType: spec.mimeType, content };
+}
+
+/**
+ * Markdown note with YAML front matter, ready to paste into Obsidian or
+ * import into Notion
+ */
+function toMarkdown(paper, analysis) {
+    const { summary = {}, keypoints = {}, qa = [], annotations = [] } = analysis;
+    const arxivId = paper.metadata?.arxivId || null;
+
+    const frontMatter = [
+        '---',
+        `title: ${yamlString(paper.title || 'Untitled')}`,
+        yamlList('authors', paper.authors || []),
+        arxivId && `arxiv: ${yamlString(arxivId)}`,
+        paper.metadata?.doi && `doi: ${yamlString(paper.metadata.doi)}`,
+        `url: ${yamlString(paperUrl(paper))}`,
+        paper.metadata?.publishDate && `published: ${yamlString(paper.metadata.publishDate)}`,
+        yamlList('tags', tagsFor(paper)),
+        analysis.analyzedAt && `analyzed: ${yamlString(analysis.analyzedAt)}`,
+        '---'
+    ].filter(Boolean);
+
+    const sections = [
+        `# ${paper.title || 'Untitled'}`,
+        markdownSection('TL;DR', bullets(summary?.tldr)),
+        markdownSection('Technical Summary', summary?.technical),
+        markdownSection('Beginner-Friendly Explanation', summary?.beginner),
+        markdownSection('Novel Contributions', bullets(keypoints?.contributions)),
+        markdownSection('Datasets', bullets(keypoints?.datasets)),
+        markdownSection('Evaluation Metrics', bullets(keypoints?.metrics)),
+        markdownSection('Key Concepts', bullets(keypoints?.concepts?.map(concept =>
+            concept.name ? `**${concept.name}**${concept.description ? `: ${concept.description}` : ''}` : concept))),
+        markdownSection('Highlights & Notes', annotations.map(markdownAnnotation).join('\n\n')),
+        markdownSection('Q&A', qa.map(item => `### ${item.question}\n\n${item.answer}`).join('\n\n'))
+    ].filter(Boolean);
+
+    return `${frontMatter.join('\n')}\n\n${sections.join('\n\n')}\n`;
+}
+
+function toJson(paper, analysis) {
+    return JSON.stringify({ paper, analysis, exportedAt: new Date().toISOString() }, null, 2);
+}
+
+// Helpers
+
+function markdownSection(heading, body) {
+    return body ? `## ${heading}\n\n${body}` : null;
+}
+
+// > quoted passage, then **Category** (Section): note
+function markdownAnnotation(annotation) {
+    const quote = annotation.anchor.quote.trim().split('\n').map(line => `> ${line}`).join('\n');
+    const category = annotation.category.charAt(0).toUpperCase() + annotation.category.slice(1);
+    const label = `**${category}**${annotation.section ? ` (${annotation.section})` : ''}`;
+    return `${quote}\n\n${annotation.note ? `${label}: ${annotation.note}` : label}`;
+}
+
+function bullets(items) {
+    return items?.length ? items.map(item => `- ${item}`).join('\n') : '';
+}
+
+// JSON strings are valid double-quoted YAML scalars
+function yamlString(value) {
+    return JSON.stringify(String(value));
+}
+
+function yamlList(name, items) {
+    if (items.length === 0) return `${name}: []`;
+    return `${name}:\n${items.map(item => `  - ${yamlString(item)}`).join('\n')}`;
+}
+
+// arXiv categories ("cs.LG") as nested tags ("cs/LG"), plus the source
+function tagsFor(paper) {
+    const categories = (paper.metadata?.categories || []).map(category => category.replace(/\./g, '/'));
+    return ['paper', paper.pageType, ...categories].filter(Boolean);
+}
+
+function paperUrl(paper) {
+    const arxivId = paper.metadata?.arxivId;
+    return arxivId ? `https://arxiv.org/abs/${arxivId}` : paper.canonicalUrl || paper.url || '';
+}
+
+function fileStem(paper) {
+    const slug = (paper.title || 'paper')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '')
+        .slice(0, 80);
+    return slug || 'paper';
+}
+
+// Export for use in other modules
+export { FORMATS, exportAnalysis };
@@ -0,0 +1,54 @@
+// AI Research Paper Helper - Extension Page Helpers
+// Shared by the popup, library and compare pages
+
+const ExtensionPage = {
+    /**
+     * Message the content script in a tab. The PDF viewer is an extension
+     * page, which tabs.sendMessage can't reach, so it gets a runtime message
+     * tagged with its tab id instead.
+     */
+    sendToTab(tab, message) {
+        if (tab.url?.startsWith(chrome.runtime.getURL('viewer/'))) {
+            return chrome.runtime.sendMessage({ ...message, viewerTabId: tab.id });
+        }
+        return chrome.tabs.sendMessage(tab.id, message);
+    },
+
+    /**
+     * The fields the background needs to find an analyzed page's cache
+     * entry, plus the title and authors it falls back to
+     */
+    paperRef(pageData) {
+        return {
+            url: pageData.url,
+            canonicalUrl: pageData.canonicalUrl || null,
+            metadata: { arxivId: pageData.metadata?.arxivId || null },
+            title: pageData.title,
+            authors: pageData.authors || []
+        };
+    },
+
+    // Save an export built by the background: { filename, mimeType, content }
+    downloadFile({ filename, mimeType, content }) {
+        const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    },
+
+    createElement(tag, className, text) {
+        const el = document.createElement(tag);
+        el.className = className;
+        if (text !== undefined) {
+            el.textContent = text;
+        }
+        return el;
+    }
+};
+
+// Export for use in extension pages
+if (typeof module !== 'undefined') {
+    module.exports = { ExtensionPage };
+}
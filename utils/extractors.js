@@ -1,403 +1,935 @@
-// AI Research Paper Helper - Content Extractors
-// Site-specific extraction strategies for arXiv, Medium, and blogs
-
-const Extractors = {
-    /**
-     * Extract content from arXiv paper pages
-     */
-    arxiv: {
-        detect(url, doc) {
-            return url.includes('arxiv.org') &&
-                (url.includes('/abs/') || url.includes('/pdf/'));
-        },
-
-        extract(doc) {
-            // Title
-            const title = this.extractTitle(doc);
-
-            // Abstract
-            const abstract = this.extractAbstract(doc);
-
-            // Authors
-            const authors = this.extractAuthors(doc);
-
-            // ArXiv ID
-            const arxivId = this.extractArxivId(window.location.pathname);
-
-            // Categories
-            const categories = this.extractCategories(doc);
-
-            // Full content (for HTML pages)
-            const content = this.extractFullContent(doc);
-
-            // Sections
-            const sections = this.extractSections(doc);
-
-            return {
-                title,
-                abstract,
-                authors,
-                content,
-                sections,
-                metadata: {
-                    arxivId,
-                    categories,
-                    source: 'arxiv'
-                }
-            };
-        },
-
-        extractTitle(doc) {
-            const titleEl = doc.querySelector('.title.mathjax') ||
-                doc.querySelector('h1.title');
-            if (titleEl) {
-                return titleEl.textContent.replace(/^Title:\s*/i, '').trim();
-            }
-            return doc.title || '';
-        },
-
-        extractAbstract(doc) {
-            const abstractEl = doc.querySelector('.abstract.mathjax') ||
-                doc.querySelector('blockquote.abstract');
-            if (abstractEl) {
-                return abstractEl.textContent.replace(/^Abstract:\s*/i, '').trim();
-            }
-            return '';
-        },
-
-        extractAuthors(doc) {
-            const authorEls = doc.querySelectorAll('.authors a');
-            return Array.from(authorEls).map(a => a.textContent.trim());
-        },
-
-        extractArxivId(pathname) {
-            const match = pathname.match(/\/(?:abs|pdf)\/(\d+\.\d+)/);
-            return match ? match[1] : null;
-        },
-
-        extractCategories(doc) {
-            const categoryEl = doc.querySelector('.primary-subject');
-            if (categoryEl) {
-                return [categoryEl.textContent.trim()];
-            }
-            return [];
-        },
-
-        extractFullContent(doc) {
-            const contentEl = doc.querySelector('#content-inner') ||
-                doc.querySelector('.leftcolumn') ||
-                doc.querySelector('article');
-            return contentEl ? contentEl.innerText : '';
-        },
-
-        extractSections(doc) {
-            const sections = [];
-            const container = doc.querySelector('#content-inner') ||
-                doc.querySelector('.leftcolumn');
-
-            if (!container) return sections;
-
-            const headings = container.querySelectorAll('h2, h3, h4');
-            headings.forEach((heading, index) => {
-                const level = parseInt(heading.tagName.charAt(1));
-                const title = heading.textContent.trim();
-
-                // Get content until next heading
-                let content = '';
-                let sibling = heading.nextElementSibling;
-                while (sibling && !sibling.matches('h2, h3, h4')) {
-                    content += sibling.textContent + '\n';
-                    sibling = sibling.nextElementSibling;
-                }
-
-                sections.push({ level, title, content: content.trim(), index });
-            });
-
-            return sections;
-        }
-    },
-
-    /**
-     * Extract content from Medium articles
-     */
-    medium: {
-        detect(url, doc) {
-            return url.includes('medium.com') ||
-                doc.querySelector('script[src*="medium.com"]') !== null;
-        },
-
-        extract(doc) {
-            const title = this.extractTitle(doc);
-            const subtitle = this.extractSubtitle(doc);
-            const author = this.extractAuthor(doc);
-            const content = this.extractContent(doc);
-            const sections = this.extractSections(doc);
-            const readingTime = this.extractReadingTime(doc);
-
-            return {
-                title,
-                abstract: subtitle,
-                authors: author ? [author] : [],
-                content,
-                sections,
-                metadata: {
-                    readingTime,
-                    source: 'medium'
-                }
-            };
-        },
-
-        extractTitle(doc) {
-            const h1 = doc.querySelector('article h1') || doc.querySelector('h1');
-            return h1 ? h1.textContent.trim() : doc.title;
-        },
-
-        extractSubtitle(doc) {
-            const subtitle = doc.querySelector('article h2');
-            return subtitle ? subtitle.textContent.trim() : '';
-        },
-
-        extractAuthor(doc) {
-            const authorEl = doc.querySelector('a[rel="author"]') ||
-                doc.querySelector('[data-testid="authorName"]');
-            return authorEl ? authorEl.textContent.trim() : '';
-        },
-
-        extractContent(doc) {
-            const article = doc.querySelector('article');
-            if (!article) return '';
-
-            const paragraphs = article.querySelectorAll('p');
-            return Array.from(paragraphs)
-                .map(p => p.textContent.trim())
-                .filter(text => text.length > 0)
-                .join('\n\n');
-        },
-
-        extractSections(doc) {
-            const sections = [];
-            const article = doc.querySelector('article');
-            if (!article) return sections;
-
-            const headings = article.querySelectorAll('h1, h2, h3');
-            headings.forEach((heading, index) => {
-                if (index === 0) return; // Skip title
-
-                const level = parseInt(heading.tagName.charAt(1));
-                const title = heading.textContent.trim();
-
-                let content = '';
-                let sibling = heading.nextElementSibling;
-                while (sibling && !sibling.matches('h1, h2, h3')) {
-                    content += sibling.textContent + '\n';
-                    sibling = sibling.nextElementSibling;
-                }
-
-                sections.push({ level, title, content: content.trim(), index });
-            });
-
-            return sections;
-        },
-
-        extractReadingTime(doc) {
-            const timeEl = doc.querySelector('[aria-label*="min read"]') ||
-                doc.querySelector('span:contains("min read")');
-            if (timeEl) {
-                const match = timeEl.textContent.match(/(\d+)\s*min/);
-                return match ? parseInt(match[1]) : null;
-            }
-            return null;
-        }
-    },
-
-    /**
-     * Generic blog extractor
-     */
-    blog: {
-        detect(url, doc) {
-            // Heuristics for blog detection
-            const hasArticle = doc.querySelector('article') !== null;
-            const hasLongContent = doc.body.innerText.length > 3000;
-            const hasHeadings = doc.querySelectorAll('h1, h2, h3').length >= 2;
-
-            return hasArticle && hasLongContent && hasHeadings;
-        },
-
-        extract(doc) {
-            const title = this.extractTitle(doc);
-            const content = this.extractContent(doc);
-            const abstract = this.extractAbstract(doc, content);
-            const sections = this.extractSections(doc);
-            const author = this.extractAuthor(doc);
-
-            return {
-                title,
-                abstract,
-                authors: author ? [author] : [],
-                content,
-                sections,
-                metadata: {
-                    source: 'blog',
-                    domain: window.location.hostname
-                }
-            };
-        },
-
-        extractTitle(doc) {
-            const h1 = doc.querySelector('article h1') ||
-                doc.querySelector('h1') ||
-                doc.querySelector('title');
-            return h1 ? h1.textContent.trim() : '';
-        },
-
-        extractContent(doc) {
-            const article = doc.querySelector('article') ||
-                doc.querySelector('main') ||
-                doc.querySelector('.post-content') ||
-                doc.querySelector('.entry-content');
-            return article ? article.innerText : doc.body.innerText;
-        },
-
-        extractAbstract(doc, content) {
-            // Try meta description first
-            const metaDesc = doc.querySelector('meta[name="description"]');
-            if (metaDesc && metaDesc.content) {
-                return metaDesc.content;
-            }
-
-            // Fall back to first few paragraphs
-            const paragraphs = doc.querySelectorAll('article p, main p');
-            const firstParas = Array.from(paragraphs)
-                .slice(0, 3)
-                .map(p => p.textContent.trim())
-                .join(' ');
-
-            return firstParas.substring(0, 500);
-        },
-
-        extractSections(doc) {
-            const sections = [];
-            const container = doc.querySelector('article') ||
-                doc.querySelector('main');
-
-            if (!container) return sections;
-
-            const headings = container.querySelectorAll('h2, h3, h4');
-            headings.forEach((heading, index) => {
-                const level = parseInt(heading.tagName.charAt(1));
-                const title = heading.textContent.trim();
-
-                let content = '';
-                let sibling = heading.nextElementSibling;
-                while (sibling && !sibling.matches('h2, h3, h4')) {
-                    content += sibling.textContent + '\n';
-                    sibling = sibling.nextElementSibling;
-                }
-
-                sections.push({ level, title, content: content.trim(), index });
-            });
-
-            return sections;
-        },
-
-        extractAuthor(doc) {
-            const authorEl = doc.querySelector('[rel="author"]') ||
-                doc.querySelector('.author') ||
-                doc.querySelector('.byline');
-            return authorEl ? authorEl.textContent.replace(/^by\s*/i, '').trim() : '';
-        }
-    },
-
-    /**
-     * Detect page type and extract content
-     */
-    detectAndExtract(url, doc) {
-        const extractorOrder = ['arxiv', 'medium', 'blog', 'universal'];
-
-        for (const name of extractorOrder) {
-            const extractor = this[name];
-            if (extractor.detect(url, doc)) {
-                return {
-                    pageType: name,
-                    ...extractor.extract(doc)
-                };
-            }
-        }
-
-        return {
-            pageType: 'unknown',
-            title: doc.title,
-            content: doc.body.innerText,
-            abstract: '',
-            authors: [],
-            sections: [],
-            metadata: {}
-        };
-    },
-
-    /**
-     * Universal extractor for any webpage
-     */
-    universal: {
-        detect(url, doc) {
-            const bodyText = doc.body?.innerText || '';
-            if (bodyText.length < 1000) return false;
-            const hasParagraphs = doc.querySelectorAll('p').length >= 3;
-            const hasContent = doc.querySelector('main, article, .content, #content') !== null;
-            return hasParagraphs || hasContent || bodyText.length > 3000;
-        },
-
-        extract(doc) {
-            const title = this.extractTitle(doc);
-            const content = this.extractContent(doc);
-            const abstract = this.extractAbstract(doc);
-            const author = this.extractAuthor(doc);
-
-            return {
-                title,
-                abstract,
-                authors: author ? [author] : [],
-                content,
-                sections: [],
-                metadata: { source: 'universal', domain: window.location.hostname }
-            };
-        },
-
-        extractTitle(doc) {
-            const h1 = doc.querySelector('article h1, main h1, h1');
-            if (h1) return h1.textContent.trim();
-            const ogTitle = doc.querySelector('meta[property="og:title"]');
-            if (ogTitle?.content) return ogTitle.content;
-            return doc.title?.split(' | ')[0]?.split(' - ')[0]?.trim() || '';
-        },
-
-        extractContent(doc) {
-            const selectors = ['article', 'main', '[role="main"]', '.post-content', '.content', '#content'];
-            for (const selector of selectors) {
-                const el = doc.querySelector(selector);
-                if (el && el.innerText.length > 500) return el.innerText.trim();
-            }
-            return doc.body.innerText;
-        },
-
-        extractAbstract(doc) {
-            const metaDesc = doc.querySelector('meta[name="description"]');
-            if (metaDesc?.content) return metaDesc.content;
-            const ogDesc = doc.querySelector('meta[property="og:description"]');
-            if (ogDesc?.content) return ogDesc.content;
-            return '';
-        },
-
-        extractAuthor(doc) {
-            const authorEl = doc.querySelector('[rel="author"], .author, .byline');
-            if (authorEl) return authorEl.textContent.replace(/^by\s*/i, '').trim();
-            const metaAuthor = doc.querySelector('meta[name="author"]');
-            return metaAuthor?.content || '';
-        }
-    }
-};
-
-// Export for use in content script
-if (typeof module !== 'undefined') {
-    module.exports = { Extractors };
-}
+// AI Research Paper Helper - Content Extractors
+// Site-specific extraction strategies for PDFs, arXiv, Medium, blogs and generic articles
+
+/**
+ * Every extractor returns the same paper schema (see Extractors.normalize):
+ * {
+ *   pageType, title, abstract, authors: [], content,
+ *   sections: [{ level, title, content, index, number?, id?, page? }],
+ *   equations: [{ id, latex | mathml, tex?, format, display, element, context, parsed, number?, anchor? }],
+ *   symbols: { [latex]: { symbol, latex, definitions: [] } },   (see utils/symbol-table.js)
+ *   figures: [{ id, kind, number, caption, src }],
+ *   references: [{ id, label, text, authors, title, venue, year, doi, arxivId, url }],   (see utils/references.js)
+ *   metadata: { source, arxivId?, arxivVersion?, categories?, domain?, publishDate?, readingTime?, pageCount?,
+ *               doi?, venue?, volume?, issue?, pages?, publisher? },
+ *   url, canonicalUrl, extractedAt
+ * }
+ */
+const Extractors = {
+    /**
+     * Detection order; the first extractor whose detect() matches wins.
+     * The built-in extractors detect with utils/page-detector.js.
+     */
+    order: ['pdf', 'arxiv', 'medium', 'blog', 'article'],
+
+    /**
+     * Register (or replace) an extractor. It is tried before the extractor
+     * named in options.before, or last when that is not given.
+     */
+    register(name, extractor, options = {}) {
+        this[name] = extractor;
+        this.order = this.order.filter(existing => existing !== name);
+
+        const position = options.before ? this.order.indexOf(options.before) : -1;
+        if (position >= 0) {
+            this.order.splice(position, 0, name);
+        } else {
+            this.order.push(name);
+        }
+    },
+
+    /**
+     * Name of the first extractor that recognizes the page, or null
+     */
+    detect(url, doc) {
+        return this.order.find(name => this[name].detect(url, doc)) || null;
+    },
+
+    /**
+     * Detect page type and extract content
+     */
+    detectAndExtract(url, doc) {
+        const pageType = this.detect(url, doc);
+        if (!pageType) return null;
+
+        return this.normalize(pageType, this[pageType].extract(doc, url), url, doc);
+    },
+
+    /**
+     * Fill in the fields shared by every extractor
+     */
+    normalize(pageType, paper, url, doc) {
+        const sections = paper.sections || [];
+        const equations = paper.equations || this.common.extractEquations(doc);
+        // Publisher-supplied citation metadata beats what was scraped from the page
+        const citation = this.common.extractCitationMeta(doc);
+
+        return {
+            pageType,
+            title: citation?.title || paper.title || doc.title || 'Untitled',
+            abstract: paper.abstract || '',
+            authors: citation?.authors.length ? citation.authors : paper.authors || [],
+            content: paper.content || '',
+            sections,
+            equations,
+            symbols: SymbolTable.build(sections, equations),
+            figures: paper.figures || this.common.extractFigures(doc),
+            references: paper.references || References.extract(doc, sections),
+            metadata: { source: pageType, ...paper.metadata, ...citation?.metadata },
+            url,
+            canonicalUrl: doc.querySelector('link[rel="canonical"]')?.href || null,
+            extractedAt: new Date().toISOString()
+        };
+    },
+
+    /**
+     * Helpers shared by the site extractors
+     */
+    common: {
+        extractSections(container, headingSelector = 'h1, h2, h3, h4') {
+            const sections = [];
+            if (!container) return sections;
+
+            container.querySelectorAll(headingSelector).forEach((heading, index) => {
+                const level = parseInt(heading.tagName.charAt(1));
+                const title = heading.textContent.trim();
+
+                // Get content until next heading
+                let content = '';
+                let sibling = heading.nextElementSibling;
+                while (sibling && !sibling.matches(headingSelector)) {
+                    content += sibling.textContent + '\n';
+                    sibling = sibling.nextElementSibling;
+                }
+
+                sections.push({ level, title, content: content.trim(), index });
+            });
+
+            return sections;
+        },
+
+        /**
+         * Collect LaTeX (MathJax v2 scripts, KaTeX and MathJax v3 annotations)
+         * and MathML equations once each, with LaTeXParser output attached
+         */
+        extractEquations(doc) {
+            const equations = [];
+            const seen = new Set();
+
+            const add = (element, source) => {
+                if (!element || seen.has(element)) return;
+                seen.add(element);
+
+                const equation = {
+                    id: `eq-${equations.length}`,
+                    format: source.latex ? 'latex' : 'mathml',
+                    display: this.isDisplayMath(element),
+                    element,
+                    context: this.getEquationContext(element)
+                };
+
+                if (source.latex) {
+                    equation.latex = source.latex.trim();
+                } else {
+                    equation.mathml = source.mathml;
+                    // TeX source from a KaTeX/MathJax annotation, used for rendering
+                    if (source.tex) {
+                        equation.tex = source.tex.trim();
+                    }
+                }
+
+                equation.parsed = this.parseEquation(equation, source.tex);
+                equations.push(equation);
+            };
+
+            // MathJax v2 keeps the TeX source in a script next to the rendered frame
+            doc.querySelectorAll('script[type^="math/tex"]').forEach(script => {
+                const frame = doc.getElementById(`${script.id}-Frame`);
+                const element = frame?.closest('.MathJax_Display') || frame || script.previousElementSibling;
+                if (script.textContent.trim()) {
+                    add(element, { latex: script.textContent });
+                }
+            });
+
+            // MathML, including the hidden copies KaTeX and MathJax v3 render
+            doc.querySelectorAll('math').forEach(math => {
+                const rendered = math.closest('.katex-display, .katex, mjx-container, .MathJax_Display, .MathJax');
+                const tex = math.querySelector('annotation[encoding="application/x-tex"]')?.textContent || '';
+                add(rendered || math, { mathml: math.outerHTML, tex });
+            });
+
+            return equations;
+        },
+
+        parseEquation(equation, tex = '') {
+            try {
+                if (equation.latex || tex) {
+                    return LaTeXParser.parse(equation.latex || tex);
+                }
+                return LaTeXParser.parseMathML(equation.mathml);
+            } catch (error) {
+                return null;
+            }
+        },
+
+        isDisplayMath(element) {
+            return element.matches('.katex-display, .MathJax_Display, mjx-container[display="true"]') ||
+                element.getAttribute('display') === 'block' ||
+                element.closest('.ltx_equation, .ltx_equationgroup') !== null;
+        },
+
+        /**
+         * Figures and tables with a numbered caption ("Figure 3: ...") on
+         * pages without their own figure extraction
+         */
+        extractFigures(doc) {
+            return Array.from(doc.querySelectorAll('figure'), figure => {
+                const caption = figure.querySelector('figcaption')?.textContent.replace(/\s+/g, ' ').trim() || '';
+                const tag = caption.match(/^(Figure|Fig\.|Table)\s*(\d+[a-z]?)\s*[:.]?\s*/i);
+
+                return {
+                    id: figure.id || null,
+                    kind: /^tab/i.test(tag?.[1] || '') ? 'table' : 'figure',
+                    number: tag ? tag[2] : null,
+                    caption: tag ? caption.slice(tag[0].length) : caption,
+                    src: figure.querySelector('img')?.src || null
+                };
+            }).filter(figure => figure.caption);
+        },
+
+        getEquationContext(element) {
+            // Get surrounding text for context
+            const parent = element.closest('p, div, section');
+            if (parent) {
+                const text = parent.textContent;
+                return text.substring(0, 500);
+            }
+            return '';
+        },
+
+        extractPublishDate(doc) {
+            // Try multiple sources for publish date
+            const timeEl = doc.querySelector('time[datetime], [itemprop="datePublished"]');
+            if (timeEl) {
+                return timeEl.getAttribute('datetime') || timeEl.textContent.trim();
+            }
+
+            const metaDate = doc.querySelector('meta[property="article:published_time"]');
+            if (metaDate?.content) return metaDate.content;
+
+            return null;
+        },
+
+        /**
+         * Highwire Press citation_* meta tags, which Google Scholar reads and
+         * arXiv, journals and most repositories publish. Returns
+         * { title, authors, metadata } or null when the page has none.
+         */
+        extractCitationMeta(doc) {
+            const values = name => Array.from(doc.querySelectorAll(`meta[name="citation_${name}"]`), meta => meta.content.trim())
+                .filter(Boolean);
+            const first = (...names) => names.map(name => values(name)[0]).find(Boolean) || null;
+
+            const title = first('title');
+            if (!title) return null;
+
+            const date = first('publication_date', 'date', 'online_date');
+            const firstPage = first('firstpage');
+            const lastPage = first('lastpage');
+            const metadata = {
+                // "2017/06/12" -> "2017-06-12"
+                publishDate: date ? date.replace(/\//g, '-') : null,
+                doi: first('doi')?.replace(/^(?:https?:\/\/(?:dx\.)?doi\.org\/|doi:\s*)/i, '') || null,
+                arxivId: first('arxiv_id'),
+                venue: first('journal_title', 'conference_title', 'inbook_title'),
+                volume: first('volume'),
+                issue: first('issue'),
+                pages: firstPage && lastPage ? `${firstPage}–${lastPage}` : firstPage,
+                publisher: first('publisher')
+            };
+
+            return {
+                title,
+                // "Vaswani, Ashish" -> "Ashish Vaswani"
+                authors: values('author').map(name => name.replace(/^([^,]+),\s*(.+)$/, '$2 $1')),
+                metadata: Object.fromEntries(Object.entries(metadata).filter(([, value]) => value))
+            };
+        },
+
+        cleanContent(text) {
+            // Remove common noise patterns
+            return text
+                .replace(/^\s*Share\s+(on\s+)?(Facebook|Twitter|LinkedIn|Email).*$/gmi, '')
+                .replace(/^\s*(Subscribe|Sign up|Newsletter).*$/gmi, '')
+                .replace(/^\s*Advertisement\s*$/gmi, '')
+                .replace(/\n{3,}/g, '\n\n')
+                .trim();
+        },
+
+        hostname(url) {
+            try {
+                return new URL(url).hostname;
+            } catch (error) {
+                return '';
+            }
+        }
+    },
+
+    /**
+     * Extract content from PDFs opened in the extension viewer (viewer/),
+     * which exposes the pdf.js text layer as window.pdfDocumentText
+     */
+    pdf: {
+        // Unnumbered headings common in papers
+        sectionNames: /^(abstract|introduction|related work|background|preliminaries|method(s|ology)?|approach|experiments?|experimental (setup|results)|results|evaluation|discussion|limitations|conclusions?|future work|acknowledge?ments?|references|bibliography|appendix)$/i,
+
+        maxAbstractLines: 40,
+
+        detect(url, doc) {
+            return PageDetector.pdf(url, doc);
+        },
+
+        extract(doc, url) {
+            const { info, pages } = doc.defaultView.pdfDocumentText;
+            const bodySize = this.bodyFontSize(pages);
+
+            return {
+                title: this.extractTitle(pages, info),
+                abstract: this.extractAbstract(pages),
+                authors: this.extractAuthors(info),
+                content: pages.map(page => `[Page ${page.number}]\n${this.pageText(page)}`).join('\n\n'),
+                sections: this.extractSections(pages, bodySize),
+                // The text layer carries no math markup to extract equations from
+                equations: [],
+                metadata: {
+                    ...this.arxivMetadata(url),
+                    pageCount: pages.length,
+                    publishDate: this.parsePdfDate(info.CreationDate)
+                }
+            };
+        },
+
+        arxivMetadata(url) {
+            if (!Extractors.common.hostname(url).includes('arxiv.org')) return {};
+
+            const parsed = Extractors.arxiv.parseArxivId(new URL(url).pathname);
+            return parsed ? { arxivId: parsed.id, arxivVersion: parsed.version } : {};
+        },
+
+        pageText(page) {
+            return page.lines.map(line => line.text).join('\n');
+        },
+
+        /**
+         * Most common font size, weighted by text length
+         */
+        bodyFontSize(pages) {
+            const counts = new Map();
+            pages.forEach(page => page.lines.forEach(line => {
+                const size = Math.round(line.fontSize);
+                counts.set(size, (counts.get(size) || 0) + line.text.length);
+            }));
+
+            let bodySize = 0;
+            let best = 0;
+            counts.forEach((count, size) => {
+                if (count > best) {
+                    best = count;
+                    bodySize = size;
+                }
+            });
+            return bodySize;
+        },
+
+        /**
+         * The largest text on the first page, joined across wrapped lines;
+         * falls back to the document info title
+         */
+        extractTitle(pages, info) {
+            // Skip the rotated arXiv identifier stamped along the margin
+            const lines = (pages[0]?.lines || []).filter(line => !/^arXiv:/i.test(line.text));
+            const largest = Math.max(0, ...lines.map(line => line.fontSize));
+            const start = lines.findIndex(line => line.fontSize === largest && line.text.length > 3);
+
+            if (start >= 0) {
+                const titleLines = [];
+                for (let i = start; i < lines.length && Math.abs(lines[i].fontSize - largest) < 0.5; i++) {
+                    titleLines.push(lines[i].text);
+                }
+                return titleLines.join(' ');
+            }
+            return info.Title || '';
+        },
+
+        extractAbstract(pages) {
+            const lines = pages.slice(0, 2).flatMap(page => page.lines);
+            const start = lines.findIndex(line => /^abstract\b/i.test(line.text));
+            if (start < 0) return '';
+
+            const abstractLines = [lines[start].text.replace(/^abstract[\s.:—-]*/i, '')];
+            for (let i = start + 1; i < lines.length && i <= start + this.maxAbstractLines; i++) {
+                if (this.isHeading(lines[i], 0)) break;
+                abstractLines.push(lines[i].text);
+            }
+            return abstractLines.join(' ').replace(/-\s(?=[a-z])/g, '').trim();
+        },
+
+        extractAuthors(info) {
+            if (!info.Author) return [];
+            return info.Author.split(/\s*(?:;|,|\band\b)\s*/).filter(Boolean);
+        },
+
+        /**
+         * Headings are numbered ("3.1 Training") or well-known section names
+         * set no smaller than body text
+         */
+        extractSections(pages, bodySize) {
+            const sections = [];
+            let current = null;
+
+            pages.forEach(page => {
+                page.lines.forEach(line => {
+                    if (this.isHeading(line, bodySize)) {
+                        const number = line.text.match(/^(\d+(?:\.\d+)*)\.?\s/)?.[1];
+                        current = {
+                            level: number ? number.split('.').length : 1,
+                            title: line.text,
+                            content: '',
+                            index: sections.length,
+                            page: page.number
+                        };
+                        sections.push(current);
+                    } else if (current) {
+                        current.content += line.text + '\n';
+                    }
+                });
+            });
+
+            sections.forEach(section => {
+                section.content = section.content.trim();
+            });
+            return sections;
+        },
+
+        isHeading(line, bodySize) {
+            const text = line.text;
+            if (text.length > 80 || Math.round(line.fontSize) < bodySize) return false;
+
+            const title = text.replace(/^(\d+(?:\.\d+)*|[IVX]+|[A-Z])\.?\s+/, '');
+            return this.sectionNames.test(title) ||
+                (/^\d+(?:\.\d+)*\.?\s+[A-Z]/.test(text) && !/[.,;]$/.test(text) && text.split(/\s+/).length <= 10);
+        },
+
+        /**
+         * Convert a PDF date string (D:YYYYMMDDHHmmSS...) to YYYY-MM-DD
+         */
+        parsePdfDate(value) {
+            const match = value?.match(/^(?:D:)?(\d{4})(\d{2})?(\d{2})?/);
+            if (!match) return null;
+            return [match[1], match[2] || '01', match[3] || '01'].join('-');
+        }
+    },
+
+    /**
+     * Read LaTeXML documents (arxiv.org/html/, ar5iv): numbered sections,
+     * display equations with their LaTeX source, figures and the bibliography
+     */
+    latexml: {
+        sectionLevels: {
+            ltx_chapter: 1,
+            ltx_section: 1,
+            ltx_appendix: 1,
+            ltx_subsection: 2,
+            ltx_subsubsection: 3,
+            ltx_paragraph: 4
+        },
+
+        affiliationPattern: /\b(univ|university|institute|college|school|department|dept|laborator(y|ies)|lab|inc|ltd|research|center|centre)\b/i,
+
+        extract(doc) {
+            const article = doc.querySelector('article.ltx_document') || doc.querySelector('.ltx_document');
+
+            return {
+                title: this.text(article.querySelector('.ltx_title_document')),
+                abstract: this.extractAbstract(article),
+                authors: this.extractAuthors(article),
+                content: this.readable(article),
+                sections: this.extractSections(article),
+                equations: this.extractEquations(article),
+                figures: this.extractFigures(article),
+                references: References.extract(article)
+            };
+        },
+
+        extractAbstract(article) {
+            const abstract = article.querySelector('.ltx_abstract');
+            if (!abstract) return '';
+
+            const paragraphs = abstract.querySelectorAll('.ltx_p');
+            if (paragraphs.length === 0) {
+                return this.readable(abstract).replace(/^Abstract\.?\s*/i, '');
+            }
+            return Array.from(paragraphs, p => this.readable(p)).join('\n\n');
+        },
+
+        /**
+         * Author blocks mix names with affiliations and emails; keep the
+         * short lines that look like names
+         */
+        extractAuthors(article) {
+            const authors = [];
+
+            article.querySelectorAll('.ltx_authors .ltx_personname').forEach(person => {
+                const clone = person.cloneNode(true);
+                clone.querySelectorAll('.ltx_note, .ltx_role_affiliation, .ltx_contact, sup').forEach(el => el.remove());
+                clone.querySelectorAll('br').forEach(br => br.replaceWith('\n'));
+
+                clone.textContent.split(/\n|,|\band\b|&/).forEach(part => {
+                    const name = part.replace(/[\d*†‡§¶]+/g, '').replace(/\s+/g, ' ').trim();
+                    if (name && name.length <= 60 && !name.includes('@') &&
+                        !this.affiliationPattern.test(name) && !authors.includes(name)) {
+                        authors.push(name);
+                    }
+                });
+            });
+
+            return authors;
+        },
+
+        extractSections(article) {
+            const selector = Object.keys(this.sectionLevels).map(name => `section.${name}`).join(', ');
+
+            return Array.from(article.querySelectorAll(selector), (section, index) => {
+                const level = Object.entries(this.sectionLevels)
+                    .find(([name]) => section.classList.contains(name))[1];
+                const heading = section.querySelector(':scope > .ltx_title');
+                const tag = heading?.querySelector('.ltx_tag');
+                const number = tag ? tag.textContent.replace(/^(Appendix|Section)\s+/i, '').replace(/[.\s]+$/, '').trim() : null;
+
+                // Text of this section only, without its subsections
+                const content = Array.from(section.children)
+                    .filter(child => child !== heading && !child.matches(selector))
+                    .map(child => this.readable(child))
+                    .filter(Boolean)
+                    .join('\n');
+
+                return {
+                    level,
+                    title: this.text(heading).replace(tag ? tag.textContent.trim() : '', '').trim(),
+                    content,
+                    index,
+                    number,
+                    id: section.id || null
+                };
+            });
+        },
+
+        /**
+         * One entry per display equation. Aligned environments split a row
+         * across several math cells, so their alttext is joined per row.
+         */
+        extractEquations(article) {
+            const rows = Array.from(article.querySelectorAll('tr.ltx_eqn_row'));
+            const containers = rows.length > 0 ? rows :
+                Array.from(article.querySelectorAll('.ltx_equation, .ltx_equationgroup'))
+                    .filter(el => !el.parentElement.closest('.ltx_equation, .ltx_equationgroup'));
+            const equations = [];
+
+            containers.forEach(container => {
+                const latex = Array.from(container.querySelectorAll('math'), math => math.getAttribute('alttext') || '')
+                    .filter(Boolean)
+                    .join(' ');
+                if (!latex) return;
+
+                const tag = container.querySelector('.ltx_tag_equation');
+                const block = container.closest('table.ltx_equation, table.ltx_equationgroup') || container;
+
+                const equation = {
+                    id: `eq-${equations.length}`,
+                    format: 'latex',
+                    display: true,
+                    element: container,
+                    context: Extractors.common.getEquationContext(block),
+                    latex,
+                    number: tag ? tag.textContent.replace(/[()]/g, '').trim() : null,
+                    anchor: container.id || block.id || null
+                };
+                equation.parsed = Extractors.common.parseEquation(equation);
+                equations.push(equation);
+            });
+
+            return equations;
+        },
+
+        extractFigures(article) {
+            return Array.from(article.querySelectorAll('figure.ltx_figure, figure.ltx_table'), figure => {
+                const caption = figure.querySelector(':scope > figcaption, figcaption');
+                const tag = caption?.querySelector('.ltx_tag');
+                const image = figure.querySelector('img');
+
+                return {
+                    id: figure.id || null,
+                    kind: figure.classList.contains('ltx_table') ? 'table' : 'figure',
+                    number: tag ? tag.textContent.replace(/^(Figure|Table|Fig\.)\s*/i, '').replace(/[:.\s]+$/, '') : null,
+                    caption: this.text(caption).replace(tag ? tag.textContent.trim() : '', '').trim(),
+                    src: image?.src || null
+                };
+            }).filter(figure => figure.caption);
+        },
+
+        text(element) {
+            return element?.textContent.replace(/\s+/g, ' ').trim() || '';
+        },
+
+        /**
+         * Text with math written as its LaTeX source instead of the MathML glyphs
+         */
+        readable(element) {
+            if (!element) return '';
+
+            const clone = element.cloneNode(true);
+            clone.querySelectorAll('math[alttext]').forEach(math => {
+                math.replaceWith(`$${math.getAttribute('alttext')}$`);
+            });
+            clone.querySelectorAll('.ltx_tag_equation').forEach(tag => {
+                tag.replaceWith(` ${tag.textContent}`);
+            });
+            return clone.textContent.replace(/[ \t]+/g, ' ').replace(/\s*\n\s*/g, '\n').trim();
+        }
+    },
+
+    /**
+     * Extract content from arXiv abstract pages and the LaTeXML renderings
+     * served at arxiv.org/html/ and ar5iv
+     */
+    arxiv: {
+        // New-style IDs (2401.12345v2) and old-style archive IDs (hep-th/9901001v1, math.GT/0309136)
+        idPattern: /(?:^|[/:\s])(\d{4}\.\d{4,5}|[a-z-]+(?:\.[A-Z]{2})?\/\d{7})(?:v(\d+))?(?:\.pdf)?(?=$|[/?#\s])/,
+
+        detect(url, doc) {
+            return PageDetector.arxiv(url, doc);
+        },
+
+        extract(doc, url) {
+            const { id, version } = this.parseArxivId(new URL(url).pathname) || {};
+            const metadata = {
+                arxivId: id || null,
+                arxivVersion: version || null,
+                categories: this.extractCategories(doc)
+            };
+
+            if (doc.querySelector('.ltx_document')) {
+                const paper = Extractors.latexml.extract(doc);
+                return { ...paper, metadata };
+            }
+
+            const container = doc.querySelector('#content-inner') ||
+                doc.querySelector('.leftcolumn') ||
+                doc.querySelector('article');
+
+            return {
+                title: this.extractTitle(doc),
+                abstract: this.extractAbstract(doc),
+                authors: this.extractAuthors(doc),
+                content: container?.innerText || '',
+                sections: Extractors.common.extractSections(container || doc.body),
+                metadata
+            };
+        },
+
+        extractTitle(doc) {
+            const titleEl = doc.querySelector('.title.mathjax') ||
+                doc.querySelector('h1.title');
+            if (titleEl) {
+                return titleEl.textContent.replace(/^Title:\s*/i, '').trim();
+            }
+            return doc.title || '';
+        },
+
+        extractAbstract(doc) {
+            const abstractEl = doc.querySelector('.abstract.mathjax') ||
+                doc.querySelector('blockquote.abstract');
+            if (abstractEl) {
+                return abstractEl.textContent.replace(/^Abstract:\s*/i, '').trim();
+            }
+            return '';
+        },
+
+        extractAuthors(doc) {
+            const authorEls = doc.querySelectorAll('.authors a');
+            return Array.from(authorEls).map(a => a.textContent.trim());
+        },
+
+        /**
+         * Parse an arXiv identifier out of a path or string such as
+         * "/abs/2401.12345v2", "/pdf/hep-th/9901001v1.pdf" or "arXiv:math.GT/0309136".
+         * Returns { id, version } with the version as a number, or null.
+         */
+        parseArxivId(text) {
+            const match = text?.match(this.idPattern);
+            if (!match) return null;
+            return { id: match[1], version: match[2] ? Number(match[2]) : null };
+        },
+
+        extractArxivId(pathname) {
+            return this.parseArxivId(pathname)?.id || null;
+        },
+
+        extractCategories(doc) {
+            const categoryEl = doc.querySelector('.primary-subject');
+            if (categoryEl) {
+                return [categoryEl.textContent.trim()];
+            }
+            return [];
+        }
+    },
+
+    /**
+     * Extract content from Medium articles, including custom-domain publications
+     */
+    medium: {
+        detect(url, doc) {
+            return PageDetector.medium(url, doc);
+        },
+
+        extract(doc) {
+            const author = this.extractAuthor(doc);
+
+            return {
+                title: this.extractTitle(doc),
+                abstract: this.extractSubtitle(doc),
+                authors: author ? [author] : [],
+                content: this.extractContent(doc),
+                sections: this.extractSections(doc),
+                metadata: {
+                    readingTime: this.extractReadingTime(doc)
+                }
+            };
+        },
+
+        extractTitle(doc) {
+            const h1 = doc.querySelector('article h1') || doc.querySelector('h1');
+            return h1 ? h1.textContent.trim() : doc.title;
+        },
+
+        extractSubtitle(doc) {
+            const subtitle = doc.querySelector('article h2') || doc.querySelector('h2');
+            return subtitle ? subtitle.textContent.trim() : '';
+        },
+
+        extractAuthor(doc) {
+            const authorEl = doc.querySelector('a[rel="author"]') ||
+                doc.querySelector('[data-testid="authorName"]');
+            return authorEl ? authorEl.textContent.trim() : '';
+        },
+
+        extractContent(doc) {
+            const article = doc.querySelector('article');
+            if (!article) return '';
+
+            const paragraphs = article.querySelectorAll('p');
+            return Array.from(paragraphs)
+                .map(p => p.textContent.trim())
+                .filter(text => text.length > 0)
+                .join('\n\n');
+        },
+
+        extractSections(doc) {
+            const article = doc.querySelector('article');
+
+            // Skip the first heading, which is the article title
+            return Extractors.common.extractSections(article, 'h1, h2, h3')
+                .filter(section => section.index > 0);
+        },
+
+        extractReadingTime(doc) {
+            const labelled = doc.querySelector('[aria-label*="min read"]');
+            const timeEl = labelled || Array.from(doc.querySelectorAll('span'))
+                .find(span => /^\s*\d+\s*min read\s*$/.test(span.textContent));
+
+            if (timeEl) {
+                const match = (timeEl.getAttribute('aria-label') || timeEl.textContent).match(/(\d+)\s*min/);
+                return match ? parseInt(match[1]) : null;
+            }
+            return null;
+        }
+    },
+
+    /**
+     * Generic blog extractor
+     */
+    blog: {
+        detect(url, doc) {
+            return PageDetector.blog(url, doc);
+        },
+
+        extract(doc, url) {
+            const author = this.extractAuthor(doc);
+
+            return {
+                title: this.extractTitle(doc),
+                abstract: this.extractAbstract(doc),
+                authors: author ? [author] : [],
+                content: this.extractContent(doc),
+                sections: Extractors.common.extractSections(doc.querySelector('article, main') || doc.body),
+                metadata: {
+                    domain: Extractors.common.hostname(url),
+                    publishDate: Extractors.common.extractPublishDate(doc)
+                }
+            };
+        },
+
+        extractTitle(doc) {
+            const h1 = doc.querySelector('article h1') ||
+                doc.querySelector('h1') ||
+                doc.querySelector('title');
+            return h1 ? h1.textContent.trim() : '';
+        },
+
+        extractContent(doc) {
+            const article = doc.querySelector('article') ||
+                doc.querySelector('main') ||
+                doc.querySelector('.post-content') ||
+                doc.querySelector('.entry-content');
+            return article ? article.innerText : doc.body.innerText;
+        },
+
+        extractAbstract(doc) {
+            // Try meta description first
+            const metaDesc = doc.querySelector('meta[name="description"]');
+            if (metaDesc && metaDesc.content) {
+                return metaDesc.content;
+            }
+
+            // Fall back to first few paragraphs
+            const paragraphs = doc.querySelectorAll('article p, main p');
+            const firstParas = Array.from(paragraphs)
+                .slice(0, 3)
+                .map(p => p.textContent.trim())
+                .join(' ');
+
+            return firstParas.substring(0, 500);
+        },
+
+        extractAuthor(doc) {
+            const authorEl = doc.querySelector('[rel="author"]') ||
+                doc.querySelector('.author') ||
+                doc.querySelector('.byline');
+            return authorEl ? authorEl.textContent.replace(/^by\s*/i, '').trim() : '';
+        }
+    },
+
+    /**
+     * Universal article extractor for any readable webpage
+     */
+    article: {
+        detect(url, doc) {
+            return PageDetector.article(url, doc);
+        },
+
+        extract(doc, url) {
+            const author = this.extractAuthor(doc);
+
+            return {
+                title: this.extractTitle(doc),
+                abstract: this.extractAbstract(doc),
+                authors: author ? [author] : [],
+                content: this.extractContent(doc),
+                sections: Extractors.common.extractSections(doc.body),
+                metadata: {
+                    domain: Extractors.common.hostname(url),
+                    publishDate: Extractors.common.extractPublishDate(doc)
+                }
+            };
+        },
+
+        extractTitle(doc) {
+            // Try multiple strategies to find the best title
+            const h1 = doc.querySelector('article h1, main h1, h1');
+            if (h1) return h1.textContent.trim();
+
+            const ogTitle = doc.querySelector('meta[property="og:title"]');
+            if (ogTitle?.content) return ogTitle.content;
+
+            const twitterTitle = doc.querySelector('meta[name="twitter:title"]');
+            if (twitterTitle?.content) return twitterTitle.content;
+
+            return doc.title?.split(' | ')[0]?.split(' - ')[0]?.trim() || '';
+        },
+
+        extractContent(doc) {
+            // Priority order for finding main content
+            const selectors = [
+                'article',
+                'main',
+                '[role="main"]',
+                '.post-content',
+                '.article-content',
+                '.entry-content',
+                '.content',
+                '#content',
+                '.post',
+                '.article'
+            ];
+
+            for (const selector of selectors) {
+                const el = doc.querySelector(selector);
+                if (el && el.innerText.length > 500) {
+                    return Extractors.common.cleanContent(el.innerText);
+                }
+            }
+
+            // Fallback: extract body content with noise removal
+            return Extractors.common.cleanContent(doc.body.innerText);
+        },
+
+        extractAbstract(doc) {
+            // Try meta description first
+            const metaDesc = doc.querySelector('meta[name="description"]');
+            if (metaDesc?.content) return metaDesc.content;
+
+            const ogDesc = doc.querySelector('meta[property="og:description"]');
+            if (ogDesc?.content) return ogDesc.content;
+
+            // Fallback to first paragraphs
+            const paragraphs = doc.querySelectorAll('article p, main p, .content p, p');
+            const firstParas = Array.from(paragraphs)
+                .slice(0, 3)
+                .map(p => p.textContent.trim())
+                .filter(t => t.length > 50)
+                .join(' ');
+
+            return firstParas.substring(0, 500);
+        },
+
+        extractAuthor(doc) {
+            // Multiple strategies for finding author
+            const selectors = [
+                '[rel="author"]',
+                '.author',
+                '.byline',
+                '[itemprop="author"]',
+                '.author-name',
+                '.post-author'
+            ];
+
+            for (const selector of selectors) {
+                const el = doc.querySelector(selector);
+                if (el) {
+                    return el.textContent.replace(/^by\s*/i, '').trim();
+                }
+            }
+
+            // Try meta tags
+            const metaAuthor = doc.querySelector('meta[name="author"]');
+            if (metaAuthor?.content) return metaAuthor.content;
+
+            return '';
+        }
+    }
+};
+
+// Export for use in content script
+if (typeof module !== 'undefined') {
+    module.exports = { Extractors };
+}
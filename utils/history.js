@@ -0,0 +1,78 @@
+// AI Research Paper Helper - Reading History
+// Records analyzed papers under the `recentPapers` storage key read by the popup
+
+import { createQueue } from './storage-queue.js';
+
+const HISTORY_KEY = 'recentPapers';
+const MAX_HISTORY = 500;
+
+const enqueue = createQueue();
+
+/**
+ * Add or move a paper to the top of the history
+ */
+async function recordPaper(key, pageData) {
+    return enqueue(async () => {
+        const papers = await getPapers();
+        const entry = {
+            key,
+            title: pageData.title || 'Untitled',
+            authors: pageData.authors || [],
+            pageType: pageData.pageType || 'unknown',
+            arxivId: pageData.metadata?.arxivId || null,
+            url: pageData.url,
+            analyzedAt: new Date().toISOString()
+        };
+
+        const updated = [entry, ...papers.filter(paper => paper.key !== key)].slice(0, MAX_HISTORY);
+        await chrome.storage.local.set({ [HISTORY_KEY]: updated });
+        return entry;
+    });
+}
+
+async function getPapers() {
+    const stored = await chrome.storage.local.get(HISTORY_KEY);
+    return stored[HISTORY_KEY] || [];
+}
+
+/**
+ * Filter history entries by source, collection and a case-insensitive text
+ * query in which "#tag" terms must match a tag exactly.
+ * getText(entry) supplies any extra searchable text (e.g. cached TL;DRs).
+ */
+function filterPapers(papers, { query = '', source = '', collection = '' } = {}, getText = () => '') {
+    const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+    const tags = words.filter(word => word.startsWith('#') && word.length > 1).map(word => word.slice(1));
+    const terms = words.filter(word => !word.startsWith('#'));
+
+    return papers.filter(paper => {
+        if (source && paper.pageType !== source) return false;
+        if (collection && !paper.collections?.includes(collection)) return false;
+        if (!tags.every(tag => paper.tags?.includes(tag))) return false;
+        if (terms.length === 0) return true;
+
+        const haystack = [
+            paper.title,
+            ...(paper.authors || []),
+            paper.arxivId,
+            ...(paper.tags || []),
+            getText(paper)
+        ].join(' ').toLowerCase();
+
+        return terms.every(term => haystack.includes(term));
+    });
+}
+
+async function removePaper(key) {
+    return enqueue(async () => {
+        const papers = await getPapers();
+        await chrome.storage.local.set({ [HISTORY_KEY]: papers.filter(paper => paper.key !== key) });
+    });
+}
+
+async function clearHistory() {
+    return enqueue(() => chrome.storage.local.remove(HISTORY_KEY));
+}
+
+// Export for use in other modules
+export { recordPaper, getPapers, filterPapers, removePaper, clearHistory };
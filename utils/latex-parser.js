@@ -1,286 +1,1209 @@
-// AI Research Paper Helper - LaTeX Parser
-// Handles LaTeX and MathML parsing and normalization
-
-const LaTeXParser = {
-    /**
-     * Common LaTeX symbols and their readable equivalents
-     */
-    symbolMap: {
-        '\\alpha': 'α', '\\beta': 'β', '\\gamma': 'γ', '\\delta': 'δ',
-        '\\epsilon': 'ε', '\\zeta': 'ζ', '\\eta': 'η', '\\theta': 'θ',
-        '\\iota': 'ι', '\\kappa': 'κ', '\\lambda': 'λ', '\\mu': 'μ',
-        '\\nu': 'ν', '\\xi': 'ξ', '\\pi': 'π', '\\rho': 'ρ',
-        '\\sigma': 'σ', '\\tau': 'τ', '\\upsilon': 'υ', '\\phi': 'φ',
-        '\\chi': 'χ', '\\psi': 'ψ', '\\omega': 'ω',
-        '\\Gamma': 'Γ', '\\Delta': 'Δ', '\\Theta': 'Θ', '\\Lambda': 'Λ',
-        '\\Xi': 'Ξ', '\\Pi': 'Π', '\\Sigma': 'Σ', '\\Phi': 'Φ',
-        '\\Psi': 'Ψ', '\\Omega': 'Ω',
-        '\\infty': '∞', '\\partial': '∂', '\\nabla': '∇',
-        '\\sum': 'Σ', '\\prod': 'Π', '\\int': '∫',
-        '\\leq': '≤', '\\geq': '≥', '\\neq': '≠', '\\approx': '≈',
-        '\\pm': '±', '\\times': '×', '\\div': '÷', '\\cdot': '·',
-        '\\in': '∈', '\\notin': '∉', '\\subset': '⊂', '\\supset': '⊃',
-        '\\cup': '∪', '\\cap': '∩', '\\emptyset': '∅',
-        '\\forall': '∀', '\\exists': '∃', '\\neg': '¬',
-        '\\wedge': '∧', '\\vee': '∨', '\\Rightarrow': '⇒', '\\Leftrightarrow': '⇔',
-        '\\rightarrow': '→', '\\leftarrow': '←', '\\leftrightarrow': '↔',
-        '\\ldots': '...', '\\cdots': '⋯', '\\vdots': '⋮',
-        '\\sqrt': '√', '\\exp': 'exp', '\\log': 'log', '\\ln': 'ln',
-        '\\sin': 'sin', '\\cos': 'cos', '\\tan': 'tan',
-        '\\lim': 'lim', '\\max': 'max', '\\min': 'min', '\\arg': 'arg'
-    },
-
-    /**
-     * Parse LaTeX string to extract components
-     */
-    parse(latex) {
-        const cleaned = this.clean(latex);
-
-        return {
-            original: latex,
-            cleaned: cleaned,
-            readable: this.toReadable(cleaned),
-            variables: this.extractVariables(cleaned),
-            operators: this.extractOperators(cleaned),
-            functions: this.extractFunctions(cleaned),
-            structure: this.analyzeStructure(cleaned)
-        };
-    },
-
-    /**
-     * Clean LaTeX string
-     */
-    clean(latex) {
-        return latex
-            .trim()
-            .replace(/\\\[|\\\]/g, '') // Remove display math delimiters
-            .replace(/\$\$?/g, '')     // Remove inline math delimiters
-            .replace(/\\begin\{[^}]+\}/g, '') // Remove begin environments
-            .replace(/\\end\{[^}]+\}/g, '')   // Remove end environments
-            .replace(/&/g, ' ')        // Replace alignment characters
-            .replace(/\\\\/g, ' ')     // Replace line breaks
-            .replace(/\s+/g, ' ')      // Normalize whitespace
-            .trim();
-    },
-
-    /**
-     * Convert LaTeX to readable form
-     */
-    toReadable(latex) {
-        let result = latex;
-
-        // Replace symbols
-        for (const [texCmd, symbol] of Object.entries(this.symbolMap)) {
-            result = result.replace(new RegExp(texCmd.replace(/\\/g, '\\\\'), 'g'), symbol);
-        }
-
-        // Handle fractions
-        result = result.replace(/\\frac\{([^}]+)\}\{([^}]+)\}/g, '($1)/($2)');
-
-        // Handle superscripts and subscripts
-        result = result.replace(/\^{([^}]+)}/g, '^($1)');
-        result = result.replace(/_{([^}]+)}/g, '_($1)');
-        result = result.replace(/\^(\w)/g, '^$1');
-        result = result.replace(/_(\w)/g, '_$1');
-
-        // Handle sqrt
-        result = result.replace(/\\sqrt\{([^}]+)\}/g, '√($1)');
-        result = result.replace(/\\sqrt\[(\d+)\]\{([^}]+)\}/g, '$1√($2)');
-
-        // Handle text
-        result = result.replace(/\\text\{([^}]+)\}/g, '$1');
-        result = result.replace(/\\mathrm\{([^}]+)\}/g, '$1');
-        result = result.replace(/\\mathbf\{([^}]+)\}/g, '$1');
-
-        // Clean up remaining backslashes
-        result = result.replace(/\\[a-zA-Z]+/g, '');
-        result = result.replace(/[{}]/g, '');
-
-        return result.trim();
-    },
-
-    /**
-     * Extract variable names from LaTeX
-     */
-    extractVariables(latex) {
-        const variables = new Set();
-
-        // Common variable patterns
-        const patterns = [
-            /\\mathbf\{(\w+)\}/g,
-            /\\boldsymbol\{(\w+)\}/g,
-            /\\vec\{(\w+)\}/g,
-            /\\hat\{(\w+)\}/g,
-            /([a-zA-Z])_\{?(\w+)?\}?/g
-        ];
-
-        // Greek letters
-        for (const [cmd, symbol] of Object.entries(this.symbolMap)) {
-            if (latex.includes(cmd)) {
-                variables.add({ symbol, latex: cmd, type: 'greek' });
-            }
-        }
-
-        // Latin letters (common in ML)
-        const latinMatches = latex.match(/(?<![\\a-zA-Z])([a-zA-Z])(?![a-zA-Z])/g);
-        if (latinMatches) {
-            latinMatches.forEach(v => {
-                if (!['d', 'e', 'i'].includes(v)) { // Skip common constants
-                    variables.add({ symbol: v, latex: v, type: 'latin' });
-                }
-            });
-        }
-
-        return Array.from(variables);
-    },
-
-    /**
-     * Extract operators from LaTeX
-     */
-    extractOperators(latex) {
-        const operators = [];
-
-        const opPatterns = {
-            sum: /\\sum/g,
-            product: /\\prod/g,
-            integral: /\\int/g,
-            limit: /\\lim/g,
-            expectation: /\\mathbb\{E\}|\\E\b/g,
-            probability: /\\mathbb\{P\}|\\Pr?\b/g,
-            gradient: /\\nabla/g,
-            argmax: /\\arg\s*\\max/g,
-            argmin: /\\arg\s*\\min/g
-        };
-
-        for (const [name, pattern] of Object.entries(opPatterns)) {
-            if (pattern.test(latex)) {
-                operators.push(name);
-            }
-        }
-
-        return operators;
-    },
-
-    /**
-     * Extract function names from LaTeX
-     */
-    extractFunctions(latex) {
-        const functions = [];
-
-        const funcPatterns = {
-            exponential: /\\exp|e\^/g,
-            logarithm: /\\log|\\ln/g,
-            softmax: /softmax/gi,
-            sigmoid: /sigmoid|\\sigma/gi,
-            relu: /relu/gi,
-            tanh: /\\tanh|tanh/gi,
-            loss: /\\mathcal\{L\}|loss/gi,
-            norm: /\\|\s*\|.*?\|\s*\\||\|.*?\|/g
-        };
-
-        for (const [name, pattern] of Object.entries(funcPatterns)) {
-            if (pattern.test(latex)) {
-                functions.push(name);
-            }
-        }
-
-        return functions;
-    },
-
-    /**
-     * Analyze equation structure
-     */
-    analyzeStructure(latex) {
-        const structure = {
-            isEquation: latex.includes('='),
-            isInequality: /[<>≤≥]/.test(latex),
-            isDefinition: latex.includes(':=') || latex.includes('\\triangleq'),
-            hasSummation: /\\sum/.test(latex),
-            hasIntegral: /\\int/.test(latex),
-            hasFraction: /\\frac/.test(latex),
-            hasMatrix: /\\begin\{[pbvBV]?matrix\}/.test(latex),
-            complexity: this.estimateComplexity(latex)
-        };
-
-        // Determine equation type
-        if (structure.hasSummation && (latex.includes('loss') || latex.includes('\\mathcal{L}'))) {
-            structure.type = 'loss_function';
-        } else if (latex.includes('\\nabla') || latex.includes('\\partial')) {
-            structure.type = 'gradient';
-        } else if (latex.includes('\\mathbb{E}') || latex.includes('\\Pr')) {
-            structure.type = 'probability';
-        } else if (structure.hasMatrix) {
-            structure.type = 'matrix_operation';
-        } else if (structure.hasSummation) {
-            structure.type = 'summation';
-        } else {
-            structure.type = 'general';
-        }
-
-        return structure;
-    },
-
-    /**
-     * Estimate equation complexity (1-10)
-     */
-    estimateComplexity(latex) {
-        let score = 1;
-
-        // Length factor
-        score += Math.min(3, Math.floor(latex.length / 50));
-
-        // Nesting factor
-        const depth = this.countNesting(latex);
-        score += Math.min(2, depth);
-
-        // Operator factor
-        const opCount = (latex.match(/\\(sum|prod|int|lim|frac)/g) || []).length;
-        score += Math.min(2, opCount);
-
-        // Matrix factor
-        if (/\\begin\{[pbvBV]?matrix\}/.test(latex)) score += 2;
-
-        return Math.min(10, score);
-    },
-
-    /**
-     * Count brace nesting depth
-     */
-    countNesting(latex) {
-        let maxDepth = 0;
-        let currentDepth = 0;
-
-        for (const char of latex) {
-            if (char === '{') {
-                currentDepth++;
-                maxDepth = Math.max(maxDepth, currentDepth);
-            } else if (char === '}') {
-                currentDepth--;
-            }
-        }
-
-        return maxDepth;
-    },
-
-    /**
-     * Parse MathML to extract content
-     */
-    parseMathML(mathml) {
-        const parser = new DOMParser();
-        const doc = parser.parseFromString(mathml, 'text/xml');
-
-        // Extract text content
-        const text = doc.documentElement.textContent;
-
-        return {
-            original: mathml,
-            text: text.trim(),
-            readable: text.trim()
-        };
-    }
-};
-
-// Export for use in content script
-if (typeof module !== 'undefined') {
-    module.exports = { LaTeXParser };
-}
+// AI Research Paper Helper - LaTeX Parser
+// Handles LaTeX and MathML parsing and normalization
+
+/**
+ * LaTeX math is tokenized and parsed into an AST; readable text, variables,
+ * operators and structure are all computed from the tree. Node types:
+ *
+ *   { type: 'group', body: [node] }
+ *   { type: 'symbol', value, kind: 'letter' | 'number' | 'relation' | 'binary' | 'punct' }
+ *       letters spelling a function (s-o-f-t-m-a-x) get isFunctionWord, the first one
+ *       also word: 'softmax'; the d of a differential gets isDifferential
+ *   { type: 'command', name }                      e.g. \alpha, \sum, \log
+ *   { type: 'supsub', base, sub, sup }             base may be null (e.g. {}^{n})
+ *   { type: 'frac', name, numer, denom }           \frac, \dfrac, \tfrac, \binom
+ *   { type: 'sqrt', index, body }
+ *   { type: 'font', name, body }                   \mathbf, \mathbb, \mathcal, ...
+ *   { type: 'accent', name, body }                 \hat, \tilde, \bar, \vec, ...
+ *   { type: 'text', value }                        \text, \operatorname, ...
+ *   { type: 'leftright', left, right, body }
+ *   { type: 'environment', name, rows: [[group]] }
+ */
+const LaTeXParser = {
+    /**
+     * Common LaTeX symbols and their readable equivalents
+     */
+    symbolMap: {
+        '\\alpha': 'α', '\\beta': 'β', '\\gamma': 'γ', '\\delta': 'δ',
+        '\\epsilon': 'ε', '\\zeta': 'ζ', '\\eta': 'η', '\\theta': 'θ',
+        '\\iota': 'ι', '\\kappa': 'κ', '\\lambda': 'λ', '\\mu': 'μ',
+        '\\nu': 'ν', '\\xi': 'ξ', '\\pi': 'π', '\\rho': 'ρ',
+        '\\sigma': 'σ', '\\tau': 'τ', '\\upsilon': 'υ', '\\phi': 'φ',
+        '\\chi': 'χ', '\\psi': 'ψ', '\\omega': 'ω',
+        '\\varepsilon': 'ε', '\\vartheta': 'ϑ', '\\varphi': 'φ', '\\varrho': 'ϱ', '\\varsigma': 'ς',
+        '\\Gamma': 'Γ', '\\Delta': 'Δ', '\\Theta': 'Θ', '\\Lambda': 'Λ',
+        '\\Xi': 'Ξ', '\\Pi': 'Π', '\\Sigma': 'Σ', '\\Phi': 'Φ',
+        '\\Psi': 'Ψ', '\\Omega': 'Ω', '\\Upsilon': 'Υ',
+        '\\infty': '∞', '\\partial': '∂', '\\nabla': '∇',
+        '\\sum': 'Σ', '\\prod': 'Π', '\\coprod': '∐', '\\int': '∫', '\\iint': '∬', '\\oint': '∮',
+        '\\bigcup': '⋃', '\\bigcap': '⋂',
+        '\\leq': '≤', '\\le': '≤', '\\geq': '≥', '\\ge': '≥', '\\neq': '≠', '\\ne': '≠',
+        '\\approx': '≈', '\\sim': '∼', '\\simeq': '≃', '\\equiv': '≡', '\\propto': '∝',
+        '\\ll': '≪', '\\gg': '≫', '\\triangleq': '≜', '\\coloneqq': '≔',
+        '\\pm': '±', '\\mp': '∓', '\\times': '×', '\\div': '÷', '\\cdot': '·',
+        '\\otimes': '⊗', '\\oplus': '⊕', '\\odot': '⊙', '\\circ': '∘', '\\setminus': '∖',
+        '\\in': '∈', '\\notin': '∉', '\\subset': '⊂', '\\supset': '⊃',
+        '\\subseteq': '⊆', '\\supseteq': '⊇',
+        '\\cup': '∪', '\\cap': '∩', '\\emptyset': '∅',
+        '\\forall': '∀', '\\exists': '∃', '\\neg': '¬',
+        '\\wedge': '∧', '\\vee': '∨', '\\Rightarrow': '⇒', '\\Leftrightarrow': '⇔',
+        '\\implies': '⟹', '\\iff': '⟺',
+        '\\rightarrow': '→', '\\to': '→', '\\leftarrow': '←', '\\leftrightarrow': '↔', '\\mapsto': '↦',
+        '\\langle': '⟨', '\\rangle': '⟩', '\\lfloor': '⌊', '\\rfloor': '⌋', '\\lceil': '⌈', '\\rceil': '⌉',
+        '\\|': '‖', '\\lVert': '‖', '\\rVert': '‖', '\\lvert': '|', '\\rvert': '|', '\\mid': '|',
+        '\\{': '{', '\\}': '}', '\\colon': ':',
+        '\\top': '⊤', '\\perp': '⊥', '\\dagger': '†', '\\ell': 'ℓ', '\\hbar': 'ℏ', '\\prime': '′',
+        '\\ldots': '...', '\\cdots': '⋯', '\\vdots': '⋮', '\\ddots': '⋱', '\\dots': '...',
+        '\\sqrt': '√', '\\exp': 'exp', '\\log': 'log', '\\ln': 'ln',
+        '\\sin': 'sin', '\\cos': 'cos', '\\tan': 'tan', '\\tanh': 'tanh', '\\sinh': 'sinh', '\\cosh': 'cosh',
+        '\\lim': 'lim', '\\max': 'max', '\\min': 'min', '\\arg': 'arg',
+        '\\sup': 'sup', '\\inf': 'inf', '\\det': 'det', '\\dim': 'dim', '\\ker': 'ker', '\\Pr': 'Pr'
+    },
+
+    relations: new Set([
+        '=', '<', '>', '\\leq', '\\le', '\\geq', '\\ge', '\\neq', '\\ne', '\\approx', '\\sim', '\\simeq',
+        '\\equiv', '\\propto', '\\ll', '\\gg', '\\triangleq', '\\coloneqq', '\\in', '\\notin',
+        '\\subset', '\\supset', '\\subseteq', '\\supseteq', '\\to', '\\rightarrow', '\\leftarrow',
+        '\\leftrightarrow', '\\mapsto', '\\Rightarrow', '\\Leftrightarrow', '\\implies', '\\iff'
+    ]),
+
+    binaryOperators: new Set([
+        '+', '-', '\\pm', '\\mp', '\\times', '\\cdot', '\\div', '\\cup', '\\cap',
+        '\\otimes', '\\oplus', '\\odot', '\\circ', '\\setminus', '\\wedge', '\\vee'
+    ]),
+
+    bigOperators: new Set(['sum', 'prod', 'coprod', 'int', 'iint', 'iiint', 'oint', 'bigcup', 'bigcap']),
+
+    greekLetters: new Set([
+        'alpha', 'beta', 'gamma', 'delta', 'epsilon', 'zeta', 'eta', 'theta', 'iota', 'kappa',
+        'lambda', 'mu', 'nu', 'xi', 'pi', 'rho', 'sigma', 'tau', 'upsilon', 'phi', 'chi', 'psi',
+        'omega', 'varepsilon', 'vartheta', 'varphi', 'varrho', 'varsigma', 'ell',
+        'Gamma', 'Delta', 'Theta', 'Lambda', 'Xi', 'Pi', 'Sigma', 'Phi', 'Psi', 'Omega', 'Upsilon'
+    ]),
+
+    // Named functions, whether written as \log, \operatorname{softmax} or plain letters
+    functionNames: {
+        exp: 'exponential', log: 'logarithm', ln: 'logarithm',
+        softmax: 'softmax', sigmoid: 'sigmoid', relu: 'relu', ReLU: 'relu',
+        tanh: 'tanh', sin: 'trigonometric', cos: 'trigonometric', tan: 'trigonometric'
+    },
+
+    fractionCommands: new Set(['frac', 'dfrac', 'tfrac', 'cfrac', 'binom', 'dbinom', 'tbinom']),
+
+    fontCommands: new Set([
+        'mathbf', 'mathbb', 'mathcal', 'mathfrak', 'mathscr', 'mathsf', 'mathit', 'mathrm',
+        'mathtt', 'boldsymbol', 'bm', 'pmb', 'bold'
+    ]),
+
+    textCommands: new Set(['text', 'textrm', 'textit', 'textbf', 'textsf', 'texttt', 'mbox', 'hbox', 'operatorname']),
+
+    accentMarks: {
+        hat: '̂', widehat: '̂', tilde: '̃', widetilde: '̃',
+        bar: '̄', overline: '̅', vec: '⃗', dot: '̇', ddot: '̈',
+        underline: '̲', check: '̌', breve: '̆'
+    },
+
+    // Commands with no mathematical content; the value is how many arguments to drop
+    ignoredCommands: {
+        ',': 0, ';': 0, ':': 0, '!': 0, ' ': 0, quad: 0, qquad: 0, enspace: 0, thinspace: 0,
+        displaystyle: 0, textstyle: 0, scriptstyle: 0, scriptscriptstyle: 0,
+        limits: 0, nolimits: 0, nonumber: 0, notag: 0, left: 0, right: 0,
+        big: 0, Big: 0, bigg: 0, Bigg: 0, bigl: 0, bigr: 0, Bigl: 0, Bigr: 0,
+        biggl: 0, biggr: 0, Biggl: 0, Biggr: 0, middle: 0,
+        hline: 0, cline: 1,
+        label: 1, tag: 1, hspace: 1, vspace: 1, phantom: 1, hphantom: 1, vphantom: 1
+    },
+
+    doubleStruck: { R: 'ℝ', N: 'ℕ', Z: 'ℤ', Q: 'ℚ', C: 'ℂ', E: '𝔼', P: 'ℙ', I: '𝕀' },
+    calligraphic: { L: 'ℒ', N: '𝒩', O: '𝒪', D: '𝒟', H: 'ℋ', F: 'ℱ', X: '𝒳', Y: '𝒴', M: 'ℳ', B: 'ℬ', E: 'ℰ', P: '𝒫', S: '𝒮', T: '𝒯', A: '𝒜', G: '𝒢', R: 'ℛ', U: '𝒰', V: '𝒱', W: '𝒲', Z: '𝒵' },
+
+    matrixEnvironments: new Set(['matrix', 'pmatrix', 'bmatrix', 'Bmatrix', 'vmatrix', 'Vmatrix', 'smallmatrix', 'array']),
+
+    // MathML operator characters that map to a LaTeX command, beyond the reverse of symbolMap
+    mathmlOperators: {
+        '∑': 'sum', '∏': 'prod', '∐': 'coprod', '∫': 'int', '∬': 'iint', '∭': 'iiint', '∮': 'oint',
+        '⋃': 'bigcup', '⋂': 'bigcap', '∗': 'ast', '⋅': 'cdot', '∣': 'mid', '∥': '|', '′': 'prime'
+    },
+
+    // Characters MathML puts over a base for \hat, \bar and friends
+    mathmlAccents: {
+        '^': 'hat', 'ˆ': 'hat', '~': 'tilde', '˜': 'tilde', '¯': 'bar', '‾': 'overline',
+        '→': 'vec', '⃗': 'vec', '˙': 'dot', '¨': 'ddot', 'ˇ': 'check', '˘': 'breve', '_': 'underline'
+    },
+
+    mathmlFonts: {
+        'double-struck': 'mathbb', script: 'mathcal', fraktur: 'mathfrak', bold: 'mathbf',
+        'bold-italic': 'boldsymbol', 'sans-serif': 'mathsf', monospace: 'mathtt'
+    },
+
+    /**
+     * Parse LaTeX string to extract components
+     */
+    parse(latex) {
+        const cleaned = this.clean(latex);
+        const ast = this.buildAST(cleaned);
+
+        return this.analyze(ast, { original: latex, cleaned });
+    },
+
+    /**
+     * Compute readable text, variables, operators, functions and structure
+     * from an AST. Shared by parse() and parseMathML().
+     */
+    analyze(ast, fields = {}) {
+        this.walk(ast, (node) => {
+            if (node.type === 'group') this.markFunctionWords(node.body);
+            return true;
+        });
+
+        const operators = this.extractOperators(ast);
+        const functions = this.extractFunctions(ast);
+
+        return {
+            ...fields,
+            ast,
+            readable: this.toReadable(ast),
+            variables: this.extractVariables(ast),
+            operators,
+            functions,
+            structure: this.analyzeStructure(ast, operators, functions)
+        };
+    },
+
+    /**
+     * Strip math delimiters and normalize whitespace
+     */
+    clean(latex) {
+        return String(latex ?? '')
+            .trim()
+            .replace(/^\$\$?|\$\$?$/g, '')                    // Inline/display dollar delimiters
+            .replace(/^\\\[|\\\]$|^\\\(|\\\)$/g, '')           // \[ \] and \( \) delimiters
+            .replace(/\s+/g, ' ')
+            .trim();
+    },
+
+    /**
+     * Split LaTeX into command, character, brace, script and space tokens
+     */
+    tokenize(latex) {
+        const tokens = [];
+        let i = 0;
+
+        while (i < latex.length) {
+            const char = latex[i];
+
+            if (char === '\\') {
+                const word = latex.slice(i + 1).match(/^[a-zA-Z]+/);
+                if (word) {
+                    tokens.push({ type: 'command', value: word[0] });
+                    i += word[0].length + 1;
+                } else {
+                    // Control symbols such as \{ \, \| and \\ (line break)
+                    const symbol = latex[i + 1] ?? '';
+                    tokens.push(symbol === '\\' ? { type: 'newline' } : { type: 'command', value: symbol });
+                    i += 2;
+                }
+            } else if (/\s/.test(char)) {
+                tokens.push({ type: 'space' });
+                while (i < latex.length && /\s/.test(latex[i])) i++;
+            } else if (char === '%') {
+                // Comment to end of line
+                while (i < latex.length && latex[i] !== '\n') i++;
+            } else {
+                const types = { '{': 'lbrace', '}': 'rbrace', '^': 'sup', '_': 'sub', '&': 'align' };
+                tokens.push({ type: types[char] || 'char', value: char });
+                i++;
+            }
+        }
+
+        return tokens;
+    },
+
+    /**
+     * Parse LaTeX into a group node. Never throws: unbalanced braces and
+     * unknown commands are kept as best-effort nodes.
+     */
+    buildAST(latex) {
+        const parser = new LaTeXTreeParser(this.tokenize(latex), this);
+        return parser.parseRoot();
+    },
+
+    /**
+     * Convert an AST (or LaTeX string) to readable text
+     */
+    toReadable(node) {
+        if (typeof node === 'string') {
+            node = this.buildAST(this.clean(node));
+        }
+        return this.readable(node).replace(/\s+/g, ' ').replace(/\(\s+/g, '(').replace(/\s+\)/g, ')').trim();
+    },
+
+    readable(node) {
+        if (!node) return '';
+
+        switch (node.type) {
+            case 'group':
+                return node.body.map((child, i) => {
+                    const text = this.readable(child);
+                    if (this.isSpaced(child)) return ` ${text} `;
+                    // Named and big operators such as log, max and sums are followed by a space
+                    const next = node.body[i + 1];
+                    return this.isOperatorCommand(child) && next && !this.isNameScript(next) ? `${text} ` : text;
+                }).join('');
+
+            case 'symbol':
+                return node.value;
+
+            case 'command':
+                return this.symbolMap[`\\${node.name}`] ?? node.name;
+
+            case 'supsub': {
+                let text = this.readable(node.base);
+                if (node.sub) text += `_${this.wrap(node.sub)}`;
+                if (node.sup) text += this.isPrime(node.sup) ? this.readable(node.sup) : `^${this.wrap(node.sup)}`;
+                return text;
+            }
+
+            case 'frac': {
+                const numer = this.readable(node.numer).trim();
+                const denom = this.readable(node.denom).trim();
+                if (node.name.endsWith('binom')) return `C(${numer}, ${denom})`;
+                return `${this.wrap(node.numer, numer)}/${this.wrap(node.denom, denom)}`;
+            }
+
+            case 'sqrt':
+                return `${node.index ? this.readable(node.index) : ''}√(${this.readable(node.body).trim()})`;
+
+            case 'font':
+                return this.readableFont(node);
+
+            case 'accent': {
+                const body = this.readable(node.body).trim();
+                const mark = this.accentMarks[node.name];
+                return [...body].length === 1 && mark ? body + mark : `${node.name}(${body})`;
+            }
+
+            case 'text':
+                return node.value;
+
+            case 'leftright':
+                return `${this.delimiter(node.left)}${this.readable(node.body).trim()}${this.delimiter(node.right)}`;
+
+            case 'environment':
+                return this.readableEnvironment(node);
+
+            default:
+                return '';
+        }
+    },
+
+    readableFont(node) {
+        const body = this.readable(node.body).trim();
+        if (node.name === 'mathbb' && this.doubleStruck[body]) return this.doubleStruck[body];
+        if ((node.name === 'mathcal' || node.name === 'mathscr') && this.calligraphic[body]) return this.calligraphic[body];
+        return body;
+    },
+
+    readableEnvironment(node) {
+        const rows = node.rows.map(row => row.map(cell => this.readable(cell).trim()));
+
+        if (this.matrixEnvironments.has(node.name)) {
+            return `[${rows.map(row => row.join(', ')).join('; ')}]`;
+        }
+        if (node.name === 'cases' || node.name === 'dcases') {
+            return `{ ${rows.map(([value, condition]) => condition ? `${value} if ${condition.replace(/^(if|for)\s+/i, '')}` : value).join('; ')} }`;
+        }
+        // align, aligned, gather, split, equation...: cells are pieces of one line
+        return rows.map(row => row.join(' ')).join('; ');
+    },
+
+    delimiter(value) {
+        if (!value || value === '.') return '';
+        return this.symbolMap[value] ?? value.replace(/^\\/, '');
+    },
+
+    /**
+     * Parenthesize multi-character script and fraction parts
+     */
+    wrap(node, text = this.readable(node).trim()) {
+        return /^[\p{L}\p{N}]*$/u.test(text) || [...text].length === 1 ? text : `(${text})`;
+    },
+
+    isPrime(node) {
+        const items = node.type === 'group' ? node.body : [node];
+        return items.length > 0 && items.every(item => item.type === 'symbol' && item.value === "'" ||
+            item.type === 'command' && item.name === 'prime');
+    },
+
+    isOperatorCommand(node) {
+        const base = node.type === 'supsub' ? node.base : node;
+        return base?.type === 'command' && (this.bigOperators.has(base.name) ||
+            /^[a-zA-Z]{2,}$/.test(this.symbolMap[`\\${base.name}`] ?? ''));
+    },
+
+    isSpaced(node) {
+        const key = node.type === 'command' ? `\\${node.name}` : node.value;
+        return (node.type === 'symbol' || node.type === 'command') &&
+            (this.relations.has(key) || this.binaryOperators.has(key));
+    },
+
+    /**
+     * Visit every node depth-first. The callback gets (node, parent, key) and
+     * may return false to skip the node's children.
+     */
+    walk(node, callback, parent = null, key = null) {
+        if (!node || callback(node, parent, key) === false) return;
+
+        switch (node.type) {
+            case 'group':
+                node.body.forEach(child => this.walk(child, callback, node, 'body'));
+                break;
+            case 'supsub':
+                this.walk(node.base, callback, node, 'base');
+                this.walk(node.sub, callback, node, 'sub');
+                this.walk(node.sup, callback, node, 'sup');
+                break;
+            case 'frac':
+                this.walk(node.numer, callback, node, 'numer');
+                this.walk(node.denom, callback, node, 'denom');
+                break;
+            case 'sqrt':
+                this.walk(node.index, callback, node, 'index');
+                this.walk(node.body, callback, node, 'body');
+                break;
+            case 'font':
+            case 'accent':
+            case 'leftright':
+                this.walk(node.body, callback, node, 'body');
+                break;
+            case 'environment':
+                node.rows.forEach(row => row.forEach(cell => this.walk(cell, callback, node, 'cell')));
+                break;
+        }
+    },
+
+    /**
+     * Serialize a node back to LaTeX; used as the identity of variables
+     */
+    toLatex(node) {
+        if (!node) return '';
+
+        switch (node.type) {
+            case 'group':
+                // Keep a space after a command word or unbraced script before a letter (\alpha x, x^n y)
+                return node.body.map(child => this.toLatex(child))
+                    .reduce((latex, part) => latex + (/(\\[a-zA-Z]+|[\^_][a-zA-Z0-9])$/.test(latex) && /^[a-zA-Z0-9]/.test(part) ? ' ' : '') + part, '');
+            case 'symbol': return node.value;
+            case 'command': return `\\${node.name}`;
+            case 'supsub':
+                return this.toLatex(node.base) +
+                    (node.sub ? `_${this.braced(node.sub)}` : '') +
+                    (node.sup ? `^${this.braced(node.sup)}` : '');
+            case 'frac': return `\\${node.name}${this.braced(node.numer, true)}${this.braced(node.denom, true)}`;
+            case 'sqrt': return `\\sqrt${node.index ? `[${this.toLatex(node.index)}]` : ''}${this.braced(node.body, true)}`;
+            case 'font':
+            case 'accent': return `\\${node.name}${this.braced(node.body, true)}`;
+            case 'text': return `\\text{${node.value}}`;
+            case 'leftright': return `\\left${node.left} ${this.toLatex(node.body)}\\right${node.right}`;
+            case 'environment':
+                return `\\begin{${node.name}}${node.rows.map(row => row.map(cell => this.toLatex(cell)).join(' & ')).join(' \\\\ ')}\\end{${node.name}}`;
+            default: return '';
+        }
+    },
+
+    braced(node, always = false) {
+        const latex = this.toLatex(node).trim();
+        return !always && latex.length === 1 ? latex : `{${latex}}`;
+    },
+
+    /**
+     * Variables with their subscripts (W_q, h_{t-1}), Greek letters, bold and
+     * accented symbols, deduplicated by their LaTeX. Letters that spell a
+     * function name, differentials (the d in dx) and e in e^{x} are skipped.
+     */
+    extractVariables(ast) {
+        const variables = new Map();
+        const add = (node, type) => {
+            const latex = this.toLatex(node).trim();
+            if (!variables.has(latex)) {
+                variables.set(latex, { symbol: this.toReadable(node), latex, type });
+            }
+        };
+
+        const visit = (node) => {
+            if (node.type === 'supsub' && node.base && this.variableType(node.base)) {
+                const named = this.isNameScript(node.sup);
+
+                // e^{...} is the exponential function rather than a variable
+                if (!(node.base.type === 'symbol' && node.base.value === 'e' && !node.sub)) {
+                    // The subscript is part of the name; powers and transposes are not
+                    add(node.sub || named ? { ...node, sup: named ? node.sup : null } : node.base, this.variableType(node.base));
+                }
+                if (node.sup && !named && !this.isTranspose(node.sup)) {
+                    this.walk(node.sup, visit);
+                }
+                return false;
+            }
+
+            const type = this.variableType(node);
+            // Blackboard and upright letters (\mathbb{E}, \mathrm{d}) are operators or constants
+            if (!type) return node.type !== 'font';
+            add(node, type);
+            return false;
+        };
+
+        this.walk(ast, visit);
+        return Array.from(variables.values());
+    },
+
+    variableType(node) {
+        switch (node.type) {
+            case 'symbol':
+                return node.kind === 'letter' && !node.isFunctionWord && !node.isDifferential ? 'latin' : null;
+            case 'command':
+                return this.greekLetters.has(node.name) ? 'greek' : null;
+            case 'font':
+                if (node.name === 'mathbb' || node.name === 'mathrm') return null;
+                if (node.name === 'mathcal' || node.name === 'mathscr') return 'calligraphic';
+                return this.variableType(this.unwrap(node.body)) ? 'bold' : null;
+            case 'accent':
+                return this.variableType(this.unwrap(node.body)) ? 'accented' : null;
+            default:
+                return null;
+        }
+    },
+
+    unwrap(node) {
+        return node?.type === 'group' && node.body.length === 1 ? node.body[0] : node;
+    },
+
+    isTranspose(node) {
+        const item = this.unwrap(node);
+        return (item?.type === 'symbol' && item.value === 'T') ||
+            (item?.type === 'command' && ['top', 'intercal', 'dagger', 'ast'].includes(item.name));
+    },
+
+    // Superscripts such as (l) or (t) label a variable rather than raise it to a power
+    isNameScript(node) {
+        const first = node?.type === 'group' ? node.body[0] : node;
+        return first?.type === 'leftright' || (first?.type === 'symbol' && first.value === '(');
+    },
+
+    /**
+     * Flag runs of letters that spell a known function (softmax, exp) and the
+     * d of differentials so they aren't reported as variables
+     */
+    markFunctionWords(nodes) {
+        const words = Object.keys(this.functionNames).concat(['max', 'min', 'arg', 'argmax', 'argmin', 'loss', 'diag', 'tr', 'det']);
+
+        for (let i = 0; i < nodes.length; i++) {
+            if (nodes[i].type !== 'symbol' || nodes[i].kind !== 'letter') continue;
+
+            let j = i;
+            while (j < nodes.length && nodes[j].type === 'symbol' && nodes[j].kind === 'letter') j++;
+            const word = nodes.slice(i, j).map(node => node.value).join('');
+
+            const match = words.find(name => word.toLowerCase() === name.toLowerCase());
+            if (match) {
+                nodes.slice(i, j).forEach(node => { node.isFunctionWord = true; });
+                nodes[i].word = word;
+            } else if (word === 'd' && this.isDifferentialTarget(nodes[j])) {
+                nodes[i].isDifferential = true;
+            } else if (word.length === 2 && word[0] === 'd' && this.isIntegralContext(nodes, i)) {
+                nodes[i].isDifferential = true;
+            }
+            i = j - 1;
+        }
+    },
+
+    isDifferentialTarget(node) {
+        return node?.type === 'command' && this.greekLetters.has(node.name);
+    },
+
+    // "dx" right after an integral or as the tail of \frac{d}{dx}
+    isIntegralContext(nodes, index) {
+        return index === nodes.length - 2 ||
+            nodes.slice(0, index).some(node => this.baseName(node) === 'int');
+    },
+
+    baseName(node) {
+        const base = node?.type === 'supsub' ? node.base : node;
+        return base?.type === 'command' ? base.name : null;
+    },
+
+    /**
+     * Extract operators from the AST
+     */
+    extractOperators(ast) {
+        const found = new Set();
+
+        this.walk(ast, (node) => {
+            const name = node.type === 'command' ? node.name : null;
+            const word = this.nodeWord(node);
+            const isNamed = node.type === 'text' || (node.type === 'font' && ['mathbb', 'mathrm', 'mathsf'].includes(node.name));
+
+            if (name === 'sum') found.add('sum');
+            if (name === 'prod') found.add('product');
+            if (['int', 'iint', 'iiint', 'oint'].includes(name)) found.add('integral');
+            if (name === 'lim') found.add('limit');
+            if (name === 'nabla') found.add('gradient');
+            if (name === 'partial') found.add('partial_derivative');
+            if (name === 'Pr' || (isNamed && word === 'P')) found.add('probability');
+            if (name === 'E' || (isNamed && word === 'E')) found.add('expectation');
+            if (name === 'argmax' || /^arg\s*max$/i.test(word)) found.add('argmax');
+            if (name === 'argmin' || /^arg\s*min$/i.test(word)) found.add('argmin');
+
+            // \arg\max written as two commands
+            if (node.type === 'group') {
+                node.body.forEach((child, i) => {
+                    const next = this.baseName(node.body[i + 1]);
+                    if (child.type === 'command' && child.name === 'arg' && (next === 'max' || next === 'min')) {
+                        found.add(`arg${next}`);
+                    }
+                });
+            }
+            return true;
+        });
+
+        return Array.from(found);
+    },
+
+    /**
+     * Extract function names from the AST
+     */
+    extractFunctions(ast) {
+        const found = new Set();
+        const normDelimiters = ['\\|', '\\lVert', '\\Vert'];
+
+        this.walk(ast, (node) => {
+            const name = node.type === 'command' ? node.name : this.nodeWord(node) || node.word;
+            const fn = name && (this.functionNames[name] || this.functionNames[name.toLowerCase()]);
+            if (fn) found.add(fn);
+
+            if (/^loss$/i.test(name) || (node.type === 'text' && /loss/i.test(node.value))) found.add('loss');
+            if (node.type === 'font' && node.name === 'mathcal' && this.nodeWord(node) === 'L') found.add('loss');
+            if (node.type === 'supsub' && node.base?.type === 'symbol' && node.base.value === 'e' && node.sup && !node.sub) {
+                found.add('exponential');
+            }
+            if (node.type === 'leftright' && normDelimiters.includes(node.left)) found.add('norm');
+            if (node.type === 'command' && normDelimiters.includes(`\\${node.name}`)) found.add('norm');
+            return true;
+        });
+
+        return Array.from(found);
+    },
+
+    /**
+     * Text of a font, text or command node (e.g. \operatorname{softmax} -> "softmax")
+     */
+    nodeWord(node) {
+        if (!node) return null;
+        if (node.type === 'text') return node.value.replace(/\\,|\s+/g, ' ').trim();
+        if (node.type === 'font') return this.readable(node.body).replace(/\s+/g, '');
+        return null;
+    },
+
+    /**
+     * Analyze equation structure
+     */
+    analyzeStructure(ast, operators = this.extractOperators(ast), functions = this.extractFunctions(ast)) {
+        const keyOf = node => node.type === 'command' ? `\\${node.name}` : node.value;
+        const keys = (ast.type === 'group' ? ast.body : [ast]).map(keyOf);
+        let hasFraction = false;
+        let hasMatrix = false;
+
+        this.walk(ast, (node) => {
+            if (node.type === 'frac') hasFraction = true;
+            if (node.type === 'environment' && this.matrixEnvironments.has(node.name)) hasMatrix = true;
+            // Aligned environments carry their relations inside cells
+            if (node.type === 'environment' && !this.matrixEnvironments.has(node.name)) {
+                node.rows.forEach(row => row.forEach(cell => keys.push(...cell.body.map(keyOf))));
+            }
+            return true;
+        });
+
+        const inequalities = ['<', '>', '\\leq', '\\le', '\\geq', '\\ge', '\\ll', '\\gg'];
+        const colonEquals = keys.some((key, i) => key === ':' && keys[i + 1] === '=');
+        const structure = {
+            isEquation: keys.includes('='),
+            isInequality: keys.some(key => inequalities.includes(key)),
+            isDefinition: colonEquals || keys.some(key => ['\\triangleq', '\\coloneqq', '\\equiv'].includes(key)),
+            hasSummation: operators.includes('sum'),
+            hasIntegral: operators.includes('integral'),
+            hasFraction,
+            hasMatrix,
+            complexity: this.estimateComplexity(ast)
+        };
+
+        // Determine equation type
+        if (functions.includes('loss')) {
+            structure.type = 'loss_function';
+        } else if (operators.includes('gradient') || operators.includes('partial_derivative')) {
+            structure.type = 'gradient';
+        } else if (operators.includes('expectation') || operators.includes('probability')) {
+            structure.type = 'probability';
+        } else if (structure.hasMatrix) {
+            structure.type = 'matrix_operation';
+        } else if (structure.hasSummation) {
+            structure.type = 'summation';
+        } else {
+            structure.type = 'general';
+        }
+
+        return structure;
+    },
+
+    /**
+     * Estimate equation complexity (1-10) from the size of the tree, how
+     * deeply fractions, roots, scripts and delimiters nest, and how many
+     * big operators and fractions it uses
+     */
+    estimateComplexity(ast) {
+        let nodes = 0;
+        let operators = 0;
+        let matrix = false;
+
+        this.walk(ast, (node) => {
+            if (node.type !== 'group') nodes++;
+            if (node.type === 'frac') operators++;
+            if (node.type === 'command' && ['sum', 'prod', 'int', 'iint', 'oint', 'lim'].includes(node.name)) operators++;
+            if (node.type === 'environment' && this.matrixEnvironments.has(node.name)) matrix = true;
+            return true;
+        });
+
+        let score = 1;
+        score += Math.min(3, Math.floor(nodes / 15));
+        score += Math.min(2, this.countNesting(ast));
+        score += Math.min(2, operators);
+        if (matrix) score += 2;
+
+        return Math.min(10, score);
+    },
+
+    /**
+     * Depth of nested structures (fractions, roots, scripts, delimiters, environments)
+     */
+    countNesting(node) {
+        if (!node) return 0;
+
+        const children = [];
+        this.walk(node, (child) => {
+            if (child === node) return true;
+            children.push(child);
+            return false;
+        });
+
+        const nests = ['frac', 'sqrt', 'leftright', 'environment'].includes(node.type) ||
+            (node.type === 'supsub' && (node.sub || node.sup));
+        const deepest = Math.max(0, ...children.map(child => this.countNesting(child)));
+        return deepest + (nests ? 1 : 0);
+    },
+
+    /**
+     * Parse MathML (markup or a <math> element) into the same shape as parse().
+     * A TeX annotation, as KaTeX, MathJax and LaTeXML emit, is used when present.
+     */
+    parseMathML(mathml) {
+        const root = typeof mathml === 'string'
+            ? this.parseMarkup(mathml)
+            : mathml;
+        const original = typeof mathml === 'string' ? mathml : mathml?.outerHTML ?? '';
+        const text = (root?.textContent ?? '').trim();
+
+        const tex = root?.querySelector('annotation[encoding="application/x-tex"]')?.textContent;
+        if (tex?.trim()) {
+            return { ...this.parse(tex), original, text };
+        }
+
+        const ast = this.mathmlToAST(root);
+        return this.analyze(ast, { original, cleaned: this.toLatex(ast).trim(), text });
+    },
+
+    parseMarkup(markup) {
+        const body = new DOMParser().parseFromString(markup, 'text/html').body;
+        return body.querySelector('math') || body.firstElementChild;
+    },
+
+    /**
+     * Convert a MathML element to an AST node
+     */
+    mathmlToAST(element) {
+        if (!element) return { type: 'group', body: [] };
+
+        const children = Array.from(element.children);
+        const convert = child => this.mathmlToAST(child);
+        const group = nodes => ({ type: 'group', body: nodes.filter(Boolean) });
+        const arg = index => children[index] ? convert(children[index]) : null;
+
+        switch (element.localName) {
+            case 'mi':
+            case 'mn':
+            case 'mo':
+            case 'ms':
+                return this.mathmlToken(element);
+
+            case 'mtext':
+                return element.textContent.trim() ? { type: 'text', value: element.textContent.trim() } : null;
+
+            case 'semantics':
+                return arg(0) || group([]);
+
+            case 'msub':
+                return { type: 'supsub', base: arg(0), sub: arg(1), sup: null };
+            case 'msup':
+                return { type: 'supsub', base: arg(0), sub: null, sup: arg(1) };
+            case 'msubsup':
+                return { type: 'supsub', base: arg(0), sub: arg(1), sup: arg(2) };
+            case 'mmultiscripts':
+                return { type: 'supsub', base: arg(0), sub: arg(1), sup: arg(2) };
+
+            case 'munder':
+            case 'mover':
+            case 'munderover': {
+                const accent = this.mathmlAccent(element);
+                if (accent) return accent;
+                const under = element.localName === 'mover' ? null : arg(1);
+                const over = element.localName === 'munder' ? null : arg(element.localName === 'mover' ? 1 : 2);
+                return { type: 'supsub', base: arg(0), sub: under, sup: over };
+            }
+
+            case 'mfrac':
+                return {
+                    type: 'frac',
+                    name: /^0(\D|$)/.test(element.getAttribute('linethickness') ?? '') ? 'binom' : 'frac',
+                    numer: arg(0) || group([]),
+                    denom: arg(1) || group([])
+                };
+
+            case 'msqrt':
+                return { type: 'sqrt', index: null, body: group(children.map(convert)) };
+            case 'mroot':
+                return { type: 'sqrt', index: arg(1), body: arg(0) || group([]) };
+
+            case 'mfenced': {
+                const separator = (element.getAttribute('separators') ?? ',').trim().charAt(0);
+                const body = [];
+                children.forEach((child, i) => {
+                    if (i > 0 && separator) body.push({ type: 'symbol', value: separator, kind: 'punct' });
+                    body.push(convert(child));
+                });
+                return {
+                    type: 'leftright',
+                    left: this.mathmlDelimiter(element.getAttribute('open') ?? '('),
+                    right: this.mathmlDelimiter(element.getAttribute('close') ?? ')'),
+                    body: group(body)
+                };
+            }
+
+            case 'mtable': {
+                const rows = children
+                    .filter(row => row.localName === 'mtr' || row.localName === 'mlabeledtr')
+                    .map(row => Array.from(row.children)
+                        // The first cell of mlabeledtr is the equation number
+                        .slice(row.localName === 'mlabeledtr' ? 1 : 0)
+                        .map(cell => group([convert(cell)])));
+                // Cells starting with a relation are aligned equations, not a matrix
+                const aligned = rows.some(row => row.some(cell => this.startsWithRelation(cell)));
+                return { type: 'environment', name: aligned ? 'aligned' : 'matrix', rows };
+            }
+
+            case 'mspace':
+            case 'mphantom':
+            case 'annotation':
+            case 'annotation-xml':
+            case 'mprescripts':
+            case 'none':
+                return null;
+
+            default:
+                // math, mrow, mstyle, mpadded, menclose, merror, mtd and anything unknown
+                return group(children.map(convert));
+        }
+    },
+
+    /**
+     * Convert a token element (mi, mn, mo, ms) to a symbol, command, font or text node
+     */
+    mathmlToken(element) {
+        const value = element.textContent.trim()
+            .replace(/[\u2061-\u2064]/g, '')     // Invisible function application and times
+            .replace(/\u2212/g, '-');
+        if (!value) return null;
+
+        if (element.localName === 'mn') {
+            return { type: 'symbol', value, kind: 'number' };
+        }
+        if (element.localName === 'ms') {
+            return { type: 'text', value };
+        }
+
+        const command = this.mathmlOperators[value] || this.unicodeCommand(value);
+        if (command) {
+            return { type: 'command', name: command };
+        }
+
+        // Letters already styled in Unicode, e.g. ℝ or ℒ
+        for (const [font, letters] of [['mathbb', this.doubleStruck], ['mathcal', this.calligraphic]]) {
+            const letter = Object.keys(letters).find(key => letters[key] === value);
+            if (letter) {
+                return { type: 'font', name: font, body: { type: 'group', body: [{ type: 'symbol', value: letter, kind: 'letter' }] } };
+            }
+        }
+
+        if ([...value].length > 1) {
+            // Named operators (lim, max, log) or multi-letter identifiers
+            const name = value.replace(/\s+/g, '');
+            return this.symbolMap[`\\${name}`] ? { type: 'command', name } : { type: 'text', value };
+        }
+
+        const kind = /\p{L}/u.test(value) ? 'letter'
+            : /[0-9.]/.test(value) ? 'number'
+            : this.relations.has(value) ? 'relation'
+            : this.binaryOperators.has(value) ? 'binary'
+            : 'punct';
+        const symbol = { type: 'symbol', value, kind };
+
+        const font = this.mathmlFonts[element.getAttribute('mathvariant')];
+        if (font && element.localName === 'mi') {
+            return { type: 'font', name: font, body: { type: 'group', body: [symbol] } };
+        }
+        return symbol;
+    },
+
+    /**
+     * Look up the command for a non-ASCII character, e.g. α -> alpha, ≤ -> leq
+     */
+    unicodeCommand(char) {
+        if (!this.unicodeCommands) {
+            this.unicodeCommands = {};
+            Object.entries(this.symbolMap).forEach(([latex, symbol]) => {
+                if ([...symbol].length === 1 && /[^\x00-\x7f]/.test(symbol) && !this.unicodeCommands[symbol]) {
+                    this.unicodeCommands[symbol] = latex.slice(1);
+                }
+            });
+        }
+        return this.unicodeCommands[char] || null;
+    },
+
+    mathmlAccent(element) {
+        if (element.localName === 'munderover') return null;
+
+        const name = element.children[1] && this.mathmlAccents[element.children[1].textContent.trim()];
+        if (!name) return null;
+
+        return { type: 'accent', name, body: this.mathmlToAST(element.children[0]) || { type: 'group', body: [] } };
+    },
+
+    mathmlDelimiter(char) {
+        const command = this.unicodeCommand(char);
+        return command ? `\\${command}` : char;
+    },
+
+    startsWithRelation(cell) {
+        let first = cell;
+        while (first?.type === 'group') first = first.body[0];
+        return (first?.type === 'symbol' && first.kind === 'relation') ||
+            (first?.type === 'command' && this.relations.has(`\\${first.name}`));
+    }
+};
+
+/**
+ * Recursive-descent parser over LaTeXParser.tokenize() output
+ */
+class LaTeXTreeParser {
+    constructor(tokens, grammar) {
+        this.tokens = tokens;
+        this.grammar = grammar;
+        this.pos = 0;
+    }
+
+    parseRoot() {
+        const body = [];
+        while (this.pos < this.tokens.length) {
+            body.push(...this.parseList(['rbrace']));
+            // A stray closing brace; skip it and keep going
+            if (this.peek()?.type === 'rbrace') this.pos++;
+        }
+        return { type: 'group', body };
+    }
+
+    /**
+     * Parse nodes until one of the stop token types (or \right / \end)
+     */
+    parseList(stops) {
+        const body = [];
+
+        while (this.pos < this.tokens.length) {
+            const token = this.peek();
+            if (stops.includes(token.type)) break;
+            if (token.type === 'command' && (token.value === 'right' || token.value === 'end') && stops.includes(token.value)) break;
+
+            const node = this.parseScripted();
+            if (node) body.push(node);
+        }
+
+        return body;
+    }
+
+    /**
+     * An atom followed by any ^ and _ scripts (and primes)
+     */
+    parseScripted() {
+        const token = this.peek();
+        let base = null;
+
+        if (token.type !== 'sup' && token.type !== 'sub') {
+            base = this.parseAtom();
+            if (!base) return null;
+        }
+
+        let sub = null;
+        let sup = null;
+
+        while (this.pos < this.tokens.length) {
+            this.skipSpaces();
+            const next = this.peek();
+            if (!next) break;
+
+            if (next.type === 'sub' && !sub) {
+                this.pos++;
+                sub = this.parseArgument();
+            } else if (next.type === 'sup' && !sup) {
+                this.pos++;
+                sup = this.parseArgument();
+            } else if (next.type === 'char' && next.value === "'" && !sup) {
+                let primes = '';
+                while (this.peek()?.type === 'char' && this.peek().value === "'") {
+                    primes += "'";
+                    this.pos++;
+                }
+                sup = { type: 'symbol', value: primes, kind: 'punct' };
+            } else {
+                break;
+            }
+        }
+
+        if (!sub && !sup) return base;
+        return { type: 'supsub', base, sub, sup };
+    }
+
+    parseAtom() {
+        const token = this.next();
+
+        switch (token.type) {
+            case 'space':
+            case 'align':
+            case 'newline':
+                return null;
+
+            case 'lbrace': {
+                const body = this.parseList(['rbrace']);
+                if (this.peek()?.type === 'rbrace') this.pos++;
+                return { type: 'group', body };
+            }
+
+            case 'rbrace':
+                return null;
+
+            case 'sup':
+            case 'sub':
+                return null;
+
+            case 'command':
+                return this.parseCommand(token.value);
+
+            default:
+                return this.symbol(token.value);
+        }
+    }
+
+    symbol(value) {
+        const grammar = this.grammar;
+        let kind = 'punct';
+        if (/\p{L}/u.test(value)) kind = 'letter';
+        else if (/[0-9.]/.test(value)) kind = 'number';
+        else if (grammar.relations.has(value)) kind = 'relation';
+        else if (grammar.binaryOperators.has(value)) kind = 'binary';
+        return { type: 'symbol', value, kind };
+    }
+
+    parseCommand(name) {
+        const grammar = this.grammar;
+
+        if (grammar.fractionCommands.has(name)) {
+            return { type: 'frac', name, numer: this.parseArgument(), denom: this.parseArgument() };
+        }
+        if (name === 'sqrt') {
+            const index = this.parseOptional();
+            return { type: 'sqrt', index, body: this.parseArgument() };
+        }
+        if (name === 'left') {
+            return this.parseLeftRight();
+        }
+        if (name === 'begin') {
+            return this.parseEnvironment();
+        }
+        if (grammar.textCommands.has(name)) {
+            // \operatorname* is the limits form of \operatorname
+            if (this.peek()?.type === 'char' && this.peek().value === '*') this.pos++;
+            return { type: 'text', value: this.readRawArgument(), command: name };
+        }
+        if (grammar.fontCommands.has(name)) {
+            return { type: 'font', name, body: this.parseArgument() };
+        }
+        if (name in grammar.accentMarks) {
+            return { type: 'accent', name, body: this.parseArgument() };
+        }
+        if (name in grammar.ignoredCommands) {
+            for (let i = 0; i < grammar.ignoredCommands[name]; i++) this.parseArgument();
+            return null;
+        }
+        if (name === 'stackrel' || name === 'overset' || name === 'underset') {
+            // Keep the relation, drop the annotation above or below it
+            this.parseArgument();
+            return this.parseArgument();
+        }
+        if (name === 'mathop' || name === 'mathrel' || name === 'mathbin' || name === 'mathord') {
+            return this.parseArgument();
+        }
+
+        return { type: 'command', name };
+    }
+
+    /**
+     * A braced group or a single token (\frac12, x^2, \hat\theta)
+     */
+    parseArgument() {
+        this.skipSpaces();
+        const token = this.peek();
+        if (!token || ['rbrace', 'align', 'newline', 'sup', 'sub'].includes(token.type)) {
+            return { type: 'group', body: [] };
+        }
+
+        if (token.type === 'lbrace') {
+            return this.parseAtom();
+        }
+
+        this.pos++;
+        if (token.type === 'command') {
+            return this.parseCommand(token.value) || { type: 'group', body: [] };
+        }
+        return this.symbol(token.value);
+    }
+
+    parseOptional() {
+        this.skipSpaces();
+        if (this.peek()?.type !== 'char' || this.peek().value !== '[') return null;
+
+        this.pos++;
+        const body = [];
+        while (this.pos < this.tokens.length && !(this.peek().type === 'char' && this.peek().value === ']')) {
+            const node = this.parseScripted();
+            if (node) body.push(node);
+        }
+        this.pos++;
+        return { type: 'group', body };
+    }
+
+    parseLeftRight() {
+        const left = this.readDelimiter();
+        const body = { type: 'group', body: this.parseList(['right']) };
+        let right = '.';
+
+        if (this.peek()?.type === 'command' && this.peek().value === 'right') {
+            this.pos++;
+            right = this.readDelimiter();
+        }
+        return { type: 'leftright', left, right, body };
+    }
+
+    readDelimiter() {
+        this.skipSpaces();
+        const token = this.next();
+        if (!token) return '.';
+        if (token.type === 'command') return `\\${token.value}`;
+        return token.value ?? '.';
+    }
+
+    parseEnvironment() {
+        const name = this.readRawArgument();
+        const rows = [];
+        let cells = [];
+
+        // Column spec of array environments
+        if (name === 'array') this.readRawArgument();
+
+        while (this.pos < this.tokens.length) {
+            const cell = { type: 'group', body: this.parseList(['align', 'newline', 'end', 'rbrace']) };
+            const token = this.next();
+            cells.push(cell);
+
+            // Row spacing such as \\[2pt]
+            if (token?.type === 'newline' && this.peek()?.type === 'char' && this.peek().value === '[') {
+                while (this.pos < this.tokens.length && this.next().value !== ']');
+            }
+
+            if (!token || token.type === 'command' || token.type === 'newline' || token.type === 'rbrace') {
+                if (cells.some(item => item.body.length > 0)) rows.push(cells);
+                cells = [];
+            }
+            if (!token) break;
+            if (token.type === 'command') {
+                // \end{name}
+                this.readRawArgument();
+                break;
+            }
+        }
+
+        return { type: 'environment', name: name.replace(/\*$/, ''), rows };
+    }
+
+    /**
+     * The literal text of a braced argument, for \text{} and environment names
+     */
+    readRawArgument() {
+        this.skipSpaces();
+        const token = this.peek();
+        if (!token) return '';
+        if (token.type !== 'lbrace') {
+            this.pos++;
+            return token.value ?? '';
+        }
+
+        this.pos++;
+        let depth = 1;
+        let text = '';
+        while (this.pos < this.tokens.length) {
+            const next = this.next();
+            if (next.type === 'lbrace') depth++;
+            if (next.type === 'rbrace' && --depth === 0) break;
+
+            if (next.type === 'space') text += ' ';
+            else if (next.type === 'command') text += this.rawCommand(next.value);
+            else if (next.type !== 'lbrace' && next.type !== 'rbrace') text += next.value ?? '';
+        }
+        return text.replace(/\s+/g, ' ').trim();
+    }
+
+    rawCommand(name) {
+        if ([',', ';', ':', '!', ' ', 'quad', 'qquad'].includes(name)) return ' ';
+        return /^[a-zA-Z]/.test(name) ? `\\${name}` : name;
+    }
+
+    skipSpaces() {
+        while (this.peek()?.type === 'space') this.pos++;
+    }
+
+    peek() {
+        return this.tokens[this.pos];
+    }
+
+    next() {
+        return this.tokens[this.pos++];
+    }
+}
+
+// Export for use in content script
+if (typeof module !== 'undefined') {
+    module.exports = { LaTeXParser };
+}
@@ -0,0 +1,127 @@
+// AI Research Paper Helper - Paper Library
+// Collections and tags for papers in the reading history, and the Q&A scopes built from them
+
+import { createQueue } from './storage-queue.js';
+
+const LIBRARY_KEY = 'library';
+
+const enqueue = createQueue();
+
+/**
+ * The library is stored as:
+ *   {
+ *     collections: [{ id, name, createdAt }],
+ *     papers: { [paperKey]: { tags: [], collections: [id] } }
+ *   }
+ */
+async function getLibrary() {
+    const stored = await chrome.storage.local.get(LIBRARY_KEY);
+    return { collections: [], papers: {}, ...stored[LIBRARY_KEY] };
+}
+
+/**
+ * Add a collection; names must be non-empty and unique, ignoring case
+ */
+async function createCollection(name) {
+    const trimmed = typeof name === 'string' ? name.trim() : '';
+    if (!trimmed) {
+        throw new Error('Give the collection a name.');
+    }
+
+    return update(library => {
+        if (library.collections.some(collection => collection.name.toLowerCase() === trimmed.toLowerCase())) {
+            throw new Error(`There is already a collection named "${trimmed}".`);
+        }
+
+        const collection = {
+            id: `col-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+            name: trimmed,
+            createdAt: new Date().toISOString()
+        };
+        library.collections.push(collection);
+        return collection;
+    });
+}
+
+async function deleteCollection(id) {
+    return update(library => {
+        library.collections = library.collections.filter(collection => collection.id !== id);
+        Object.values(library.papers).forEach(entry => {
+            entry.collections = entry.collections.filter(existing => existing !== id);
+        });
+    });
+}
+
+/**
+ * Set a paper's tags and/or collections; fields left undefined are kept
+ */
+async function updatePaper(key, { tags, collections } = {}) {
+    return update(library => {
+        const entry = library.papers[key] || { tags: [], collections: [] };
+        if (tags) {
+            entry.tags = [...new Set(tags.map(tag => tag.trim().toLowerCase()).filter(Boolean))];
+        }
+        if (collections) {
+            const known = new Set(library.collections.map(collection => collection.id));
+            entry.collections = collections.filter(id => known.has(id));
+        }
+        library.papers[key] = entry;
+        return entry;
+    });
+}
+
+async function removePaperEntry(key) {
+    return update(library => {
+        delete library.papers[key];
+    });
+}
+
+// Forget every paper's tags and collections, keeping the collections themselves
+async function clearPapers() {
+    return update(library => {
+        library.papers = {};
+    });
+}
+
+/**
+ * History entries with their tags and collections
+ */
+function withLibrary(papers, library) {
+    return papers.map(paper => ({
+        ...paper,
+        tags: library.papers[paper.key]?.tags || [],
+        collections: library.papers[paper.key]?.collections || []
+    }));
+}
+
+/**
+ * History entries a Q&A scope covers: { type: 'paper' } is handled by the
+ * caller; 'collection' (with id) and 'all' read the library
+ */
+function papersInScope(papers, library, scope) {
+    if (scope?.type === 'collection') {
+        return papers.filter(paper => library.papers[paper.key]?.collections.includes(scope.id));
+    }
+    return scope?.type === 'all' ? papers : [];
+}
+
+async function update(change) {
+    return enqueue(async () => {
+        const library = await getLibrary();
+        const result = change(library);
+        await chrome.storage.local.set({ [LIBRARY_KEY]: library });
+        return result;
+    });
+}
+
+// Export for use in other modules
+export {
+    getLibrary,
+    createCollection,
+    deleteCollection,
+    updatePaper,
+    removePaperEntry,
+    clearPapers,
+    withLibrary,
+    papersInScope
+};
@@ -0,0 +1,103 @@
+// AI Research Paper Helper - Math Rendering
+// Renders LaTeX with the bundled KaTeX (lib/katex) for the sidebar, popups and extension pages
+
+const MathRender = {
+    stylesheet: 'lib/katex/katex.min.css',
+
+    /**
+     * KaTeX options: unknown macros render in red instead of throwing, and
+     * \href, \url and \htmlClass stay disabled so output is always safe markup
+     */
+    options: {
+        throwOnError: false,
+        strict: 'ignore',
+        trust: false,
+        maxExpand: 1000,
+        output: 'htmlAndMathml'
+    },
+
+    /**
+     * KaTeX fonts are resolved relative to its stylesheet, so link the CSS from
+     * the extension (manifest-injected CSS would resolve them against the page)
+     */
+    ensureStyles(doc = document) {
+        if (doc.getElementById('ai-helper-katex-css')) return;
+
+        const link = doc.createElement('link');
+        link.id = 'ai-helper-katex-css';
+        link.rel = 'stylesheet';
+        link.href = chrome.runtime.getURL(this.stylesheet);
+        (doc.head || doc.documentElement).appendChild(link);
+    },
+
+    /**
+     * Render LaTeX to markup usable in SafeHTML.html``. Falls back to the
+     * escaped source when KaTeX is missing or rejects the input.
+     */
+    toHTML(latex, { display = false } = {}) {
+        const source = String(latex ?? '').trim();
+        if (!source) return SafeHTML.trust('');
+
+        try {
+            this.ensureStyles();
+            return SafeHTML.trust(katex.renderToString(this.clean(source), { ...this.options, displayMode: display }));
+        } catch (error) {
+            return SafeHTML.html`<code class="math-source">${source}</code>`;
+        }
+    },
+
+    /**
+     * Render LaTeX into an element, replacing its contents
+     */
+    render(element, latex, options) {
+        element.innerHTML = this.toHTML(latex, options);
+    },
+
+    /**
+     * SafeHTML.markdown with $...$, $$...$$, \(...\) and \[...\] rendered as math
+     */
+    markdown(text) {
+        return this.withMath(text, source => SafeHTML.markdown(source));
+    },
+
+    /**
+     * SafeHTML.inline with inline math rendered, for single-line text
+     */
+    inline(text) {
+        return this.withMath(text, source => SafeHTML.inline(source));
+    },
+
+    /**
+     * Set math aside, format the rest, then put the rendered math back
+     */
+    withMath(text, format) {
+        const formulas = [];
+        const hold = (latex, display) => {
+            formulas.push(this.toHTML(latex, { display }).markup);
+            return `\u0001${formulas.length - 1}\u0001`;
+        };
+
+        const source = String(text ?? '')
+            .replace(/\u0001/g, '')
+            .replace(/\$\$([\s\S]+?)\$\$|\\\[([\s\S]+?)\\\]/g, (match, a, b) => hold(a ?? b, true))
+            .replace(/\\\(([\s\S]+?)\\\)/g, (match, latex) => hold(latex, false))
+            // Single dollars need a non-space just inside them so prices like "$5 and $10" stay text
+            .replace(/(^|[^\\$\w])\$(?!\s)([^$\n]+?)(?<!\s)\$(?![\w$])/g, (match, before, latex) => before + hold(latex, false));
+
+        const markup = format(source).markup
+            .replace(/\u0001(\d+)\u0001/g, (match, index) => formulas[index]);
+        return SafeHTML.trust(markup);
+    },
+
+    /**
+     * Drop the $ delimiters some sources keep around inline math
+     */
+    clean(latex) {
+        return latex.replace(/^\$+|\$+$/g, '').trim();
+    }
+};
+
+// Export for use in content script
+if (typeof module !== 'undefined') {
+    module.exports = { MathRender };
+}
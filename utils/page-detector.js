@@ -0,0 +1,100 @@
+// AI Research Paper Helper - Page Detector
+// Recognizes the pages the extractors handle, without loading them
+
+/**
+ * The detect() of each built-in extractor in utils/extractors.js, kept here
+ * so content-loader.js can tell on every page whether the content scripts
+ * are worth loading. Extractors delegate to these, so both agree.
+ */
+const PageDetector = {
+    // Same order as Extractors.order; the first match wins
+    order: ['pdf', 'arxiv', 'medium', 'blog', 'article'],
+
+    /**
+     * Name of the first extractor that would handle the page, or null
+     */
+    detect(url, doc) {
+        return this.order.find(name => this[name](url, doc)) || null;
+    },
+
+    // PDFs rendered by viewer/, which exposes their text
+    pdf(url, doc) {
+        return Boolean(doc.defaultView?.pdfDocumentText);
+    },
+
+    arxiv(url, doc) {
+        const hostname = this.hostname(url);
+        if (hostname.includes('ar5iv.labs.arxiv.org') || hostname.includes('ar5iv.org')) {
+            return true;
+        }
+        return hostname.includes('arxiv.org') && /^\/(abs|html)\//.test(new URL(url).pathname);
+    },
+
+    mediumHostnames: [
+        'medium.com',
+        'towardsdatascience.com',
+        'levelup.gitconnected.com',
+        'betterprogramming.pub',
+        'javascript.plainenglish.io',
+        'blog.devgenius.io',
+        'ai.gopubby.com',
+        'pub.towardsai.net'
+    ],
+
+    medium(url, doc) {
+        const hostname = this.hostname(url);
+        if (this.mediumHostnames.some(name => hostname.includes(name))) {
+            return true;
+        }
+
+        // This catches ALL Medium publications including medium.com/publication-name
+        return doc.querySelector('meta[property="og:site_name"][content="Medium"]') !== null ||
+            doc.querySelector('meta[property="al:android:package"][content="com.medium.reader"]') !== null ||
+            doc.querySelector('script[src*="medium.com"]') !== null ||
+            doc.querySelector('link[href*="medium.com"]') !== null;
+    },
+
+    blog(url, doc) {
+        // Heuristics for blog detection
+        const hasArticle = doc.querySelector('article') !== null;
+        const hasLongContent = doc.body.innerText.length > 3000;
+        const hasHeadings = doc.querySelectorAll('h1, h2, h3').length >= 2;
+
+        // Also check for common blog indicators
+        const hasBlogMeta = doc.querySelector('meta[property="og:type"][content*="article"]') !== null;
+        const hasPost = doc.querySelector('.post, .post-content, .entry-content, .article-content') !== null;
+
+        return (hasArticle && hasLongContent && hasHeadings) || (hasBlogMeta && hasLongContent) || hasPost;
+    },
+
+    article(url, doc) {
+        // Check if page has enough text content to be worth analyzing
+        const bodyText = doc.body?.innerText || '';
+        if (bodyText.length < 1000) return false;
+
+        // Check for common content indicators
+        const hasMainContent = doc.querySelector('main, article, [role="main"], .content, .post, .entry, #content') !== null;
+        const hasParagraphs = doc.querySelectorAll('p').length >= 3;
+        const hasHeadings = doc.querySelectorAll('h1, h2, h3').length >= 1;
+
+        // If it has structured content, it's readable
+        if (hasMainContent && hasParagraphs) return true;
+        if (hasParagraphs && hasHeadings) return true;
+
+        // Even without structure, if there's a lot of text, consider it readable
+        return bodyText.length > 3000;
+    },
+
+    hostname(url) {
+        try {
+            return new URL(url).hostname;
+        } catch (error) {
+            return '';
+        }
+    }
+};
+
+// Export for use in content script
+if (typeof module !== 'undefined') {
+    module.exports = { PageDetector };
+}
@@ -0,0 +1,56 @@
+// AI Research Paper Helper - Paper Identity
+// Normalizes papers to stable keys shared by the cache and other stores
+
+// Query parameters that never change which paper a URL points to
+const TRACKING_PARAMS = /^(utm_\w+|fbclid|gclid|mc_cid|mc_eid|ref|source)$/i;
+
+// New-style (2401.12345v2) and old-style (hep-th/9901001v1) arXiv IDs in abs/pdf/html URLs
+const ARXIV_URL_PATTERN = /arxiv\.org\/(?:abs|pdf|html)\/(\d{4}\.\d{4,5}|[a-z-]+(?:\.[A-Z]{2})?\/\d{7})(?:v\d+)?/;
+
+/**
+ * Stable key for a paper: the arXiv ID without its version when known,
+ * otherwise the normalized canonical URL.
+ */
+function paperKey(paper) {
+    const arxivId = paper?.metadata?.arxivId || paper?.url?.match(ARXIV_URL_PATTERN)?.[1];
+    if (arxivId) {
+        return `arxiv:${arxivId.replace(/v\d+$/, '')}`;
+    }
+    return `url:${normalizeUrl(paper?.canonicalUrl || paper?.url)}`;
+}
+
+/**
+ * Strip fragments, tracking parameters, "www." and trailing slashes
+ */
+function normalizeUrl(url) {
+    try {
+        const parsed = new URL(url);
+        parsed.hash = '';
+        parsed.hostname = parsed.hostname.replace(/^www\./, '');
+
+        for (const name of [...parsed.searchParams.keys()]) {
+            if (TRACKING_PARAMS.test(name)) {
+                parsed.searchParams.delete(name);
+            }
+        }
+        parsed.searchParams.sort();
+
+        return `${parsed.origin}${parsed.pathname.replace(/\/+$/, '')}${parsed.search}`;
+    } catch (error) {
+        return url || '';
+    }
+}
+
+/**
+ * Short SHA-256 hex digest used to detect changed content
+ */
+async function hashContent(text) {
+    const bytes = new TextEncoder().encode(text || '');
+    const digest = await crypto.subtle.digest('SHA-256', bytes);
+    return Array.from(new Uint8Array(digest).slice(0, 16))
+        .map(byte => byte.toString(16).padStart(2, '0'))
+        .join('');
+}
+
+// Export for use in other modules
+export { paperKey, normalizeUrl, hashContent };
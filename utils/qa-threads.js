@@ -0,0 +1,40 @@
+// AI Research Paper Helper - Q&A Threads
+// Stores each paper's Q&A conversation per paper key in chrome.storage.local
+
+import { createQueue } from './storage-queue.js';
+
+const THREAD_PREFIX = 'qa:';
+
+// Turns kept per paper for the sidebar's conversation and exports
+const MAX_TURNS = 50;
+
+const enqueue = createQueue();
+
+/**
+ * A paper's conversation, oldest turn first:
+ * [{ question, answer, sources, scope?, askedAt }]
+ */
+async function getThread(key) {
+    const storageKey = THREAD_PREFIX + key;
+    const stored = await chrome.storage.local.get(storageKey);
+    return stored[storageKey] || [];
+}
+
+/**
+ * Append a turn and return the thread. With replaceFrom, the turns from
+ * that index on are dropped first (an edited or re-asked question).
+ */
+async function addTurn(key, turn, replaceFrom) {
+    return enqueue(async () => {
+        const thread = [...(await getThread(key)).slice(0, replaceFrom), turn].slice(-MAX_TURNS);
+        await chrome.storage.local.set({ [THREAD_PREFIX + key]: thread });
+        return thread;
+    });
+}
+
+async function clearThread(key) {
+    return enqueue(() => chrome.storage.local.remove(THREAD_PREFIX + key));
+}
+
+// Export for use in other modules
+export { getThread, addTurn, clearThread };
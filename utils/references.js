@@ -0,0 +1,273 @@
+// AI Research Paper Helper - Reference List Parser
+// Extracts structured bibliography entries from LaTeXML, journal HTML and plain "References" sections
+
+/**
+ * Every entry has the same shape:
+ *   { id, label, text, authors: [], title, venue, year, doi, arxivId, url }
+ * id is the entry's element id when it is on the page, label is what
+ * inline citations use ("12" for [12]).
+ */
+const References = {
+    // Reference lists on journal and blog pages
+    listSelectors: [
+        '.c-article-references__item',          // Springer Nature
+        '.ref-list li, .ref-list .ref',         // PMC, JATS
+        'li.bib-reference, .references .bibliography__item',
+        '#references li, .references li, ol.references > li',
+        '.bibliography li, #bibliography li',
+        'li[id^="ref-"], li[id^="CR"], li[id^="bib"]'
+    ],
+
+    headingPattern: /^\s*(?:\d+\.?\s*)?(references|bibliography|works cited|literature cited)\s*$/i,
+
+    /**
+     * Find the reference list in a document, falling back to a section
+     * titled "References" in the extracted text (PDFs)
+     */
+    extract(doc, sections = []) {
+        const latexml = doc.querySelectorAll('.ltx_bibliography .ltx_bibitem');
+        if (latexml.length > 0) {
+            return Array.from(latexml, (item, index) => this.fromLatexml(item, index));
+        }
+
+        for (const selector of this.listSelectors) {
+            const items = doc.querySelectorAll(selector);
+            if (items.length > 0) {
+                return Array.from(items, (item, index) => this.fromElement(item, index));
+            }
+        }
+
+        const heading = Array.from(doc.querySelectorAll('h1, h2, h3, h4'))
+            .find(h => this.headingPattern.test(h.textContent));
+        const list = heading && this.followingList(heading);
+        if (list) {
+            return Array.from(list.children, (item, index) => this.fromElement(item, index));
+        }
+
+        const section = sections.find(s => this.headingPattern.test(s.title));
+        return section ? this.fromText(section.content) : [];
+    },
+
+    /**
+     * LaTeXML splits an entry into blocks: authors, title, then venue
+     */
+    fromLatexml(item, index) {
+        const tag = item.querySelector('.ltx_tag_bibitem');
+        const blocks = Array.from(item.querySelectorAll('.ltx_bibblock'), block => this.clean(block.textContent));
+        const text = blocks.length > 0 ? blocks.join(' ') : this.clean(item.textContent.replace(tag?.textContent ?? '', ''));
+        const entry = this.parse(text, {
+            id: item.id || null,
+            label: tag ? tag.textContent.replace(/^\[|\]$/g, '').trim() : String(index + 1)
+        });
+
+        if (blocks.length >= 2) {
+            entry.authors = this.splitAuthors(blocks[0]);
+            entry.title = this.trimTitle(blocks[1]);
+            entry.venue = blocks[2] ? this.trimVenue(blocks[2]) : entry.venue;
+        }
+        return this.withLinks(entry, item);
+    },
+
+    fromElement(item, index) {
+        const text = this.clean(item.textContent);
+        // Leading "[12]" or "12." labels; otherwise list position
+        const label = text.match(/^\[(\w+)\]/)?.[1] || text.match(/^(\d+)\.\s/)?.[1] ||
+            item.getAttribute('data-counter') || String(index + 1);
+
+        return this.withLinks(this.parse(text, { id: item.id || null, label }), item);
+    },
+
+    /**
+     * Split plain text (a PDF's reference section) into entries. Entries
+     * start with "[n]" or "n." at the beginning of a line.
+     */
+    fromText(text) {
+        const lines = String(text ?? '').replace(/\[Page \d+\]/g, '').split('\n');
+        const entries = [];
+        let current = null;
+
+        lines.forEach(line => {
+            const start = line.match(/^\s*(?:\[(\w+)\]|(\d+)\.)\s+(.*)$/);
+            if (start) {
+                current = { label: start[1] || start[2], lines: [start[3]] };
+                entries.push(current);
+            } else if (current && line.trim()) {
+                current.lines.push(line.trim());
+            }
+        });
+
+        return entries.map(entry => this.parse(
+            // Re-join words hyphenated across lines
+            entry.lines.join(' ').replace(/(\w)- (\w)/g, '$1$2'),
+            { id: null, label: entry.label }
+        ));
+    },
+
+    /**
+     * Structured fields from the text of one entry. Handles the usual
+     * "Authors. Title. Venue, Year.", APA "Authors (Year). Title. Venue."
+     * and author-year "Authors. Year. Title. Venue."
+     */
+    parse(text, { id = null, label = null } = {}) {
+        const body = this.clean(text).replace(/^\[\w+\]\s*|^\d+\.\s+/, '');
+        const doi = body.match(/\b(10\.\d{4,9}\/[^\s"<>]+?)(?=[.,;]?(?:\s|$))/)?.[1] || null;
+        const arxiv = body.match(/arXiv:\s*(\d{4}\.\d{4,5}|[a-z-]+(?:\.[A-Z]{2})?\/\d{7})/i) ||
+            body.match(/arxiv\.org\/(?:abs|pdf)\/(\d{4}\.\d{4,5}|[a-z-]+(?:\.[A-Z]{2})?\/\d{7})/i);
+        // DOIs, arXiv IDs and URLs are full of digits that look like years
+        const years = body
+            .replace(/\b10\.\d{4,9}\/\S+|arXiv:\s*\S+|https?:\/\/\S+|\b\d{4}\.\d{4,5}(?:v\d+)?\b/gi, ' ')
+            .match(/\b(?:19|20)\d{2}[a-z]?\b/g) || [];
+
+        const entry = {
+            id,
+            label,
+            text: body,
+            authors: [],
+            title: null,
+            venue: null,
+            year: years.length > 0 ? years[years.length - 1].slice(0, 4) : null,
+            doi,
+            arxivId: arxiv ? arxiv[1] : null,
+            url: body.match(/https?:\/\/[^\s<>"]+[^\s<>".,;)]/)?.[0] || null
+        };
+
+        const quoted = body.match(/[“"](.+?)[”"]/);
+        const apa = body.match(/^(.+?)\s*\(((?:19|20)\d{2})[a-z]?\)\.?\s*(.*)$/);
+        // Vancouver: Devlin J, Chang MW. Title. Venue. Year.
+        const vancouver = body.match(/^((?:[\p{Lu}][\p{L}'-]+(?: [\p{Lu}][\p{L}'-]+)* [A-Z]{1,3}, )*[\p{Lu}][\p{L}'-]+(?: [\p{Lu}][\p{L}'-]+)* [A-Z]{1,3}(?:,? et al)?)\.\s+(.*)$/u);
+
+        if (quoted) {
+            // IEEE: A. Author, B. Author, "Title," Venue, year.
+            entry.authors = this.splitAuthors(body.slice(0, quoted.index));
+            entry.title = this.trimTitle(quoted[1]);
+            entry.venue = this.trimVenue(body.slice(quoted.index + quoted[0].length));
+        } else if (apa) {
+            const [title, ...venue] = this.sentences(apa[3]);
+            entry.authors = this.splitAuthors(apa[1]);
+            entry.title = this.trimTitle(title);
+            entry.venue = this.trimVenue(venue.join('. '));
+            entry.year = apa[2];
+        } else if (vancouver) {
+            const [title, ...venue] = this.afterYear(this.sentences(vancouver[2]), entry);
+            entry.authors = vancouver[1].replace(/,? et al$/, '').split(', ');
+            entry.title = this.trimTitle(title);
+            entry.venue = this.trimVenue(venue.join('. '));
+        } else {
+            const [authors, ...rest] = this.sentences(body);
+            const [title, ...venue] = this.afterYear(rest, entry);
+            entry.authors = this.splitAuthors(authors);
+            entry.title = this.trimTitle(title);
+            entry.venue = this.trimVenue(venue.join('. '));
+        }
+
+        return entry;
+    },
+
+    /**
+     * Sentences after the authors, without the year author-year styles put
+     * first ("Smith J. 2020. Title."); that year is the entry's year
+     */
+    afterYear(sentences, entry) {
+        const year = sentences[0]?.match(/^((?:19|20)\d{2})[a-z]?$/);
+        if (!year) return sentences;
+
+        entry.year = year[1];
+        return sentences.slice(1);
+    },
+
+    /**
+     * Split at ". " before a capital letter, but not after initials ("A. Smith")
+     */
+    sentences(text) {
+        return String(text ?? '')
+            .split(/(?<![\s.][A-Z]|^[A-Z]|\bet al|\bvol|\bno|\bpp)\.\s+(?=[A-Z0-9“"]|arXiv)/)
+            .map(part => part.trim())
+            .filter(Boolean);
+    },
+
+    /**
+     * "A. Smith, B. Jones, and C. Lee" or "Smith, A., Jones, B., & Lee, C."
+     */
+    splitAuthors(text) {
+        const parts = String(text ?? '')
+            .replace(/\bet al\.?/i, '')
+            .split(/\s*,\s*(?:and\s+|&\s*)?|\s+and\s+|\s*&\s*/)
+            .map(part => part.trim().replace(/\.$/, ''))
+            .filter(Boolean);
+
+        // "Surname, I." lists alternate surnames and initials
+        const initials = part => /^(?:[A-Z]\.?\s*-?)+$/.test(part);
+        if (parts.length > 1 && parts.filter((part, i) => i % 2 === 1).every(initials)) {
+            const authors = [];
+            for (let i = 0; i < parts.length; i += 2) {
+                authors.push(parts[i + 1] ? `${parts[i + 1]}. ${parts[i]}`.replace(/\.\./g, '.') : parts[i]);
+            }
+            return authors;
+        }
+        return parts;
+    },
+
+    trimTitle(title) {
+        const trimmed = String(title ?? '').replace(/^[\s,.]+|[\s,.]+$/g, '');
+        return trimmed || null;
+    },
+
+    trimVenue(venue) {
+        const trimmed = String(venue ?? '')
+            .replace(/^\s*In:?\s+/i, '')
+            .replace(/\b(?:doi:?\s*)?10\.\d{4,9}\/\S+/gi, '')
+            .replace(/arXiv:\s*\S+|https?:\/\/\S+|\bdoi\b:?/gi, '')
+            .replace(/\(?\b(?:19|20)\d{2}[a-z]?\b\)?/g, '')
+            // Tidy the punctuation the removals leave behind
+            .replace(/\s+([,.;:])/g, '$1')
+            .replace(/([,.;:])(\s*[,.;:])+/g, '$1')
+            .replace(/^[\s,.;:]+|[\s,.;:]+$/g, '');
+        return trimmed || null;
+    },
+
+    /**
+     * DOI and arXiv links in the entry's markup beat what the text suggests
+     */
+    withLinks(entry, element) {
+        element.querySelectorAll('a[href]').forEach(link => {
+            const href = link.href || link.getAttribute('href');
+            const doi = href.match(/doi\.org\/(10\.\d{4,9}\/[^?#\s]+)/i)?.[1];
+            const arxiv = href.match(/arxiv\.org\/(?:abs|pdf)\/([^?#\s]+?)(?:v\d+)?(?:\.pdf)?$/i)?.[1];
+
+            if (doi && !entry.doi) entry.doi = decodeURIComponent(doi);
+            if (arxiv && !entry.arxivId) entry.arxivId = arxiv;
+            if (!entry.url && /^https?:/i.test(href) && !href.includes('#')) entry.url = href;
+        });
+        return entry;
+    },
+
+    /**
+     * Best link for an entry: DOI, then arXiv, then any URL in it
+     */
+    link(entry) {
+        if (entry.doi) return `https://doi.org/${entry.doi}`;
+        if (entry.arxivId) return `https://arxiv.org/abs/${entry.arxivId}`;
+        return entry.url;
+    },
+
+    // The <ol>/<ul> right after a "References" heading, possibly inside a wrapper
+    followingList(heading) {
+        let sibling = heading.nextElementSibling;
+        while (sibling && !/^H[1-4]$/.test(sibling.tagName)) {
+            if (sibling.matches('ol, ul')) return sibling;
+            const nested = sibling.querySelector('ol, ul');
+            if (nested) return nested;
+            sibling = sibling.nextElementSibling;
+        }
+        return null;
+    },
+
+    clean(text) {
+        return String(text ?? '').replace(/\s+/g, ' ').trim();
+    }
+};
+
+// Export for use in content script
+if (typeof module !== 'undefined') {
+    module.exports = { References };
+}
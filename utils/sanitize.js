@@ -0,0 +1,159 @@
+// AI Research Paper Helper - Safe HTML Rendering
+// Escapes page and backend text before it reaches innerHTML, with a small Markdown subset for model output
+
+const SafeHTML = {
+    /**
+     * Escape a value for use in HTML text or a quoted attribute
+     */
+    escape(value) {
+        return String(value ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    },
+
+    /**
+     * Mark markup as already safe so html`` inserts it unescaped. Only use
+     * for strings built by this module or literal markup in our own code.
+     */
+    trust(markup) {
+        return new SafeString(markup);
+    },
+
+    /**
+     * Tagged template that escapes every interpolated value. Arrays are
+     * joined, and nested html`` results and trusted markup pass through.
+     *
+     *   el.innerHTML = SafeHTML.html`<li>${title}</li>`;
+     */
+    html(strings, ...values) {
+        let markup = strings[0];
+        values.forEach((value, i) => {
+            markup += SafeHTML.interpolate(value) + strings[i + 1];
+        });
+        return new SafeString(markup);
+    },
+
+    interpolate(value) {
+        if (value instanceof SafeString) return value.markup;
+        if (Array.isArray(value)) return value.map(item => SafeHTML.interpolate(item)).join('');
+        if (value === null || value === undefined || value === false) return '';
+        return SafeHTML.escape(value);
+    },
+
+    /**
+     * Render a Markdown subset: paragraphs, "-"/"*"/"1." lists, fenced and
+     * inline code, **bold**, *italic* and http(s) links. Everything else is
+     * shown as text.
+     */
+    markdown(text) {
+        const blocks = [];
+        const lines = String(text ?? '').replace(/\r\n?/g, '\n').split('\n');
+        let paragraph = [];
+        let list = null;
+
+        const flushParagraph = () => {
+            if (paragraph.length > 0) {
+                blocks.push(`<p>${paragraph.map(line => this.inline(line).markup).join('<br>')}</p>`);
+                paragraph = [];
+            }
+        };
+        const flushList = () => {
+            if (list) {
+                const items = list.items.map(item => `<li>${this.inline(item).markup}</li>`).join('');
+                blocks.push(`<${list.tag}>${items}</${list.tag}>`);
+                list = null;
+            }
+        };
+
+        for (let i = 0; i < lines.length; i++) {
+            const line = lines[i];
+
+            if (/^\s*```/.test(line)) {
+                flushParagraph();
+                flushList();
+                const code = [];
+                while (++i < lines.length && !/^\s*```/.test(lines[i])) {
+                    code.push(lines[i]);
+                }
+                blocks.push(`<pre><code>${this.escape(code.join('\n'))}</code></pre>`);
+                continue;
+            }
+
+            const bullet = line.match(/^\s*(?:[-*•]|(\d+)[.)])\s+(.*)$/);
+            if (bullet) {
+                flushParagraph();
+                const tag = bullet[1] ? 'ol' : 'ul';
+                if (list?.tag !== tag) {
+                    flushList();
+                    list = { tag, items: [] };
+                }
+                list.items.push(bullet[2]);
+            } else if (line.trim() === '') {
+                flushParagraph();
+                flushList();
+            } else if (list && /^\s{2,}/.test(line)) {
+                // Indented continuation of the previous list item
+                list.items[list.items.length - 1] += ` ${line.trim()}`;
+            } else {
+                flushList();
+                paragraph.push(line.trim());
+            }
+        }
+
+        flushParagraph();
+        flushList();
+        return new SafeString(blocks.join(''));
+    },
+
+    /**
+     * Inline Markdown only (code, bold, italic, links) for single-line text
+     */
+    inline(text) {
+        const tokens = [];
+        const hold = (markup) => {
+            tokens.push(markup);
+            return `\u0000${tokens.length - 1}\u0000`;
+        };
+
+        // Set code spans and links aside first so their contents are never formatted
+        const markup = this.escape(String(text ?? '').replace(/\u0000/g, ''))
+            .replace(/`([^`]+)`/g, (match, code) => hold(`<code>${code}</code>`))
+            .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, (match, label, url) => hold(this.link(label, url)))
+            .replace(/\*\*(.+?)\*\*|__(.+?)__/g, (match, a, b) => `<strong>${a ?? b}</strong>`)
+            .replace(/(^|[^*\w])\*(?!\s)(.+?)\*(?!\w)/g, '$1<em>$2</em>')
+            .replace(/\u0000(\d+)\u0000/g, (match, index) => tokens[index]);
+
+        return new SafeString(markup);
+    },
+
+    /**
+     * Build a link from already-escaped label and URL, dropping any scheme
+     * other than http(s)
+     */
+    link(label, url) {
+        const href = url.replace(/&amp;/g, '&');
+        if (!/^https?:\/\//i.test(href)) return label;
+        return `<a href="${url}" target="_blank" rel="noopener noreferrer">${label}</a>`;
+    }
+};
+
+/**
+ * Markup that html`` and innerHTML may use as-is
+ */
+class SafeString {
+    constructor(markup) {
+        this.markup = String(markup);
+    }
+
+    toString() {
+        return this.markup;
+    }
+}
+
+// Export for use in content script
+if (typeof module !== 'undefined') {
+    module.exports = { SafeHTML, SafeString };
+}
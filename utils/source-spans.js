@@ -0,0 +1,137 @@
+// AI Research Paper Helper - Key Point Sources
+// Attaches the passage of the paper each contribution, dataset and metric comes from,
+// and the numbers the paper reports for each metric
+
+// Key point lists that get source spans, with the kind recorded on each span
+const SPAN_KINDS = [
+    { field: 'contributions', kind: 'contribution' },
+    { field: 'datasets', kind: 'dataset' },
+    { field: 'metrics', kind: 'metric' }
+];
+
+// Below this share of shared words a sentence is not a contribution's source
+const MIN_OVERLAP = 0.35;
+
+// Most values kept per metric; later mentions are usually repeats or baselines
+const MAX_RESULTS_PER_METRIC = 3;
+
+// Reported values carry a decimal point or a percent sign ("28.4", "91%"),
+// which keeps years, section numbers and citation indices out
+const RESULT_VALUE = /\d+\.\d+\s?%?|\d+\s?%/g;
+
+// How far from a metric's name a value may sit to count as its result
+const RESULT_DISTANCE = 40;
+
+const STOP_WORDS = new Set(['the', 'and', 'for', 'with', 'that', 'this', 'from', 'are', 'was', 'were', 'which',
+    'into', 'our', 'their', 'its', 'has', 'have', 'been', 'also', 'using', 'use', 'used', 'than', 'can', 'such']);
+
+/**
+ * Normalize a key points response so every list holds plain strings and
+ * keypoints.spans lists [{ kind, index, text, quote }]. Spans the backend
+ * returns ({ text, quote } items or a spans list) are kept; the rest are
+ * located in the paper's content. keypoints.results lists the numbers
+ * reported for each metric, [{ metric, value, quote }], unless the backend
+ * sent its own.
+ */
+function withSourceSpans(keypoints, content = '') {
+    if (!keypoints) return keypoints;
+
+    const result = { ...keypoints };
+    const given = new Map((keypoints.spans || []).map(span => [`${span.kind}:${span.index}`, span.quote]));
+    const sentences = splitSentences(content);
+    const spans = [];
+
+    SPAN_KINDS.forEach(({ field, kind }) => {
+        const items = Array.isArray(keypoints[field]) ? keypoints[field] : [];
+        result[field] = items.map(item => typeof item === 'string' ? item : item?.text || item?.name || '');
+
+        result[field].forEach((text, index) => {
+            const item = items[index];
+            const quote = item?.quote || item?.span?.text || given.get(`${kind}:${index}`) ||
+                (kind === 'contribution' ? bestSentence(text, sentences) : mentionSentence(text, sentences));
+            if (quote) {
+                spans.push({ kind, index, text, quote });
+            }
+        });
+    });
+
+    result.spans = spans;
+    result.results = Array.isArray(keypoints.results)
+        ? keypoints.results
+        : result.metrics.flatMap(metric => reportedResults(metric, sentences));
+    return result;
+}
+
+function splitSentences(content) {
+    return String(content)
+        .split(/(?<=[.!?])\s+(?=[A-Z(\[])|\n+/)
+        .map(sentence => sentence.replace(/\s+/g, ' ').trim())
+        .filter(sentence => sentence.length >= 20 && sentence.length <= 600);
+}
+
+// The sentence sharing the most words with a contribution
+function bestSentence(text, sentences) {
+    const words = contentWords(text);
+    if (words.size === 0) return null;
+
+    let best = null;
+    let bestScore = MIN_OVERLAP;
+    sentences.forEach(sentence => {
+        const candidate = contentWords(sentence);
+        const shared = [...words].filter(word => candidate.has(word)).length;
+        const score = shared / words.size;
+        if (score > bestScore) {
+            best = sentence;
+            bestScore = score;
+        }
+    });
+    return best;
+}
+
+// The first sentence naming a dataset or metric ("ImageNet", "BLEU")
+function mentionSentence(name, sentences) {
+    const pattern = mentionPattern(name);
+    return pattern && sentences.find(sentence => pattern.test(sentence)) || null;
+}
+
+// Whole-word match of a name without its parenthetical ("BLEU (higher is better)")
+function mentionPattern(name) {
+    const trimmed = String(name).replace(/\s*\(.*\)\s*$/, '').trim();
+    if (trimmed.length < 2) return null;
+
+    return new RegExp(`(^|[^\\p{L}\\p{N}])${trimmed.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}(?![\\p{L}\\p{N}])`, 'iu');
+}
+
+// Values next to a metric's mentions: "28.4 BLEU", "BLEU of 28.4", "accuracy: 91.2%"
+function reportedResults(metric, sentences) {
+    const pattern = mentionPattern(metric);
+    if (!pattern) return [];
+
+    const results = [];
+    sentences.forEach(sentence => {
+        const mention = sentence.match(pattern);
+        if (!mention || results.length >= MAX_RESULTS_PER_METRIC) return;
+
+        // Characters between a value and the name, on whichever side it sits
+        const start = mention.index + mention[1].length;
+        const end = mention.index + mention[0].length;
+        const distance = match => match.index >= end ? match.index - end : start - (match.index + match[0].length);
+
+        const nearest = [...sentence.matchAll(RESULT_VALUE)]
+            .filter(match => distance(match) >= 0 && distance(match) <= RESULT_DISTANCE)
+            .sort((a, b) => distance(a) - distance(b))[0];
+        const value = nearest?.[0].replace(/\s/g, '');
+
+        if (value && !results.some(result => result.value === value)) {
+            results.push({ metric, value, quote: sentence });
+        }
+    });
+    return results;
+}
+
+function contentWords(text) {
+    return new Set(String(text).toLowerCase().match(/[\p{L}\p{N}]{3,}/gu)?.filter(word => !STOP_WORDS.has(word)) || []);
+}
+
+// Export for use in other modules
+export { withSourceSpans };
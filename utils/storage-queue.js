@@ -0,0 +1,20 @@
+// AI Research Paper Helper - Storage Queue
+// Runs read-modify-write updates of chrome.storage.local one at a time
+
+/**
+ * Make a queue for one storage area. The returned enqueue(task) runs task
+ * after every task queued before it and settles with its result; a failed
+ * task doesn't hold up the rest.
+ */
+function createQueue() {
+    let queue = Promise.resolve();
+
+    return function enqueue(task) {
+        const run = queue.then(task);
+        queue = run.catch(() => {});
+        return run;
+    };
+}
+
+// Export for use in other modules
+export { createQueue };
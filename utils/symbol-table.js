@@ -0,0 +1,249 @@
+// AI Research Paper Helper - Symbol Table
+// Maps the variables used in a paper's equations to the sentences and equations that define them
+
+/**
+ * A table is a plain object keyed by normalized LaTeX so it survives
+ * messaging to the popup and background:
+ *
+ *   {
+ *     'd_k': {
+ *       symbol: 'd_k', latex: 'd_k',
+ *       definitions: [
+ *         { kind: 'sentence', text: 'where $d_k$ is the key dimension.', section: { index, number, title, id } },
+ *         { kind: 'equation', equationId: 'eq-3', number: '2', text: 'd_k = d / h', section }
+ *       ]
+ *     }
+ *   }
+ */
+const SymbolTable = {
+    maxSentences: 3,
+
+    // Text just before a symbol that introduces a definition ("where $x$", "let $x$", "denote by $x$")
+    leadIn: /\b(where|let|here|with|denote[sd]?(\s+\w+){0,4}\s+by|define[sd]?|call(ed)?)\s*[,:]?\s*$/i,
+
+    // Text just after a symbol that defines it ("$x$ is", "$x$ denotes")
+    leadOut: /^\s*,?\s*(is|are|be|being|denotes?|represents?|stands?\s+for|refers?\s+to|corresponds?\s+to|:=)\b/i,
+
+    definingRelations: new Set(['=', '\\coloneqq', '\\triangleq', '\\equiv', '\\doteq']),
+
+    /**
+     * Build the table from extracted sections and equations
+     */
+    build(sections, equations) {
+        const table = {};
+        const entry = (latex, symbol) => {
+            const key = this.key(latex);
+            if (!table[key]) {
+                table[key] = { symbol, latex, definitions: [] };
+            }
+            return table[key];
+        };
+
+        equations.forEach(equation => {
+            (equation.parsed?.variables || []).forEach(v => entry(v.latex, v.symbol));
+        });
+
+        // Equations whose left-hand side is a single variable define it
+        equations.forEach(equation => {
+            const defined = this.definedVariable(equation.parsed?.ast);
+            if (!defined) return;
+
+            entry(defined.latex, defined.symbol).definitions.push({
+                kind: 'equation',
+                equationId: equation.id,
+                number: equation.number || null,
+                text: equation.latex || equation.tex || equation.parsed.readable,
+                section: this.sectionRef(this.sectionOf(equation, sections))
+            });
+        });
+
+        const patterns = this.mentionPatterns(table);
+        sections.forEach(section => {
+            this.sentences(section.content).forEach(sentence => {
+                this.definedInSentence(sentence, table, patterns).forEach(key => {
+                    const target = table[key];
+                    const sentenceCount = target.definitions.filter(d => d.kind === 'sentence').length;
+                    if (sentenceCount >= this.maxSentences) return;
+                    if (target.definitions.some(d => d.text === sentence)) return;
+
+                    target.definitions.push({ kind: 'sentence', text: sentence, section: this.sectionRef(section) });
+                });
+            });
+        });
+
+        return table;
+    },
+
+    /**
+     * Entries for the variables of one equation, with definitions from
+     * equations after it and from the equation itself left out
+     */
+    forEquation(table, equation) {
+        if (!table) return [];
+        const order = id => parseInt(String(id).replace(/\D/g, ''), 10);
+
+        return (equation.parsed?.variables || [])
+            .map(v => table[this.key(v.latex)])
+            .filter(Boolean)
+            .map(entry => ({
+                ...entry,
+                definitions: entry.definitions.filter(d => d.kind === 'sentence' ||
+                    (d.equationId !== equation.id && order(d.equationId) < order(equation.id)))
+            }))
+            .filter(entry => entry.definitions.length > 0);
+    },
+
+    /**
+     * Find the entry for a symbol as written by the backend (e.g. "d_{k}")
+     */
+    lookup(table, latex) {
+        return table?.[this.key(latex)] || null;
+    },
+
+    /**
+     * Normalize LaTeX so d_k, d_{k} and "d _ k" share one key
+     */
+    key(latex) {
+        return String(latex ?? '')
+            .replace(/^\$+|\$+$/g, '')
+            .replace(/\s+/g, '')
+            .replace(/([_^])\{(\\?[a-zA-Z0-9]|\\[a-zA-Z]+)\}/g, '$1$2');
+    },
+
+    /**
+     * The variable on the left of an equation's first defining relation
+     */
+    definedVariable(ast) {
+        if (ast?.type !== 'group') return null;
+
+        const relation = ast.body.findIndex(node =>
+            this.definingRelations.has(node.type === 'command' ? `\\${node.name}` : node.value));
+        if (relation <= 0) return null;
+
+        // ":=" arrives as two symbols
+        const lhs = ast.body.slice(0, relation).filter(node => !(node.type === 'symbol' && node.value === ':'));
+        if (lhs.length !== 1) return null;
+
+        const variables = LaTeXParser.extractVariables({ type: 'group', body: lhs });
+        const latex = LaTeXParser.toLatex(lhs[0]).trim();
+        return variables.length > 0 && variables[0].latex === latex ? variables[0] : null;
+    },
+
+    /**
+     * Variables defined by a sentence, as table keys. Inline math is written
+     * $...$ in extracted text; plain-text mentions are matched for
+     * multi-character and Greek symbols only.
+     */
+    definedInSentence(sentence, table, patterns = this.mentionPatterns(table)) {
+        const defined = new Set();
+        const isDefinition = (start, end) =>
+            this.leadIn.test(sentence.slice(0, start)) || this.leadOut.test(sentence.slice(end));
+
+        for (const match of sentence.matchAll(/\$([^$]+)\$/g)) {
+            if (!isDefinition(match.index, match.index + match[0].length)) continue;
+
+            this.spanVariables(match[1]).forEach(v => {
+                const key = this.key(v.latex);
+                if (table[key]) defined.add(key);
+            });
+        }
+
+        const plain = sentence.replace(/\$[^$]+\$/g, match => ' '.repeat(match.length));
+        patterns.forEach(([key, pattern, length]) => {
+            if (defined.has(key)) return;
+
+            for (const match of plain.matchAll(pattern)) {
+                const start = match.index + match[1].length;
+                if (isDefinition(start, start + length)) {
+                    defined.add(key);
+                    break;
+                }
+            }
+        });
+
+        return Array.from(defined);
+    },
+
+    /**
+     * Variables named by an inline math span. In "$W_q \in \mathbb{R}^{d}$"
+     * only the left-hand side is being defined.
+     */
+    spanVariables(latex) {
+        try {
+            const { ast } = LaTeXParser.parse(latex);
+            const relation = ast.body.findIndex(node => node.type === 'symbol' ? node.kind === 'relation' :
+                node.type === 'command' && LaTeXParser.relations.has(`\\${node.name}`));
+            const lhs = relation > 0 ? { type: 'group', body: ast.body.slice(0, relation) } : ast;
+            return LaTeXParser.extractVariables(lhs);
+        } catch (error) {
+            return [];
+        }
+    },
+
+    /**
+     * Plain-text patterns as [key, RegExp, symbol length] for symbols
+     * distinctive enough to find outside math markup
+     */
+    mentionPatterns(table) {
+        return Object.entries(table)
+            .filter(([, entry]) => this.isDistinctive(entry.symbol))
+            .map(([key, entry]) => [
+                key,
+                new RegExp(`(^|[^\\p{L}\\p{N}_])${this.escapeRegExp(entry.symbol)}(?![\\p{L}\\p{N}_])`, 'gu'),
+                entry.symbol.length
+            ]);
+    },
+
+    isDistinctive(symbol) {
+        return [...symbol].length > 1 || /[^\x00-\x7f]/.test(symbol);
+    },
+
+    escapeRegExp(text) {
+        return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    },
+
+    sentences(text) {
+        // Split on sentence ends outside $...$ so "$x.y$" stays whole
+        const sentences = [];
+        let current = '';
+        let inMath = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            current += char;
+            if (char === '$') inMath = !inMath;
+
+            if (!inMath && (char === '\n' || (/[.!?]/.test(char) && /\s/.test(text[i + 1] ?? ' ')))) {
+                if (current.trim()) sentences.push(current.trim());
+                current = '';
+            }
+        }
+        if (current.trim()) sentences.push(current.trim());
+
+        return sentences;
+    },
+
+    /**
+     * Section an equation sits in: its enclosing <section id> when the page
+     * has one, otherwise the section whose text contains its context
+     */
+    sectionOf(equation, sections) {
+        const id = equation.element?.closest?.('section[id]')?.id;
+        const byId = id && sections.find(section => section.id === id);
+        if (byId) return byId;
+
+        const context = (equation.context || '').replace(/\s+/g, ' ').trim().slice(0, 60);
+        if (!context) return null;
+        return sections.find(section => section.content.replace(/\s+/g, ' ').includes(context)) || null;
+    },
+
+    sectionRef(section) {
+        if (!section) return null;
+        return { index: section.index, number: section.number || null, title: section.title, id: section.id || null };
+    }
+};
+
+// Export for use in content script
+if (typeof module !== 'undefined') {
+    module.exports = { SymbolTable };
+}
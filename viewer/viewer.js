@@ -0,0 +1,195 @@
+// AI Research Paper Helper - PDF Viewer
+// Renders PDFs with pdf.js and exposes their text to the content script
+
+import * as pdfjsLib from '../lib/pdfjs/pdf.min.mjs';
+import { DETECTOR_SCRIPT, PAPER_SCRIPTS } from '../utils/content-scripts.js';
+
+pdfjsLib.GlobalWorkerOptions.workerSrc = chrome.runtime.getURL('lib/pdfjs/pdf.worker.min.mjs');
+
+const RENDER_SCALE = 1.5;
+// Start drawing canvases shortly before a page scrolls into view
+const PRELOAD_MARGIN = '800px';
+// What a page with a paper gets; content.css is linked from viewer.html
+const CONTENT_SCRIPTS = [DETECTOR_SCRIPT, ...PAPER_SCRIPTS];
+// Appended to links back to the PDF so content-loader.js doesn't redirect them here again
+const ORIGINAL_PDF_HASH = '#ai-helper-original';
+
+// Any site can open the viewer, so only load PDFs from these schemes
+const ALLOWED_PROTOCOLS = ['http:', 'https:', 'file:'];
+
+const fileUrl = pdfUrl(new URLSearchParams(window.location.search).get('file'));
+
+init();
+
+async function init() {
+    const status = document.getElementById('viewer-status');
+
+    if (!fileUrl) {
+        status.textContent = 'No PDF specified';
+        return;
+    }
+
+    document.documentElement.dataset.sourceUrl = fileUrl;
+    document.getElementById('viewer-original').href = fileUrl + ORIGINAL_PDF_HASH;
+
+    try {
+        // Extension pages forbid eval, so keep pdf.js on its non-eval font path
+        const pdf = await pdfjsLib.getDocument({ url: fileUrl, isEvalSupported: false }).promise;
+        const metadata = await pdf.getMetadata().catch(() => null);
+        const info = metadata?.info || {};
+
+        status.remove();
+        const pages = await renderPages(pdf);
+
+        // Read by the pdf extractor in utils/extractors.js
+        window.pdfDocumentText = { url: fileUrl, info, pages };
+
+        const title = info.Title || fileName(fileUrl);
+        document.title = title;
+        document.getElementById('viewer-title').textContent = title;
+        document.getElementById('viewer-pages').textContent =
+            `${pdf.numPages} page${pdf.numPages === 1 ? '' : 's'}`;
+
+        await loadContentScripts();
+    } catch (error) {
+        status.textContent = `Failed to load PDF: ${error.message}`;
+        document.getElementById('viewer-title').textContent = fileName(fileUrl);
+        console.error('AI Research Helper: Failed to load PDF', error);
+    }
+}
+
+// The file parameter if it is an absolute URL with an allowed scheme
+function pdfUrl(file) {
+    try {
+        return ALLOWED_PROTOCOLS.includes(new URL(file).protocol) ? file : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Lay out every page with its text layer and return the text grouped into
+ * lines. Canvases are drawn lazily as pages approach the viewport.
+ */
+async function renderPages(pdf) {
+    const container = document.getElementById('viewer-container');
+    const observer = new IntersectionObserver(onPageVisible, { rootMargin: PRELOAD_MARGIN });
+    const pages = [];
+
+    for (let number = 1; number <= pdf.numPages; number++) {
+        const page = await pdf.getPage(number);
+        const viewport = page.getViewport({ scale: RENDER_SCALE });
+        const textContent = await page.getTextContent();
+
+        const pageDiv = document.createElement('div');
+        pageDiv.className = 'pdf-page';
+        pageDiv.id = `page-${number}`;
+        pageDiv.dataset.pageNumber = number;
+        pageDiv.style.width = `${viewport.width}px`;
+        pageDiv.style.height = `${viewport.height}px`;
+        pageDiv.style.setProperty('--scale-factor', viewport.scale);
+
+        const textLayerDiv = document.createElement('div');
+        textLayerDiv.className = 'textLayer';
+        pageDiv.appendChild(textLayerDiv);
+        container.appendChild(pageDiv);
+
+        await new pdfjsLib.TextLayer({ textContentSource: textContent, container: textLayerDiv, viewport }).render();
+
+        pageDiv.pdfPage = page;
+        observer.observe(pageDiv);
+
+        pages.push({ number, lines: groupLines(textContent.items) });
+    }
+
+    return pages;
+}
+
+function onPageVisible(entries, observer) {
+    entries.forEach(entry => {
+        if (!entry.isIntersecting) return;
+
+        observer.unobserve(entry.target);
+        renderCanvas(entry.target).catch(error => {
+            console.error('AI Research Helper: Failed to render page', error);
+        });
+    });
+}
+
+async function renderCanvas(pageDiv) {
+    const page = pageDiv.pdfPage;
+    const viewport = page.getViewport({ scale: RENDER_SCALE });
+    const outputScale = window.devicePixelRatio || 1;
+
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.floor(viewport.width * outputScale);
+    canvas.height = Math.floor(viewport.height * outputScale);
+    pageDiv.prepend(canvas);
+
+    await page.render({
+        canvasContext: canvas.getContext('2d'),
+        viewport,
+        transform: outputScale !== 1 ? [outputScale, 0, 0, outputScale, 0, 0] : null
+    }).promise;
+}
+
+/**
+ * Join text items that share a baseline into { text, fontSize, y } lines,
+ * in reading order. y is in PDF units measured from the bottom of the page.
+ */
+function groupLines(items) {
+    const lines = [];
+    let current = null;
+    let lastEnd = 0;
+
+    items.forEach(item => {
+        if (!item.str && !item.hasEOL) return;
+
+        const [, , c, d, x, y] = item.transform;
+        const fontSize = Math.hypot(c, d) || item.height;
+
+        if (!current || Math.abs(current.y - y) > fontSize * 0.5) {
+            current = { text: '', fontSize, y };
+            lines.push(current);
+        } else if (item.str && x - lastEnd > fontSize * 0.15 && !/\s$/.test(current.text)) {
+            current.text += ' ';
+        }
+
+        current.text += item.str;
+        current.fontSize = Math.max(current.fontSize, fontSize);
+        lastEnd = x + item.width;
+
+        if (item.hasEOL) {
+            current = null;
+        }
+    });
+
+    return lines
+        .map(line => ({ ...line, text: line.text.replace(/\s+/g, ' ').trim() }))
+        .filter(line => line.text);
+}
+
+/**
+ * Content scripts are not injected into extension pages, so load them as
+ * classic scripts once the document text is available
+ */
+async function loadContentScripts() {
+    for (const path of CONTENT_SCRIPTS) {
+        await new Promise((resolve, reject) => {
+            const script = document.createElement('script');
+            script.src = chrome.runtime.getURL(path);
+            script.onload = resolve;
+            script.onerror = () => reject(new Error(`Failed to load ${path}`));
+            document.head.appendChild(script);
+        });
+    }
+}
+
+function fileName(url) {
+    try {
+        const name = new URL(url).pathname.split('/').filter(Boolean).pop();
+        return decodeURIComponent(name || url);
+    } catch (error) {
+        return url;
+    }
+}